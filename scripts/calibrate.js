@@ -0,0 +1,111 @@
+/**
+ * Difficulty calibration.  Plays the shooting bot (src/engine/bot.js) at
+ * every skill level on each court layout the game ships with – the
+ * standard court, every tier of Classic hazards, every level and the
+ * shots of a day's challenge – and reports how often each one scores.  A
+ * layout the hard bot can't make, or that the easy bot makes as often as
+ * the hard one, probably needs another look.
+ *
+ * The court has the same size in world units on every screen, so the
+ * odds don't depend on the window size: a layout that is fair on one
+ * device is fair on all of them.
+ *
+ *   node scripts/calibrate.js [trials] [date]
+ *
+ *   trials – shots per layout and skill level (default 20)
+ *   date   – day of the daily challenge as YYYY-MM-DD (default today)
+ *
+ * Results are repeatable: the bot's aim error comes from a seeded PRNG.
+ * Run with `npm run calibrate`.
+ */
+import fs from 'node:fs/promises';
+import { createEngine } from '../src/engine/physics.js';
+import { BOT_SKILLS, addAimError, findShot } from '../src/engine/bot.js';
+import { playOutShot } from '../src/engine/predict.js';
+import { HAZARD_TIERS } from '../src/hazards.js';
+import { createRandom, dailyShots, dateKey } from '../src/daily.js';
+
+// Steps a shot is played out for before it counts as missed.
+const SHOT_STEPS = 600;
+// Range of steps into their motion that moving hoops and defenders start
+// at, so shots are tried at every point of it.
+const MOTION_STEPS = 600;
+const SEED = 1;
+
+/**
+ * Engine set up for a layout: { physics, hoop, ball, hazards }, any of
+ * which may be missing for the defaults.
+ */
+function setUp(layout, steps) {
+  const engine = createEngine(layout.physics);
+  engine.setStartPosition(layout.ball || null);
+  engine.setHoop(layout.hoop || null, steps);
+  engine.setHazards(layout.hazards || null, steps);
+  return engine;
+}
+
+/**
+ * Share of shots made at every skill level on a layout.
+ */
+function calibrate(layout, trials, random) {
+  const made = Object.fromEntries(Object.keys(BOT_SKILLS).map(skill => [skill, 0]));
+  const moving =
+    Boolean(layout.hoop && layout.hoop.motion) ||
+    Boolean(layout.hazards && layout.hazards.defenders.length > 0);
+  let best = null;
+  for (let trial = 0; trial < trials; trial++) {
+    const engine = setUp(layout, moving ? Math.floor(random() * MOTION_STEPS) : 0);
+    // A still court has the same best shot every time.
+    if (trial === 0 || moving) best = findShot(engine);
+    if (!best) continue;
+    for (const skill of Object.keys(made)) {
+      const { vx, vy } = addAimError(best, skill, random);
+      if (playOutShot(engine, vx, vy, SHOT_STEPS).scored) made[skill]++;
+    }
+  }
+  return Object.fromEntries(Object.entries(made).map(([skill, n]) => [skill, n / trials]));
+}
+
+/**
+ * A level or daily shot as a layout.
+ */
+function fromLevel(level, name = level.name) {
+  const physics = { wind: level.wind || 0 };
+  if (typeof level.gravity === 'number') physics.gravity = level.gravity;
+  return { name, physics, hoop: level.hoop, ball: level.ball || null };
+}
+
+async function main() {
+  const trials = Number(process.argv[2]) || 20;
+  const day = process.argv[3] || dateKey();
+  // The level pack is read as JSON because Node can't import it the way
+  // the game's bundler does.
+  const pack = JSON.parse(
+    await fs.readFile(new URL('../src/levels/levels.json', import.meta.url), 'utf8')
+  );
+  const layouts = [
+    { name: 'Standard court' },
+    ...HAZARD_TIERS.map(tier => ({
+      name: `Classic from ${tier.score} points`,
+      hazards: tier.hazards,
+    })),
+    ...pack.levels.map((level, i) => fromLevel(level, `Level ${i + 1}: ${level.name}`)),
+    ...dailyShots(day).map(shot => fromLevel(shot, `Daily ${day} ${shot.name}`)),
+  ];
+
+  const random = createRandom(SEED);
+  const skills = Object.keys(BOT_SKILLS);
+  const width = Math.max(...layouts.map(l => l.name.length));
+  console.log(`${'Layout'.padEnd(width)}  ${skills.map(s => s.padStart(6)).join('  ')}`);
+  for (const layout of layouts) {
+    const odds = calibrate(layout, trials, random);
+    const cells = skills.map(s => `${Math.round(odds[s] * 100)}%`.padStart(6));
+    const warning = odds.hard === 0 ? '  never made' : '';
+    console.log(`${layout.name.padEnd(width)}  ${cells.join('  ')}${warning}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
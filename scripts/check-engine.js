@@ -0,0 +1,58 @@
+/**
+ * Engine check.  The physics engine has no DOM or React dependencies, so
+ * shots can be played in Node: this launches a few known vectors on the
+ * standard court, checks each one ends the way it always has, and checks
+ * that replaying the session gives the same outcomes step for step.
+ *
+ * A vector that starts ending differently means the feel of the game has
+ * changed, and with it every replay and leaderboard score recorded so
+ * far.  If that was the point of the change, update the table below.
+ *
+ * Run with `npm test`.
+ */
+import assert from 'node:assert/strict';
+import { createEngine } from '../src/engine/physics.js';
+import { createRecorder, createReplayPlayer } from '../src/engine/replay.js';
+
+// Launch velocities from the default spot and how they end.
+const SHOTS = [
+  { vx: 4, vy: -17, outcome: 'swish' },
+  { vx: 5, vy: -17, outcome: 'rim-in' },
+  { vx: 3, vy: -18, outcome: 'bank-in' },
+  { vx: 6, vy: -20, outcome: 'rim-out' },
+  { vx: 0, vy: -15, outcome: 'airball' },
+];
+
+// Steps a shot gets to end in; plenty for any of them.
+const MAX_STEPS = 1000;
+
+/**
+ * Listen for the end of every shot, as { tick, outcome }.
+ */
+function collectOutcomes(engine) {
+  const outcomes = [];
+  engine.on('score', ({ tick, outcome }) => outcomes.push({ tick, outcome }));
+  engine.on('miss', ({ tick, outcome }) => outcomes.push({ tick, outcome }));
+  return outcomes;
+}
+
+const engine = createEngine();
+const recorder = createRecorder(engine);
+const outcomes = collectOutcomes(engine);
+for (const shot of SHOTS) {
+  assert.ok(engine.launch(shot.vx, shot.vy), `could not launch ${shot.vx}, ${shot.vy}`);
+  for (let i = 0; i < MAX_STEPS && engine.state.ball.isLaunched; i++) engine.step();
+  assert.ok(!engine.state.ball.isLaunched, `shot ${shot.vx}, ${shot.vy} never came back`);
+}
+assert.deepEqual(
+  outcomes.map(o => o.outcome),
+  SHOTS.map(s => s.outcome),
+  'shot outcomes changed'
+);
+
+const player = createReplayPlayer(recorder.finish());
+const replayed = collectOutcomes(player.engine);
+while (!player.isFinished()) player.stepFrame();
+assert.deepEqual(replayed, outcomes, 'the replay played out differently');
+
+console.log(`Engine check passed: ${SHOTS.length} shots and their replay.`);
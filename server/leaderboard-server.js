@@ -0,0 +1,175 @@
+/**
+ * Self-hosted leaderboard server.
+ *
+ * A small dependency-free Node HTTP service that accepts score
+ * submissions from the game and keeps the top scores per mode in a JSON
+ * file.  Every submission carries the replay of its session; the server
+ * re-simulates it with the game's own engine and scoring rules
+ * (src/engine/verify.js) and only accepts the score if it matches.
+ *
+ *   GET  /api/leaderboard?mode=classic   top entries for a mode
+ *   POST /api/scores                     { name, mode, score, replay }
+ *
+ * Configuration through environment variables:
+ *   PORT              port to listen on (default 8787)
+ *   LEADERBOARD_DATA  path of the JSON data file
+ *                     (default server/data/leaderboard.json)
+ *
+ * Run with `npm run leaderboard`.
+ */
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { verifySubmission } from '../src/engine/verify.js';
+import { MODES } from '../src/modes.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE =
+  process.env.LEADERBOARD_DATA ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'leaderboard.json');
+const BOARD_SIZE = 50;
+const MAX_NAME_LENGTH = 12;
+// Replays of long Zen sessions are the largest bodies we expect.
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Error carrying an HTTP status code.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function loadBoards() {
+  try {
+    return JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+// Writes are chained so concurrent submissions can't interleave and lose
+// each other's entries.
+let writeQueue = Promise.resolve();
+
+function updateBoards(update) {
+  const run = writeQueue.then(async () => {
+    const boards = await loadBoards();
+    const result = update(boards);
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    await fs.writeFile(DATA_FILE, JSON.stringify(boards, null, 2));
+    return result;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading but keep the socket so the 413 can still be sent;
+        // the connection is closed once it has been.
+        req.removeAllListeners('data');
+        req.pause();
+        reject(new HttpError(413, 'Submission too large.'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(new HttpError(400, 'Body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The game is usually served from a different origin (the Vite dev
+    // server or static hosting), so allow cross-origin requests.
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function handleGetLeaderboard(url, res) {
+  const mode = url.searchParams.get('mode');
+  if (!MODES[mode]) throw new HttpError(400, `Unknown mode ${mode}.`);
+  const boards = await loadBoards();
+  send(res, 200, { mode, entries: boards[mode] || [] });
+}
+
+async function handlePostScore(req, res) {
+  const body = await readBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Body must be a JSON object.');
+  }
+  const name = typeof body.name === 'string' ? body.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (!name) throw new HttpError(422, 'A name is required.');
+
+  const result = verifySubmission(body);
+  if (!result.ok) throw new HttpError(422, result.reason);
+
+  const entry = {
+    id: typeof body.id === 'string' ? body.id.slice(0, 64) : undefined,
+    name,
+    mode: body.mode,
+    score: body.score,
+    makes: result.stats.makes,
+    attempts: result.stats.makes + result.stats.misses,
+    date: new Date().toISOString(),
+  };
+  const rank = await updateBoards(boards => {
+    const board = boards[entry.mode] || [];
+    // Retried submissions carry the same id; accept them only once.
+    const existing = entry.id ? board.findIndex(e => e.id === entry.id) : -1;
+    if (existing !== -1) return existing;
+    board.push(entry);
+    board.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+    boards[entry.mode] = board.slice(0, BOARD_SIZE);
+    return boards[entry.mode].indexOf(entry);
+  });
+  send(res, 201, { rank, entry });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  try {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+    } else if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
+      await handleGetLeaderboard(url, res);
+    } else if (req.method === 'POST' && url.pathname === '/api/scores') {
+      await handlePostScore(req, res);
+    } else {
+      throw new HttpError(404, 'Not found.');
+    }
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error(err);
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 413) {
+      res.setHeader('Connection', 'close');
+      res.on('finish', () => req.destroy());
+    }
+    send(res, status, { error: status === 500 ? 'Internal error.' : err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Leaderboard server listening on http://localhost:${PORT}`);
+});
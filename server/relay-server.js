@@ -0,0 +1,299 @@
+/**
+ * WebSocket relay for head-to-head races.
+ *
+ * Pairs two players in a room identified by a short code, runs the
+ * countdown and race clock and forwards each player's launches and shot
+ * results to the other.  It doesn't simulate anything itself: each client
+ * plays its own shots and replays the opponent's as a ghost.  Meant for a
+ * LAN; there is no persistence and rooms disappear with the process.
+ *
+ * A player whose connection drops keeps their seat for RECONNECT_GRACE_MS
+ * and can reclaim it with the token they were given on joining.  If they
+ * don't come back in time the opponent wins by forfeit.
+ *
+ * Configuration through environment variables:
+ *   PORT  port to listen on (default RELAY_PORT from src/net/protocol.js)
+ *
+ * Run with `npm run relay`.  See src/net/protocol.js for the messages.
+ */
+import crypto from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import {
+  RELAY_PORT,
+  MATCH_SECONDS,
+  COUNTDOWN_SECONDS,
+  RECONNECT_GRACE_MS,
+  ROOM_CODE_ALPHABET,
+  ROOM_CODE_LENGTH,
+  PHASES,
+  normaliseRoomCode,
+} from '../src/net/protocol.js';
+
+const PORT = Number(process.env.PORT) || RELAY_PORT;
+const MAX_NAME_LENGTH = 12;
+const MAX_MESSAGE_BYTES = 4096;
+
+// Open rooms by code.
+const rooms = new Map();
+
+function createRoomCode() {
+  let code;
+  do {
+    code = Array.from(
+      { length: ROOM_CODE_LENGTH },
+      () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]
+    ).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+function cleanName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return trimmed || 'Player';
+}
+
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function broadcast(room, message) {
+  room.players.forEach(player => player && send(player.socket, message));
+}
+
+function remainingMs(room) {
+  if (room.phase !== PHASES.PLAYING) return null;
+  return Math.max(0, room.endsAt - Date.now());
+}
+
+/**
+ * Send both players the current state of the room.
+ */
+function broadcastRoom(room) {
+  broadcast(room, {
+    type: 'room',
+    phase: room.phase,
+    players: room.players.map(player =>
+      player ? { name: player.name, connected: player.connected, score: player.score } : null
+    ),
+    remainingMs: remainingMs(room),
+  });
+}
+
+function clearTimers(room) {
+  clearTimeout(room.phaseTimer);
+  room.players.forEach(player => player && clearTimeout(player.graceTimer));
+}
+
+function startCountdown(room) {
+  room.phase = PHASES.COUNTDOWN;
+  room.players.forEach(player => {
+    player.score = 0;
+    player.wantsRematch = false;
+  });
+  broadcastRoom(room);
+  broadcast(room, { type: 'countdown', seconds: COUNTDOWN_SECONDS });
+  room.phaseTimer = setTimeout(() => {
+    room.phase = PHASES.PLAYING;
+    room.endsAt = Date.now() + MATCH_SECONDS * 1000;
+    broadcast(room, { type: 'start', durationMs: MATCH_SECONDS * 1000 });
+    broadcastRoom(room);
+    room.phaseTimer = setTimeout(() => finish(room, 'time'), MATCH_SECONDS * 1000);
+  }, COUNTDOWN_SECONDS * 1000);
+}
+
+/**
+ * End the race.  A forfeit goes to the player who is still connected;
+ * otherwise the higher score wins and equal scores are a draw.
+ */
+function finish(room, reason, forfeitingSlot = null) {
+  clearTimeout(room.phaseTimer);
+  room.phase = PHASES.FINISHED;
+  const scores = room.players.map(player => (player ? player.score : 0));
+  let winner = null;
+  if (forfeitingSlot !== null) winner = 1 - forfeitingSlot;
+  else if (scores[0] !== scores[1]) winner = scores[0] > scores[1] ? 0 : 1;
+  broadcast(room, { type: 'finished', scores, winner, reason });
+  broadcastRoom(room);
+}
+
+function closeRoom(room) {
+  clearTimers(room);
+  rooms.delete(room.code);
+}
+
+/**
+ * Put a player in a seat and tell them about it.
+ */
+function seat(room, slot, player, socket) {
+  player.socket = socket;
+  player.connected = true;
+  clearTimeout(player.graceTimer);
+  socket.room = room;
+  socket.slot = slot;
+  send(socket, { type: 'joined', code: room.code, slot, token: player.token });
+}
+
+function createPlayer(name) {
+  return {
+    name: cleanName(name),
+    token: crypto.randomUUID(),
+    socket: null,
+    connected: false,
+    score: 0,
+    wantsRematch: false,
+    graceTimer: null,
+  };
+}
+
+function handleCreate(socket, { name }) {
+  const room = {
+    code: createRoomCode(),
+    phase: PHASES.WAITING,
+    players: [createPlayer(name), null],
+    phaseTimer: null,
+    endsAt: null,
+  };
+  rooms.set(room.code, room);
+  seat(room, 0, room.players[0], socket);
+  broadcastRoom(room);
+}
+
+function handleJoin(socket, { code, name }) {
+  const room = rooms.get(normaliseRoomCode(code));
+  if (!room) throw new Error('No room with that code.');
+  const slot = room.players.indexOf(null);
+  if (slot === -1) throw new Error('That room is full.');
+  room.players[slot] = createPlayer(name);
+  seat(room, slot, room.players[slot], socket);
+  const opponent = room.players[1 - slot];
+  broadcastRoom(room);
+  if (opponent.connected) startCountdown(room);
+}
+
+function handleResume(socket, { code, token }) {
+  const room = rooms.get(normaliseRoomCode(code));
+  const slot = room ? room.players.findIndex(player => player && player.token === token) : -1;
+  if (slot === -1) throw new Error('That race is no longer available.');
+  const player = room.players[slot];
+  // A stale connection still holding the seat is replaced.
+  if (player.socket && player.socket !== socket) {
+    player.socket.room = null;
+    player.socket.close();
+  }
+  seat(room, slot, player, socket);
+  const opponent = room.players[1 - slot];
+  broadcastRoom(room);
+  if (room.phase === PHASES.WAITING && opponent && opponent.connected) startCountdown(room);
+}
+
+/**
+ * Forward a message from one player to the other.
+ */
+function relay(socket, message) {
+  const opponent = socket.room.players[1 - socket.slot];
+  if (opponent) send(opponent.socket, message);
+}
+
+function handleMessage(socket, message) {
+  const { room, slot } = socket;
+  // A seated socket would leave its old seat behind, connected for good.
+  if (room && ['create', 'join', 'resume'].includes(message.type)) {
+    throw new Error('Leave your room first.');
+  }
+  if (message.type === 'create') return handleCreate(socket, message);
+  if (message.type === 'join') return handleJoin(socket, message);
+  if (message.type === 'resume') return handleResume(socket, message);
+  if (!room) throw new Error('Join a room first.');
+  const player = room.players[slot];
+
+  switch (message.type) {
+    case 'launch': {
+      if (room.phase !== PHASES.PLAYING) return undefined;
+      const vx = Number(message.vx);
+      const vy = Number(message.vy);
+      // NaN or Infinity would break the opponent's engine.
+      if (!Number.isFinite(vx) || !Number.isFinite(vy)) return undefined;
+      relay(socket, { type: 'launch', vx, vy });
+      break;
+    }
+    case 'result':
+      if (room.phase !== PHASES.PLAYING) return undefined;
+      player.score = Math.max(0, Math.floor(Number(message.score) || 0));
+      relay(socket, { type: 'result', outcome: String(message.outcome) });
+      broadcastRoom(room);
+      break;
+    case 'rematch':
+      if (room.phase !== PHASES.FINISHED) return undefined;
+      player.wantsRematch = true;
+      if (room.players.every(p => p && p.connected && p.wantsRematch)) startCountdown(room);
+      else broadcastRoom(room);
+      break;
+    case 'leave':
+      leave(socket);
+      break;
+    default:
+      throw new Error(`Unknown message ${message.type}.`);
+  }
+  return undefined;
+}
+
+/**
+ * A player gave up their seat, either by leaving or by not coming back
+ * in time.
+ */
+function leave(socket) {
+  const { room, slot } = socket;
+  if (!room) return;
+  socket.room = null;
+  if (room.phase === PHASES.COUNTDOWN || room.phase === PHASES.PLAYING) {
+    finish(room, 'forfeit', slot);
+  }
+  room.players[slot] = null;
+  if (room.players.every(player => !player)) {
+    closeRoom(room);
+  } else {
+    // Back to waiting so a new opponent can take the free seat.
+    if (room.phase !== PHASES.FINISHED) room.phase = PHASES.WAITING;
+    broadcastRoom(room);
+  }
+}
+
+function handleClose(socket) {
+  const { room, slot } = socket;
+  if (!room) return;
+  const player = room.players[slot];
+  if (!player || player.socket !== socket) return;
+  player.connected = false;
+  player.socket = null;
+  broadcastRoom(room);
+  player.graceTimer = setTimeout(() => leave({ room, slot }), RECONNECT_GRACE_MS);
+}
+
+const wss = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on('connection', socket => {
+  socket.room = null;
+  socket.slot = null;
+  socket.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (err) {
+      send(socket, { type: 'error', message: 'Message is not valid JSON.' });
+      return;
+    }
+    try {
+      handleMessage(socket, message);
+    } catch (err) {
+      // Failing to get a seat is fatal for the client, unless it still
+      // has the one it had; anything else is just reported.
+      const fatal = ['create', 'join', 'resume'].includes(message.type) && !socket.room;
+      send(socket, { type: 'error', message: err.message, fatal });
+    }
+  });
+  socket.on('close', () => handleClose(socket));
+});
+
+wss.on('listening', () => {
+  console.log(`Relay server listening on ws://localhost:${PORT}`);
+});
@@ -1,193 +1,958 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import Game from './components/Game';
 import StartModal from './components/StartModal';
 import GameOverModal from './components/GameOverModal';
+import ReplayViewer from './components/ReplayViewer';
+import { countShots, parseReplay } from './engine/replay';
+import { downloadJSON, fileTimestamp } from './utils/files';
+import StatsModal from './components/StatsModal';
+import AchievementsModal from './components/AchievementsModal';
+import AchievementToast from './components/AchievementToast';
+import SettingsModal from './components/SettingsModal';
+import PauseModal from './components/PauseModal';
+import HotSeatResultModal from './components/HotSeatResultModal';
+import LevelCompleteModal from './components/LevelCompleteModal';
+import OnlineMatch from './components/OnlineMatch';
+import AttractDemo from './components/AttractDemo';
+import TutorialPrompt from './components/TutorialPrompt';
+import TutorialCompleteModal from './components/TutorialCompleteModal';
+import { DEFAULT_MODE, getMode } from './modes';
+import { getStorage } from './storage';
+import { rankFor } from './leaderboard';
+import useLeaderboard from './hooks/useLeaderboard';
+import useControls from './hooks/useControls';
+import useAudioSettings from './hooks/useAudioSettings';
+import useSettings from './hooks/useSettings';
+import useDaily from './hooks/useDaily';
+import useIdle from './hooks/useIdle';
+import useTutorial from './hooks/useTutorial';
+import useAchievements from './hooks/useAchievements';
+import { assistedKey, isAssisted, isStandardPhysics } from './settings';
+import { LEVELS, levelPhysics } from './levels';
+import { DAILY_SHOTS, dailyShots, dateKey, shareText } from './daily';
+import { hazardTier, hazardsFor } from './hazards';
+import { TUTORIAL_STEPS, advanceTutorial } from './tutorial';
+import { getAudio, playShotSounds, playCollisionSound, playAimCue } from './audio';
+import { submitScore, startRetrying } from './net/leaderboardClient';
+import { applyMake, applyMiss, streakMultiplier } from './scoring';
+import {
+  createPlayers,
+  nextPlayer,
+  lettersOf,
+  createHorse,
+  horseShot,
+} from './hotseat';
+
+// Short feedback shown in the score row for each shot outcome reported by
+// the engine.
+const OUTCOME_LABELS = {
+  swish: 'Swish!',
+  'rim-in': 'Off the rim and in!',
+  'bank-in': 'Bank shot!',
+  'rim-out': 'Rimmed out',
+  airball: 'Airball',
+};
+
+/**
+ * Remaining lives in words, for screen readers.
+ */
+function livesLabel(lives) {
+  if (lives <= 0) return 'No lives left';
+  return lives === 1 ? '1 life left' : `${lives} lives left`;
+}
+
+// Seconds counted down before a paused game carries on.
+const RESUME_COUNTDOWN = 3;
+
+// Time without input on the start screen before the attract-mode demo
+// starts playing behind it, in milliseconds.
+const ATTRACT_IDLE_MS = 15000;
+
+// How long an achievement toast stays up, in milliseconds.
+const ACHIEVEMENT_TOAST_MS = 3500;
+
+// How a H-O-R-S-E call is described to the players who have to match it.
+const CALL_LABELS = {
+  swish: 'the swish',
+  'rim-in': 'the shot',
+  'bank-in': 'the bank shot',
+};
 
 /**
  * The top level component orchestrates the game.  It maintains high level
- * state such as whether the game has started, the current score, the
- * highest score (persisted in localStorage), remaining lives and whether
- * the game has ended.  Depending on the state it renders the appropriate
- * modal or the game itself.  All callbacks for scoring and misses
- * propagate up from the Game component to update the state here.
+ * state such as whether the game has started, the selected game mode, the
+ * players taking turns with their scores and remaining lives, the highest
+ * score per mode, the time left and whether the game has ended.  A solo
+ * game is a hot-seat game with a single player (see hotseat.js).  High
+ * scores and the history of finished sessions are persisted through the
+ * storage module.  The rules for lives, the clock and when the game ends
+ * come from the mode definitions in modes.js.  Depending on the state it
+ * renders the appropriate modal or the game itself.  All callbacks for
+ * scoring and misses propagate up from the Game component to update the
+ * state here.
  */
 export default function App() {
   // True when the user has pressed "Start" and is currently playing.
   const [gameStarted, setGameStarted] = useState(false);
-  // Current score for the ongoing session.
-  const [score, setScore] = useState(0);
-  // Read the persisted high score from localStorage.  Fall back to 0 if
-  // nothing is stored yet.  We wrap this in a lazy initialiser so it's only
-  // read once on mount.
-  const [highScore, setHighScore] = useState(() => {
-    const saved = localStorage.getItem('basketball-highscore');
-    return saved ? parseInt(saved, 10) : 0;
-  });
-  // Remaining lives (misses).  The player is allowed five misses before
-  // the game ends.
-  const [lives, setLives] = useState(5);
+  // Counts sessions started.  Game is keyed on it, so every session gets
+  // a fresh engine and recorder, even one started straight from another.
+  const [session, setSession] = useState(0);
   // When true the game is over and we show the game over modal.
   const [gameOver, setGameOver] = useState(false);
-  // Shared AudioContext for all sound effects.  This is created once
-  // when the user starts the game to comply with browser autoplay policies.
-  const audioCtxRef = useRef(null);
-
-  /**
-   * Begin a new game session.  Reset scores and lives.  We also clear
-   * any game over state so the Game component can mount.
-   */
-  const handleStart = () => {
-    // Create a new AudioContext on the first user interaction.  This is
-    // necessary for browsers that block audio until a user gesture.
-    if (!audioCtxRef.current) {
-      try {
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        audioCtxRef.current = new AudioContext();
-      } catch (err) {
-        console.warn('AudioContext not supported:', err);
-      }
+  // Id of the selected game mode.
+  const [modeId, setModeId] = useState(DEFAULT_MODE);
+  const mode = getMode(modeId);
+  // Everyone taking part in the session, each with their own score,
+  // makes, misses, streak and bonus totals (see scoring.js for how shots
+  // are valued), lives and H-O-R-S-E letters.
+  const [players, setPlayers] = useState(() => createPlayers([null], mode));
+  // Index of the player whose turn it is.
+  const [current, setCurrent] = useState(0);
+  const isHotSeat = players.length > 1;
+  const { stats, lives } = players[current];
+  // True while the computer opponent has the ball.
+  const cpuTurn = players[current].cpu;
+  const { score } = stats;
+  // H-O-R-S-E turn state, or null in other modes.
+  const [horse, setHorse] = useState(null);
+  // Progress through the levels, { index, makes, cleared }, or null in
+  // modes without levels.  Everyone's makes count towards clearing one.
+  const [level, setLevel] = useState(null);
+  const currentLevel = level ? LEVELS[level.index] : null;
+  // True while the level complete screen is up between two levels.
+  const betweenLevels = Boolean(level && level.cleared);
+  // The daily challenge being played, { key, shots, outcomes }, or null
+  // in other modes.  outcomes lists the result of every shot so far.
+  const [dailyRun, setDailyRun] = useState(null);
+  // Today's challenge record and streak.
+  const [daily, finishDaily, saveDailyProgress] = useDaily();
+  // Step of the tutorial being played (see tutorial.js), or null in other
+  // modes.  Once it reaches the number of steps the tutorial is over and
+  // the game waits behind the tutorial complete screen.
+  const [tutorialStep, setTutorialStep] = useState(null);
+  const tutorialFinished = tutorialStep === TUTORIAL_STEPS.length;
+  // Whether this device has finished or skipped the tutorial; null while
+  // loading.
+  const [tutorialDone, completeTutorial] = useTutorial();
+  // The tutorial starts by itself once per visit until it is done.
+  const tutorialOfferedRef = useRef(false);
+  // How well the shot being lined up aligns with the hoop, and how well
+  // the last shot taken did, for the tutorial.
+  const alignmentRef = useRef(0);
+  const launchAlignmentRef = useRef(0);
+  // Layout of the hoop, ball and wind being played, from the level or the
+  // daily challenge, or null for the standard court.
+  let stage = currentLevel;
+  if (dailyRun) {
+    stage = dailyRun.shots[Math.min(dailyRun.outcomes.length, DAILY_SHOTS - 1)];
+  }
+  // Wind, defenders and bumpers the shooter's score has brought on, in
+  // modes with hazards.
+  const hazards = hazardsFor(mode, score);
+  // Spot the ball starts from as fractions of the court, or null for the
+  // default.  Chosen by the H-O-R-S-E leader or the level.
+  const [ballStart, setBallStart] = useState(null);
+  // Persisted high score of every mode, keyed by mode id, and of its
+  // assisted games (see settings.js).  Loaded from storage on mount and
+  // saved when a session ends.
+  const [highScores, setHighScores] = useState({});
+  // True once the running or finished session has used the aim assist.
+  // Such sessions keep separate records and stay off leaderboards.
+  const [assisted, setAssisted] = useState(false);
+  // True once the running or finished session has used sandbox physics.
+  // Such sessions are left out of records and leaderboards.
+  const [customRules, setCustomRules] = useState(false);
+  const recordKey = assisted ? assistedKey(modeId) : modeId;
+  // While playing, a new best shows up immediately even though it is only
+  // saved once the session is over.
+  const highScore = Math.max(highScores[recordKey] || 0, gameStarted && !customRules ? score : 0);
+  // True while the stats screen is open.
+  const [showStats, setShowStats] = useState(false);
+  // True while the achievements gallery is open.
+  const [showAchievements, setShowAchievements] = useState(false);
+  // Unlocked achievements and their counts, and the ones just unlocked
+  // that are waiting to be shown or showing, oldest first.
+  const [achievements, recordAchievementEvent, newAchievementGame] = useAchievements();
+  const [toasts, setToasts] = useState([]);
+  // True while in the head to head lobby or a race.
+  const [playingOnline, setPlayingOnline] = useState(false);
+  // Named top 10 scores per mode.
+  const leaderboard = useLeaderboard();
+  // Drag or flick pointer controls, remembered per device.
+  const [controls, updateControls] = useControls();
+  // Volumes, mute and music, remembered per device.
+  const [audioSettings, updateAudioSettings] = useAudioSettings();
+  // Handedness, reduced motion, theme and the rules sandbox.
+  const [settings, updateSettings] = useSettings();
+  // True while the settings screen is open, over the menu or the game.
+  const [showSettings, setShowSettings] = useState(false);
+  // True while the game is paused.  The pause screen shows unless the
+  // settings are open on top of it.
+  const [paused, setPaused] = useState(false);
+  // Seconds left of the countdown before a paused game carries on, or
+  // null when not counting down.
+  const [resumeCountdown, setResumeCountdown] = useState(null);
+  const playing = gameStarted && !gameOver;
+  // Nothing moves and no time passes while paused, counting down or
+  // between levels.
+  const frozen = paused || resumeCountdown !== null || betweenLevels || tutorialFinished;
+  // Id of the leaderboard entry saved for the session that just ended.
+  const [savedEntryId, setSavedEntryId] = useState(null);
+  // Milliseconds left on the clock, or null when the mode is untimed.
+  const [timeLeft, setTimeLeft] = useState(null);
+  // Recorder of the running Game.  Finished when the session ends to
+  // produce its replay.
+  const recorderRef = useRef(null);
+  // Replay of the most recently finished session.
+  const [lastReplay, setLastReplay] = useState(null);
+  // Outcome of sending the last session to the leaderboard server: null
+  // when nothing was sent, { status: 'sending' } while waiting, then the
+  // result from leaderboardClient.
+  const [submission, setSubmission] = useState(null);
+  // Replay currently shown in the viewer, or null when not watching.
+  const [watchedReplay, setWatchedReplay] = useState(null);
+  // Message shown when an imported replay file can't be used.
+  const [replayError, setReplayError] = useState(null);
+  // Outcome class and points of the most recent shot, shown briefly as
+  // feedback.
+  const [feedback, setFeedback] = useState(null);
+  // Latest message for screen readers, read out by the live region.
+  const [announcement, setAnnouncement] = useState('');
+  // Number of hints asked for; each one shows Game's suggested drag.
+  const [hint, setHint] = useState(0);
+  // True while the start screen is up.  Left alone for a while, it gets
+  // the attract-mode demo playing behind it.
+  const onStartScreen =
+    !gameStarted &&
+    !gameOver &&
+    !watchedReplay &&
+    !showStats &&
+    !showAchievements &&
+    !showSettings &&
+    !playingOnline;
+  const attract = useIdle(ATTRACT_IDLE_MS, onStartScreen && !settings.reducedMotion);
+
+  // A first-time player goes straight into the tutorial.
+  useEffect(() => {
+    if (tutorialDone !== false || !onStartScreen || tutorialOfferedRef.current) return;
+    tutorialOfferedRef.current = true;
+    startSession('tutorial', [null]);
+  }, [tutorialDone, onStartScreen]);
+
+  // Read out each tutorial step as it comes up, and remember the tutorial
+  // as done once it's finished.
+  useEffect(() => {
+    if (tutorialStep === null) return;
+    if (tutorialFinished) {
+      completeTutorial();
+      setAnnouncement('Tutorial complete.');
+      return;
     }
-    setScore(0);
-    setLives(5);
-    setGameStarted(true);
-    setGameOver(false);
-  };
+    const { title, text } = TUTORIAL_STEPS[tutorialStep];
+    setAnnouncement(`${title}.  ${text}`);
+  }, [tutorialStep]);
+
+  // Load the saved high scores once on mount.
+  useEffect(() => {
+    getStorage()
+      .then(store => store.get('highScores', {}))
+      .then(setHighScores)
+      .catch(err => console.warn('Could not load high scores:', err));
+  }, []);
+
+  // Keep retrying submissions that were queued while offline.
+  useEffect(() => startRetrying(), []);
+
+  // Clear the shot feedback after a moment so the instructions return.
+  useEffect(() => {
+    if (!feedback) return undefined;
+    const id = setTimeout(() => setFeedback(null), 1200);
+    return () => clearTimeout(id);
+  }, [feedback]);
+
+  // Take the oldest achievement toast down after a while.
+  useEffect(() => {
+    if (toasts.length === 0) return undefined;
+    const id = setTimeout(() => setToasts(t => t.slice(1)), ACHIEVEMENT_TOAST_MS);
+    return () => clearTimeout(id);
+  }, [toasts]);
+
+  // Run the clock for timed modes.  Elapsed time is measured rather than
+  // assumed so a late interval doesn't give the player extra time.
+  const isTimed = playing && !frozen && mode.timeLimit !== null;
+  useEffect(() => {
+    if (!isTimed) return undefined;
+    let last = performance.now();
+    const id = setInterval(() => {
+      const now = performance.now();
+      const elapsed = now - last;
+      last = now;
+      setTimeLeft(prev => Math.max(0, prev - elapsed));
+    }, 100);
+    return () => clearInterval(id);
+  }, [isTimed]);
+
+  // Pause when the player switches tab or app, e.g. for a phone call.
+  useEffect(() => {
+    if (!playing) return undefined;
+    const onVisibilityChange = () => {
+      if (document.hidden) pauseGame();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('blur', pauseGame);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('blur', pauseGame);
+    };
+  }, [playing]);
+
+  // Escape or P pauses; P resumes again.  Escape on the pause screen is
+  // handled by its menu navigation.
+  useEffect(() => {
+    if (!playing || showSettings || betweenLevels || tutorialFinished) return undefined;
+    const onKeyDown = e => {
+      const isPauseKey = e.key === 'p' || e.key === 'P';
+      if (!paused && (isPauseKey || e.key === 'Escape')) pauseGame();
+      else if (paused && isPauseKey) resumeGame();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [playing, paused, showSettings, betweenLevels, tutorialFinished]);
+
+  // Count down to carry on after a pause, then let time run and the
+  // sound play again.
+  useEffect(() => {
+    if (resumeCountdown === null) return undefined;
+    if (resumeCountdown === 0) {
+      setResumeCountdown(null);
+      getAudio().resume();
+      return undefined;
+    }
+    const id = setTimeout(() => setResumeCountdown(resumeCountdown - 1), 1000);
+    return () => clearTimeout(id);
+  }, [resumeCountdown]);
+
+  // Changing the rules mid-game makes it a sandbox game from then on.
+  useEffect(() => {
+    if (gameStarted && !isStandardPhysics(settings.physics)) setCustomRules(true);
+  }, [gameStarted, settings.physics]);
+
+  // Turning on an aiming aid mid-game makes it an assisted game from then
+  // on.
+  useEffect(() => {
+    if (gameStarted && isAssisted(settings)) setAssisted(true);
+  }, [gameStarted, settings.aimAssist, settings.audioAim]);
+
+  // The round is over when the clock runs out.  With several players the
+  // next one takes their round.
+  useEffect(() => {
+    if (isTimed && timeLeft === 0) handleClockOut();
+  }, [isTimed, timeLeft]);
 
   /**
-   * Simple tone generator using the Web Audio API.  It creates a short
-   * sine wave burst at the given frequency and duration.  Because
-   * AudioContext cannot be reused after being closed, each call
-   * constructs its own context.  This helper is used to implement
-   * the various sound effects (score, miss and game over).
+   * Reset players, turns and the clock according to the mode's rules.
    *
-   * @param {number} frequency The frequency of the tone in Hertz.
-   * @param {number} duration The duration of the tone in milliseconds.
-   */
-  function playTone(frequency, duration) {
-    const ctx = audioCtxRef.current;
-    if (!ctx) return;
-
-    const oscillator = ctx.createOscillator();
-    const gain = ctx.createGain();
-    oscillator.type = 'sine';
-    oscillator.frequency.value = frequency;
-    oscillator.connect(gain);
-    gain.connect(ctx.destination);
-    // Start the oscillator immediately
-    oscillator.start();
-    // Fade the gain out exponentially
-    gain.gain.setValueAtTime(1, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(
-      0.001,
-      ctx.currentTime + duration / 1000
-    );
-    // Stop after the duration
-    oscillator.stop(ctx.currentTime + duration / 1000);
+   * @param {object} nextMode Mode to play.
+   * @param {Array<string|null>} names Player names, [null] for solo.
+   */
+  function resetSession(nextMode, names) {
+    setPlayers(createPlayers(names, nextMode));
+    setCurrent(0);
+    setHorse(nextMode.id === 'horse' ? createHorse() : null);
+    setLevel(nextMode.levels ? { index: 0, makes: 0, cleared: false } : null);
+    setTutorialStep(nextMode.tutorial ? 0 : null);
+    newAchievementGame();
+    const key = dateKey();
+    const run = nextMode.daily ? { key, shots: dailyShots(key), outcomes: [] } : null;
+    setDailyRun(run);
+    // The day's go is used up from the first moment, even if the page is
+    // closed before the end.
+    if (run) saveDailyProgress(key, [], 0);
+    let start = null;
+    if (nextMode.levels) start = LEVELS[0].ball;
+    if (run) start = run.shots[0].ball;
+    setBallStart(start);
+    setSavedEntryId(null);
+    setTimeLeft(nextMode.timeLimit === null ? null : nextMode.timeLimit * 1000);
+    setCustomRules(!isStandardPhysics(settings.physics));
+    setAssisted(isAssisted(settings));
   }
 
   /**
-   * Sound effect for a missed shot.  A short low-frequency blip.
+   * Freeze the game and the sound and show the pause screen.  Pausing
+   * during the resume countdown starts over.
    */
-  function playMissSound() {
-    playTone(200, 220);
+  function pauseGame() {
+    setPaused(true);
+    setResumeCountdown(null);
+    getAudio().suspend();
   }
 
   /**
-   * Sound effect for a scored shot.  A brighter mid-frequency tone.
+   * Leave the pause screen.  Play carries on after a countdown.
    */
-  function playScoreSound() {
-    playTone(550, 260);
+  function resumeGame() {
+    setPaused(false);
+    setResumeCountdown(RESUME_COUNTDOWN);
+  }
+
+  /**
+   * Abandon the paused game for the start screen.  Nothing is recorded.
+   */
+  function quitGame() {
+    // Walking away from the daily challenge still uses up the day; the
+    // shots not taken count as misses.
+    if (dailyRun) {
+      const missed = Array(DAILY_SHOTS - dailyRun.outcomes.length).fill('airball');
+      finishDaily(dailyRun.key, [...dailyRun.outcomes, ...missed], score);
+    }
+    setPaused(false);
+    setResumeCountdown(null);
+    setGameStarted(false);
+    getAudio().resume();
+  }
+
+  /**
+   * End the current session and show the game over modal.
+   *
+   * @param {Array} finalPlayers Players including the final shot, for
+   *   callers that end the game in the same update that changes them.
+   */
+  function endGame(finalPlayers = players) {
+    getAudio().play('gameOver');
+    setAnnouncement(
+      finalPlayers.length > 1
+        ? 'Game over.'
+        : `Game over.  Final score ${finalPlayers[0].stats.score}.`
+    );
+    setPlayers(finalPlayers);
+    setGameOver(true);
+    setGameStarted(false);
+    let replay = recorderRef.current ? recorderRef.current.finish() : null;
+    // Every shot of the session was counted as a make or a miss, bar one
+    // still in the air when the game ended.  A replay with more shots
+    // than that has picked up another session's and would not rescore.
+    const attempts = finalPlayers.reduce((n, p) => n + p.stats.makes + p.stats.misses, 0);
+    if (replay && countShots(replay) > attempts + 1) {
+      console.warn('Dropping a replay with shots from another session.');
+      replay = null;
+    }
+    setLastReplay(replay);
+    // Party and sandbox games don't count towards records or leaderboards.
+    if (finalPlayers.length > 1 || customRules) {
+      setSubmission(null);
+      return;
+    }
+    recordSession(finalPlayers[0].stats);
+    // Assisted games have their own records but no leaderboard, and
+    // levels and the daily challenge aren't ranked online.
+    if (assisted || mode.levels || mode.daily) setSubmission(null);
+    else submitSession(finalPlayers[0].stats, replay);
   }
 
   /**
-   * Sound effect for game over.  A descending three-note sequence
-   * indicating the end of the session.  Each call schedules the
-   * individual tones slightly apart.
+   * The current player's clock ran out: hand over to the next player who
+   * hasn't had a round yet, or end the game.
    */
-  function playGameOverSound() {
-    // Sequence of frequencies and durations
-    const sequence = [
-      { freq: 440, dur: 200 },
-      { freq: 330, dur: 200 },
-      { freq: 220, dur: 400 },
-    ];
-    let delay = 0;
-    for (const note of sequence) {
-      setTimeout(() => playTone(note.freq, note.dur), delay);
-      delay += note.dur + 50;
+  function handleClockOut() {
+    const nextPlayers = players.map((p, i) => (i === current ? { ...p, out: true } : p));
+    const next = nextPlayer(nextPlayers, current);
+    if (next === -1) {
+      endGame(nextPlayers);
+      return;
     }
+    setPlayers(nextPlayers);
+    setCurrent(next);
+    setTimeLeft(mode.timeLimit * 1000);
   }
 
   /**
-   * Called whenever the player successfully scores a basket.  Increments
-   * the score and updates the high score if necessary.  We persist the
-   * high score in localStorage so it survives page reloads.
+   * Store the current player's updated state after a shot and pass the
+   * turn on, ending the game when nobody is left to shoot.
+   *
+   * @param {object} updated The shooter's new player state.
+   * @param {object} shot { made, outcome } of the shot.
    */
-  const handleScore = () => {
-    // Play a cheerful tone to indicate a successful shot.
-    playScoreSound();
-    setScore(prev => {
-    const newScore = prev + 1;
-      if (newScore > highScore) {
-        setHighScore(newScore);
-        localStorage.setItem('basketball-highscore', String(newScore));
+  function finishShot(updated, shot) {
+    const nextPlayers = players.map((p, i) => (i === current ? updated : p));
+    if (horse) {
+      const result = horseShot(nextPlayers, horse, current, { ...shot, start: ballStart });
+      if (result.over) {
+        endGame(result.players);
+        return;
       }
-      return newScore;
-    });
+      setPlayers(result.players);
+      setHorse(result.horse);
+      setCurrent(result.current);
+      setBallStart(result.start);
+      return;
+    }
+    if (updated.out && nextPlayer(nextPlayers, current) === -1) {
+      endGame(nextPlayers);
+      return;
+    }
+    // Against the CPU there is no point playing on once the only player
+    // left is already ahead.
+    const remaining = nextPlayers.filter(p => !p.out);
+    if (
+      mode.cpu &&
+      remaining.length === 1 &&
+      nextPlayers.every(p => p === remaining[0] || p.stats.score < remaining[0].stats.score)
+    ) {
+      endGame(nextPlayers);
+      return;
+    }
+    setPlayers(nextPlayers);
+    // In timed modes each player keeps shooting until their clock runs out.
+    if (mode.timeLimit === null) setCurrent(nextPlayer(nextPlayers, current));
+  }
+
+  /**
+   * Send the finished session to the leaderboard server together with its
+   * replay, which the server re-simulates to check the score.
+   */
+  function submitSession(finalStats, replay) {
+    if (!replay || finalStats.score === 0) {
+      setSubmission(null);
+      return;
+    }
+    setSubmission({ status: 'sending' });
+    submitScore({
+      name: leaderboard.playerName || 'Player',
+      mode: modeId,
+      score: finalStats.score,
+      replay,
+    })
+      .then(setSubmission)
+      .catch(err => {
+        console.warn('Could not submit score:', err);
+        setSubmission(null);
+      });
+  }
+
+  /**
+   * Persist the finished session and, if it beat the mode's best, the
+   * new high score.  Assisted games are compared with other assisted
+   * games only.
+   */
+  function recordSession(finalStats) {
+    const isBest = finalStats.score > (highScores[recordKey] || 0);
+    const nextHighScores = isBest
+      ? { ...highScores, [recordKey]: finalStats.score }
+      : highScores;
+    if (isBest) setHighScores(nextHighScores);
+    getStorage()
+      .then(store => {
+        const saves = [
+          store.addSession({
+            date: new Date().toISOString(),
+            mode: modeId,
+            score: finalStats.score,
+            makes: finalStats.makes,
+            attempts: finalStats.makes + finalStats.misses,
+            longestStreak: finalStats.longestStreak,
+            bonusPoints: finalStats.bonusPoints,
+            assisted,
+          }),
+        ];
+        if (isBest) saves.push(store.set('highScores', nextHighScores));
+        return Promise.all(saves);
+      })
+      .catch(err => console.warn('Could not save session:', err));
+  }
+
+  /**
+   * Begin a new game session in the chosen mode.  Reset scores, lives
+   * and the clock.  We also clear any game over state so the Game
+   * component can mount.
+   *
+   * @param {string} nextModeId Id of the mode to play.
+   */
+  const handleStart = (nextModeId, names) => {
+    // Browsers block audio until a user gesture, and pressing Start is
+    // the first one we can rely on.
+    getAudio().unlock();
+    startSession(nextModeId, names);
   };
 
   /**
-   * Called when the player misses a shot.  Decreases the life counter
-   * and, if no lives remain, ends the game.  The Game component
-   * automatically resets the ball after invoking this callback.
-   */
-  const handleMiss = () => {
-    // Play a low tone to signal a missed shot
-    playMissSound();
-    setLives(prev => {
-      const newLives = prev - 1;
-      if (newLives <= 0) {
-        // Play a distinctive sound for game over
-        playGameOverSound();
-        setGameOver(true);
-        setGameStarted(false);
+   * Start a session, unless it's a daily challenge that has already been
+   * played today: there is one go per day whichever way it's started.
+   */
+  function startSession(nextModeId, names) {
+    const nextMode = getMode(nextModeId);
+    if (nextMode.daily && daily.lastPlayed === dateKey()) return;
+    setModeId(nextModeId);
+    resetSession(nextMode, names);
+    setSession(n => n + 1);
+    recorderRef.current = null;
+    setGameStarted(true);
+    setGameOver(false);
+  }
+
+  /**
+   * Called whenever the player successfully scores a basket.  Adds the
+   * shot's value to the score.  The high score is only saved when the
+   * session ends.
+   *
+   * @param {object} shot { outcome, distance } reported by the engine.
+   */
+  const handleScore = shot => {
+    const { stats: next, points } = applyMake(stats, shot);
+    playShotSounds({ made: true, outcome: shot.outcome }, stats, next);
+    setFeedback({ outcome: shot.outcome, points });
+    const tier = mode.hazards ? hazardTier(next.score) : null;
+    const newHazard = tier && tier !== hazardTier(stats.score) ? `  ${tier.label}.` : '';
+    announceShot(
+      `${OUTCOME_LABELS[shot.outcome]}  Plus ${points}, score ${next.score}.${newHazard}`
+    );
+    tutorialEvent({ type: 'shot', made: true, alignment: launchAlignmentRef.current });
+    const updated = { ...players[current], stats: next };
+    if (level) {
+      const makes = level.makes + 1;
+      const cleared = makes >= currentLevel.makes;
+      setLevel({ ...level, makes, cleared });
+      // Clearing the last level wins the game.
+      if (cleared && level.index === LEVELS.length - 1) {
+        endGame(players.map((p, i) => (i === current ? updated : p)));
+        return;
       }
-      return newLives;
-    });
+    }
+    if (nextDailyShot(shot.outcome, updated)) return;
+    finishShot(updated, { made: true, outcome: shot.outcome });
   };
 
   /**
-   * Restart the game from the game over screen.  This resets the
-   * current score and restores the life counter.  High score remains
-   * unchanged since it is stored separately.
+   * Count a shot of the daily challenge and set up the next one, or end
+   * the game after the last.  Returns true if the game ended.
+   *
+   * @param {string} outcome Outcome of the shot.
+   * @param {object} updated The shooter's new player state.
    */
-  const handleRestart = () => {
-    setScore(0);
-    setLives(5);
-    setGameStarted(true);
+  function nextDailyShot(outcome, updated) {
+    if (!dailyRun) return false;
+    const outcomes = [...dailyRun.outcomes, outcome];
+    setDailyRun({ ...dailyRun, outcomes });
+    if (outcomes.length >= DAILY_SHOTS) {
+      finishDaily(dailyRun.key, outcomes, updated.stats.score);
+      endGame([updated]);
+      return true;
+    }
+    saveDailyProgress(dailyRun.key, outcomes, updated.stats.score);
+    setBallStart(dailyRun.shots[outcomes.length].ball);
+    return false;
+  }
+
+  /**
+   * Leave the level complete screen for the next level.
+   */
+  const handleNextLevel = () => {
+    const index = level.index + 1;
+    setLevel({ index, makes: 0, cleared: false });
+    setBallStart(LEVELS[index].ball);
+    setAnnouncement(`Level ${index + 1}: ${LEVELS[index].name}.`);
+  };
+
+  /**
+   * Called when the player misses a shot.  In modes with lives this
+   * decreases the shooter's life counter; a player without lives is out
+   * and the game ends once everyone is.  The Game component automatically
+   * resets the ball after invoking this callback.
+   *
+   * @param {object} shot { outcome } reported by the engine.
+   */
+  const handleMiss = shot => {
+    setFeedback({ outcome: shot.outcome, points: 0 });
+    const next = applyMiss(stats);
+    playShotSounds({ made: false, outcome: shot.outcome }, stats, next);
+    const newLives = lives === null ? null : lives - 1;
+    const out = newLives !== null && newLives <= 0;
+    const livesLeft = newLives === null ? '' : `  ${livesLabel(newLives)}.`;
+    announceShot(`${OUTCOME_LABELS[shot.outcome]}.${livesLeft}`);
+    tutorialEvent({ type: 'shot', made: false, alignment: launchAlignmentRef.current });
+    const updated = { ...players[current], stats: next, lives: newLives, out };
+    if (nextDailyShot(shot.outcome, updated)) return;
+    finishShot(updated, { made: false, outcome: shot.outcome });
+  };
+
+  /**
+   * Tell screen readers how a shot went, naming the shooter when players
+   * take turns.
+   */
+  function announceShot(text) {
+    setAnnouncement(isHotSeat ? `${players[current].name}: ${text}` : text);
+  }
+
+  // Working out how well a shot lines up takes a prediction every frame,
+  // so Game only does it for audio-cue aiming and the tutorial.
+  const tutorialRunning = tutorialStep !== null && !tutorialFinished;
+  const wantsAlignment = settings.audioAim || tutorialRunning;
+
+  /**
+   * Audio-cue aiming, when turned on, and the tutorial's aiming step.
+   * Called by Game every frame while either needs it.
+   */
+  const handleAim = alignment => {
+    playAimCue(settings.audioAim ? alignment : null);
+    if (alignment === null || !tutorialRunning) return;
+    alignmentRef.current = alignment;
+    tutorialEvent({ type: 'aim' });
+  };
+
+  /**
+   * Remember how well the shot just taken was lined up, for the tutorial.
+   */
+  const handleLaunch = () => {
+    launchAlignmentRef.current = alignmentRef.current;
+    // The tutorial starts by itself, so its first shot may be the first
+    // gesture audio can be unlocked from.
+    if (mode.tutorial) getAudio().unlock();
+    tutorialEvent({ type: 'launch' });
+  };
+
+  /**
+   * Move the tutorial on when the player does what its step asks.
+   *
+   * @param {object} event See advanceTutorial() in tutorial.js.
+   */
+  function tutorialEvent(event) {
+    setTutorialStep(step => (step === null ? null : advanceTutorial(step, event)));
+  }
+
+  /**
+   * Leave the tutorial for the start screen.  It won't come up by itself
+   * again, but can be played from the settings.
+   */
+  const skipTutorial = () => {
+    completeTutorial();
+    quitGame();
+  };
+
+  /**
+   * Count a game event from Game towards the achievements and show any it
+   * unlocks.  Only the player's own shots count, so not the CPU's, nor
+   * games with several players on one device or with custom rules.
+   *
+   * @param {object} event Typed event, see Game's onEvent prop.
+   */
+  const handleGameEvent = event => {
+    if (customRules || cpuTurn || (isHotSeat && !mode.cpu)) return;
+    const unlocked = recordAchievementEvent(event);
+    if (unlocked.length === 0) return;
+    setToasts(t => [...t, ...unlocked]);
+    // After the sounds of the shot that earned it.
+    getAudio().play('achievement', undefined, 0.4);
+  };
+
+  /**
+   * Show the drag of a shot that would score.  A hint is help, so the
+   * session counts as assisted from then on.
+   */
+  const showHint = () => {
+    setHint(h => h + 1);
+    setAssisted(true);
+    setAnnouncement('Showing a shot that scores from here.');
+  };
+
+  /**
+   * Restart the game from the game over screen in the same mode.  This
+   * resets the current score and restores the life counter and clock.
+   * High score remains unchanged since it is stored separately.
+   */
+  const handleRestart = () => startSession(modeId, players.map(p => p.name));
+
+  /**
+   * Leave the game over screen for the start screen to pick another mode.
+   */
+  const handleMenu = () => {
     setGameOver(false);
   };
 
+  /**
+   * Put the finished session on the leaderboard under the given name.
+   */
+  const handleSaveName = name => {
+    setSavedEntryId(leaderboard.addScore(name, score, modeId));
+  };
+
+  // Where the finished session sits on its mode's leaderboard: already
+  // saved, eligible for a name, or not in the top 10.
+  const modeBoard = leaderboard.boards[modeId] || [];
+  const savedRank = savedEntryId ? modeBoard.findIndex(e => e.id === savedEntryId) : -1;
+  const pendingRank =
+    gameOver && !savedEntryId && !isHotSeat && !customRules && !assisted
+      ? rankFor(modeBoard, score)
+      : -1;
+
+  // How far a Levels game got, for the game over screen.
+  let levelLabel = null;
+  if (level) {
+    levelLabel =
+      level.cleared && level.index === LEVELS.length - 1
+        ? `All ${LEVELS.length} levels cleared!`
+        : `Reached level ${level.index + 1} of ${LEVELS.length}`;
+  }
+
+  // Prompt shown in the score row while waiting for a shot.
+  let instruction =
+    controls.scheme === 'flick' ? 'Flick the ball to shoot' : 'Drag up and release to shoot';
+  if (horse && horse.call) {
+    instruction = `Make ${CALL_LABELS[horse.call.outcome]} from this spot`;
+  } else if (horse) {
+    instruction = 'Tap to place the ball, then shoot';
+  }
+  if (cpuTurn) instruction = 'Lining up a shot…';
+  if (isHotSeat) instruction = `${players[current].name}: ${instruction}`;
+
+  /**
+   * Save the replay of the last session as a JSON file.
+   */
+  const handleExportReplay = () => {
+    if (!lastReplay) return;
+    downloadJSON(`basketball-replay-${fileTimestamp()}.json`, lastReplay);
+  };
+
+  /**
+   * Validate a replay loaded from disk and start watching it.
+   */
+  const handleImportReplay = data => {
+    try {
+      setWatchedReplay(parseReplay(data));
+      setReplayError(null);
+    } catch (err) {
+      setReplayError(err.message);
+    }
+  };
+
+  const handleImportError = err => setReplayError(err.message);
+
   return (
-    <div className="app-container">
+    <div className={`app-container${settings.reducedMotion ? ' reduced-motion' : ''}`}>
+      {/* Makes, misses, lives and the end of the game for screen readers. */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {announcement}
+      </div>
+      {/* Achievements just unlocked */}
+      <AchievementToast achievements={toasts} />
+      {/* The bot playing by itself behind the start screen */}
+      {attract && <AttractDemo theme={settings.theme} handedness={settings.handedness} />}
       {/* Show the start modal when the game hasn't started and isn't over */}
-      {!gameStarted && !gameOver && <StartModal onStart={handleStart} />}
+      {onStartScreen && (
+        <StartModal
+          initialMode={mode.tutorial ? DEFAULT_MODE : modeId}
+          highScores={highScores}
+          onStart={handleStart}
+          onShowStats={() => setShowStats(true)}
+          onShowAchievements={() => setShowAchievements(true)}
+          daily={daily}
+          onPlayOnline={() => {
+            getAudio().unlock();
+            setPlayingOnline(true);
+          }}
+          onShowSettings={() => setShowSettings(true)}
+          controls={controls}
+          boards={leaderboard.boards}
+          onExportBoards={leaderboard.exportFile}
+          onImportBoards={leaderboard.importFile}
+          onImportBoardsError={leaderboard.importError}
+          leaderboardMessage={leaderboard.message}
+          onImportReplay={handleImportReplay}
+          onImportError={handleImportError}
+          replayError={replayError}
+        />
+      )}
 
       {/* Scoreboard and instruction bar displayed above the game area */}
       {gameStarted && !gameOver && (
-        <div className="score-row">
-          <div>
-            <span className="label">Score:</span> {score}
-          </div>
-          <div>
-            <span className="label">High:</span> {highScore}
+        <div className={`score-row${isHotSeat ? ' hot-seat' : ''}`}>
+          {isHotSeat && (
+            <div className="turn-order">
+              {players.map((p, idx) => (
+                <span
+                  key={idx}
+                  className={`turn-player${idx === current ? ' current' : ''}${p.out ? ' out' : ''}`}
+                >
+                  {p.name} {horse ? lettersOf(p) || '–' : p.stats.score}
+                </span>
+              ))}
+            </div>
+          )}
+          {!horse && (
+            <div>
+              <span className="label">Score:</span> {score}
+            </div>
+          )}
+          {!isHotSeat && (
+            <div>
+              <span className="label">High:</span> {highScore}
+            </div>
+          )}
+          {currentLevel && (
+            <div className="level-indicator" title={currentLevel.name}>
+              <span className="label">Level:</span> {level.index + 1}/{LEVELS.length}
+              <span className="level-makes">
+                {Math.min(level.makes, currentLevel.makes)}/{currentLevel.makes} made
+              </span>
+            </div>
+          )}
+          {stats.streak > 1 && (
+            <div className="combo">
+              {stats.streak} in a row
+              {streakMultiplier(stats.streak) > 1 && (
+                <span className="multiplier">×{streakMultiplier(stats.streak)}</span>
+              )}
+            </div>
+          )}
+          {lives !== null && (
+            <div className="lives" role="img" aria-label={livesLabel(lives)}>
+              {Array.from({ length: lives }).map((_, idx) => (
+                <span key={idx} className="life" />
+              ))}
+            </div>
+          )}
+          {timeLeft !== null && (
+            <div className={`clock${timeLeft < 10000 ? ' low' : ''}`}>
+              {Math.ceil(timeLeft / 1000)}s
+            </div>
+          )}
+          {dailyRun && (
+            <div>
+              <span className="label">Shot:</span>{' '}
+              {Math.min(dailyRun.outcomes.length + 1, DAILY_SHOTS)}/{DAILY_SHOTS}
+            </div>
+          )}
+          {mode.lives === null && mode.timeLimit === null && !mode.daily && !mode.tutorial && (
+            <button className="ui-button small" onClick={() => endGame()}>End</button>
+          )}
+          <button
+            className="ui-button small mute-button"
+            onClick={() => updateAudioSettings({ muted: !audioSettings.muted })}
+            aria-pressed={audioSettings.muted}
+          >
+            {audioSettings.muted ? 'Unmute' : 'Mute'}
+          </button>
+          <button className="ui-button small" onClick={showHint} disabled={cpuTurn}>
+            Show me
+          </button>
+          <button className="ui-button small" onClick={pauseGame}>Pause</button>
+          <button
+            className="ui-button small gear-button"
+            onClick={() => {
+              pauseGame();
+              setShowSettings(true);
+            }}
+            aria-label="Settings"
+            title="Settings"
+          >
+            ⚙
+          </button>
+          <div className={`instruction-text${feedback ? ' feedback' : ''}`}>
+            {feedback
+              ? `${OUTCOME_LABELS[feedback.outcome]}${feedback.points ? ` +${feedback.points}` : ''}`
+              : instruction}
           </div>
-          <div className="lives">
-            {Array.from({ length: lives }).map((_, idx) => (
-              <span key={idx} className="life" />
-            ))}
-          </div>
-          <div className="instruction-text">Drag up and release to shoot</div>
         </div>
       )}
 
@@ -196,18 +961,152 @@ export default function App() {
       {gameStarted && (
         <div className="game-area">
           <Game
+            key={session}
             onScore={handleScore}
             onMiss={handleMiss}
+            onLaunch={handleLaunch}
+            onCollision={playCollisionSound}
+            onEvent={handleGameEvent}
+            recorderRef={recorderRef}
+            startPosition={ballStart}
+            onPlaceBall={horse && !horse.call ? setBallStart : undefined}
+            controlScheme={controls.scheme}
+            flickSensitivity={controls.sensitivity}
+            physics={stage ? levelPhysics(stage, settings.physics) : settings.physics}
+            hoop={stage ? stage.hoop : null}
+            hazards={hazards}
+            handedness={settings.handedness}
+            reducedMotion={settings.reducedMotion}
+            theme={settings.theme}
+            aimAssist={settings.aimAssist}
+            onAim={wantsAlignment ? handleAim : undefined}
+            feedback={feedback}
+            bot={cpuTurn ? settings.cpuSkill : null}
+            hint={hint}
+            ghostHand={tutorialRunning}
+            paused={frozen}
           />
+          {tutorialRunning && (
+            <TutorialPrompt step={tutorialStep} onSkip={skipTutorial} />
+          )}
+          {resumeCountdown > 0 && <div className="countdown">{resumeCountdown}</div>}
         </div>
       )}
 
+      {/* Pause screen over the frozen game */}
+      {paused && !showSettings && (
+        <PauseModal
+          modeLabel={mode.label}
+          onResume={resumeGame}
+          onShowSettings={() => setShowSettings(true)}
+          onQuit={quitGame}
+        />
+      )}
+
+      {/* Between two levels */}
+      {playing && betweenLevels && !paused && (
+        <LevelCompleteModal
+          cleared={currentLevel}
+          number={level.index + 1}
+          next={LEVELS[level.index + 1]}
+          onContinue={handleNextLevel}
+        />
+      )}
+
+      {/* At the end of the tutorial */}
+      {playing && tutorialFinished && !paused && (
+        <TutorialCompleteModal
+          onPlay={() => handleStart('classic', [null])}
+          onMenu={() => setGameStarted(false)}
+        />
+      )}
+
       {/* When the game ends, show the game over modal */}
-      {gameOver && (
+      {gameOver && !watchedReplay && isHotSeat && (
+        <HotSeatResultModal
+          modeLabel={mode.label}
+          players={players}
+          isHorse={Boolean(horse)}
+          onRestart={handleRestart}
+          onMenu={handleMenu}
+          canWatchReplay={Boolean(lastReplay)}
+          onWatchReplay={() => setWatchedReplay(lastReplay)}
+        />
+      )}
+      {gameOver && !watchedReplay && !isHotSeat && (
         <GameOverModal
-          score={score}
+          modeLabel={mode.label}
+          stats={stats}
           highScore={highScore}
-          onRestart={handleRestart}
+          onRestart={mode.daily ? undefined : handleRestart}
+          onMenu={handleMenu}
+          pendingRank={pendingRank}
+          savedRank={savedRank}
+          defaultName={leaderboard.playerName}
+          onSaveName={handleSaveName}
+          submission={submission}
+          customRules={customRules}
+          assisted={assisted}
+          levelLabel={levelLabel}
+          dailyShare={
+            dailyRun && dailyRun.outcomes.length === DAILY_SHOTS
+              ? shareText(dailyRun.key, dailyRun.outcomes, stats.score)
+              : null
+          }
+          canWatchReplay={Boolean(lastReplay)}
+          onWatchReplay={() => setWatchedReplay(lastReplay)}
+          onExportReplay={handleExportReplay}
+          onImportReplay={handleImportReplay}
+          onImportError={handleImportError}
+          replayError={replayError}
+        />
+      )}
+
+      {/* Head to head race against another device */}
+      {playingOnline && (
+        <OnlineMatch
+          defaultName={leaderboard.playerName}
+          controls={controls}
+          settings={settings}
+          onExit={() => setPlayingOnline(false)}
+        />
+      )}
+
+      {/* Lifetime statistics, opened from the start screen */}
+      {showStats && <StatsModal onClose={() => setShowStats(false)} />}
+      {showAchievements && (
+        <AchievementsModal
+          achievements={achievements}
+          onClose={() => setShowAchievements(false)}
+        />
+      )}
+
+      {/* Settings, opened from the start screen or the gear in the score row */}
+      {showSettings && (
+        <SettingsModal
+          audioSettings={audioSettings}
+          onChangeAudioSettings={updateAudioSettings}
+          controls={controls}
+          onChangeControls={updateControls}
+          settings={settings}
+          onChangeSettings={updateSettings}
+          onPlayTutorial={
+            gameStarted
+              ? undefined
+              : () => {
+                  setShowSettings(false);
+                  handleStart('tutorial', [null]);
+                }
+          }
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {/* Replay viewer replaces the modals while a replay is playing */}
+      {watchedReplay && (
+        <ReplayViewer
+          replay={watchedReplay}
+          onClose={() => setWatchedReplay(null)}
         />
       )}
       <div className="version-text">V1.0</div>
@@ -0,0 +1,176 @@
+/**
+ * Achievements, unlocked by the game events Game reports (see its onEvent
+ * prop).  Each achievement is described by data rather than code:
+ *   match   – the event it is about: its type and any payload fields it
+ *             needs.  Strings have to be equal; numbers are minimums.
+ *   inARow  – optional; it unlocks after this many shots in a row match.
+ *             Any shot that doesn't (a make or a miss) starts the run
+ *             again.
+ *   total   – optional; it unlocks once this many matching events have
+ *             happened, counted over every game.
+ * Without inARow or total a single matching event unlocks it.
+ *
+ * The record is remembered under the `achievements` key:
+ *   { unlocked: { [id]: ISO date }, totals: { [id]: count },
+ *     runs: { [id]: count } }
+ * Runs only last a game; see endRuns().
+ */
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-basket',
+    title: 'Nothing to it',
+    description: 'Make your first basket.',
+    match: { type: 'scored' },
+  },
+  {
+    id: 'swish',
+    title: 'Nothing but net',
+    description: 'Make a swish.',
+    match: { type: 'scored', outcome: 'swish' },
+  },
+  {
+    id: 'off-the-glass',
+    title: 'Off the glass',
+    description: 'Bank one in off the backboard.',
+    match: { type: 'scored', outcome: 'bank-in' },
+  },
+  {
+    id: 'hat-trick',
+    title: 'Hat trick',
+    description: '3 swishes in a row.',
+    match: { type: 'scored', outcome: 'swish' },
+    inARow: 3,
+  },
+  {
+    id: 'hot-hand',
+    title: 'Hot hand',
+    description: '10 baskets in a row.',
+    match: { type: 'scored' },
+    inARow: 10,
+  },
+  {
+    id: 'pinball',
+    title: 'Pinball',
+    description: 'Score off two wall bounces.',
+    match: { type: 'scored', wallBounces: 2 },
+  },
+  {
+    id: 'rim-dancer',
+    title: 'Rim dancer',
+    description: 'Score after hitting the rim three times.',
+    match: { type: 'scored', rimHits: 3 },
+  },
+  {
+    id: 'so-close',
+    title: 'So close',
+    description: 'Rim out after hitting the rim three times.',
+    match: { type: 'missed', outcome: 'rim-out', rimHits: 3 },
+  },
+  {
+    id: 'moonshot',
+    title: 'Moonshot',
+    description: 'Score a shot that stays in the air for 1.5 seconds.',
+    match: { type: 'scored', airtime: 1500 },
+  },
+  {
+    id: 'cannon',
+    title: 'Cannon',
+    description: 'Score a shot launched at full power.',
+    match: { type: 'scored', speed: 20 },
+  },
+  {
+    id: 'fifty-makes',
+    title: 'Getting the hang of it',
+    description: '50 lifetime makes.',
+    match: { type: 'scored' },
+    total: 50,
+  },
+  {
+    id: 'five-hundred-makes',
+    title: 'Gym rat',
+    description: '500 lifetime makes.',
+    match: { type: 'scored' },
+    total: 500,
+  },
+  {
+    id: 'hundred-swishes',
+    title: 'Silk',
+    description: '100 lifetime swishes.',
+    match: { type: 'scored', outcome: 'swish' },
+    total: 100,
+  },
+];
+
+export const EMPTY_ACHIEVEMENTS = { unlocked: {}, totals: {}, runs: {} };
+
+// Events that end a shot, and with it any run that it didn't extend.
+const SHOT_EVENTS = ['scored', 'missed'];
+
+/**
+ * Whether an event is what an achievement's match describes.
+ */
+export function matches(match, event) {
+  return Object.entries(match).every(([key, wanted]) =>
+    typeof wanted === 'number' ? event[key] >= wanted : event[key] === wanted
+  );
+}
+
+/**
+ * Count an event towards every achievement still locked.
+ *
+ * @param {object} record Achievements record, see above.
+ * @param {object} event Event from Game's onEvent.
+ * @param {string} date ISO date to unlock achievements on.
+ * @returns {{ record: object, unlocked: Array }} The new record, the same
+ *   object when nothing changed, and the achievements the event unlocked.
+ */
+export function recordEvent(record, event, date = new Date().toISOString()) {
+  const unlocked = [];
+  const next = {
+    unlocked: { ...record.unlocked },
+    totals: { ...record.totals },
+    runs: { ...record.runs },
+  };
+  let changed = false;
+  for (const achievement of ACHIEVEMENTS) {
+    const { id, match, inARow, total } = achievement;
+    if (next.unlocked[id]) continue;
+    const matched = matches(match, event);
+    let done = matched;
+    if (inARow) {
+      if (!SHOT_EVENTS.includes(event.type)) continue;
+      const run = matched ? (next.runs[id] || 0) + 1 : 0;
+      if (run !== (next.runs[id] || 0)) changed = true;
+      next.runs[id] = run;
+      done = run >= inARow;
+    } else if (total) {
+      if (!matched) continue;
+      next.totals[id] = (next.totals[id] || 0) + 1;
+      changed = true;
+      done = next.totals[id] >= total;
+    }
+    if (done) {
+      next.unlocked[id] = date;
+      unlocked.push(achievement);
+      changed = true;
+    }
+  }
+  return { record: changed ? next : record, unlocked };
+}
+
+/**
+ * Forget the runs of shots in a row, e.g. when a new game starts.
+ */
+export function endRuns(record) {
+  return Object.keys(record.runs).length === 0 ? record : { ...record, runs: {} };
+}
+
+/**
+ * How far a locked lifetime achievement has got as [count, goal], or null
+ * for any other kind.
+ */
+export function achievementProgress(record, achievement) {
+  const { id, total } = achievement;
+  return total ? [Math.min(record.totals[id] || 0, total), total] : null;
+}
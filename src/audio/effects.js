@@ -0,0 +1,207 @@
+/**
+ * Synthesised sound effects.  Every effect is built from oscillators and
+ * filtered noise at play time, so the game ships no audio files.
+ *
+ * An effect is a function (ctx, out, time, options) that schedules its
+ * nodes to start at `time` (in AudioContext seconds) into the `out` node
+ * and returns its length in seconds.  Scheduling on the audio clock keeps
+ * multi-note effects exactly in time however busy the main thread is.
+ */
+
+// One second of white noise, generated once per context and reused.
+const noiseBuffers = new WeakMap();
+
+function getNoise(ctx) {
+  let buffer = noiseBuffers.get(ctx);
+  if (!buffer) {
+    buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+  }
+  return buffer;
+}
+
+/**
+ * An oscillator burst with a short attack and exponential decay.
+ */
+function tone(ctx, out, { time, freq, endFreq = freq, type = 'sine', duration, gain = 0.3, attack = 0.005 }) {
+  const osc = ctx.createOscillator();
+  const amp = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, time);
+  if (endFreq !== freq) osc.frequency.exponentialRampToValueAtTime(endFreq, time + duration);
+  amp.gain.setValueAtTime(0.0001, time);
+  amp.gain.exponentialRampToValueAtTime(gain, time + attack);
+  amp.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+  osc.connect(amp);
+  amp.connect(out);
+  osc.start(time);
+  osc.stop(time + duration + 0.02);
+}
+
+/**
+ * A burst of band-passed noise.
+ */
+function noise(ctx, out, { time, duration, freq, q = 1, gain = 0.3, attack = 0.005, endFreq = freq }) {
+  const src = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const amp = ctx.createGain();
+  src.buffer = getNoise(ctx);
+  filter.type = 'bandpass';
+  filter.Q.value = q;
+  filter.frequency.setValueAtTime(freq, time);
+  if (endFreq !== freq) filter.frequency.exponentialRampToValueAtTime(endFreq, time + duration);
+  amp.gain.setValueAtTime(0.0001, time);
+  amp.gain.exponentialRampToValueAtTime(gain, time + attack);
+  amp.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+  src.connect(filter);
+  filter.connect(amp);
+  amp.connect(out);
+  src.start(time);
+  src.stop(time + duration + 0.02);
+}
+
+// Map a collision speed (pixels per step) to a loudness between 0.2 and 1.
+function impact(options) {
+  const speed = options && options.speed !== undefined ? options.speed : 10;
+  return Math.min(1, Math.max(0.2, speed / 15));
+}
+
+export const EFFECTS = {
+  /**
+   * A made basket: bright rising chime.
+   */
+  score(ctx, out, time) {
+    tone(ctx, out, { time, freq: 660, duration: 0.18, gain: 0.25, type: 'triangle' });
+    tone(ctx, out, { time: time + 0.08, freq: 880, duration: 0.3, gain: 0.22, type: 'triangle' });
+    return 0.4;
+  },
+
+  /**
+   * A missed shot: short low blip that drops in pitch.
+   */
+  miss(ctx, out, time) {
+    tone(ctx, out, { time, freq: 220, endFreq: 150, duration: 0.25, gain: 0.25 });
+    return 0.25;
+  },
+
+  /**
+   * End of the session: descending three-note phrase.
+   */
+  gameOver(ctx, out, time) {
+    const notes = [440, 330, 220];
+    notes.forEach((freq, i) => {
+      tone(ctx, out, {
+        time: time + i * 0.25,
+        freq,
+        duration: i === notes.length - 1 ? 0.45 : 0.22,
+        gain: 0.25,
+        type: 'triangle',
+      });
+    });
+    return 1;
+  },
+
+  /**
+   * Ball off the rim: metallic clank from two inharmonic partials.
+   */
+  rim(ctx, out, time, options) {
+    const level = impact(options);
+    tone(ctx, out, { time, freq: 523, duration: 0.35, gain: 0.12 * level, type: 'square' });
+    tone(ctx, out, { time, freq: 1397, duration: 0.2, gain: 0.08 * level, type: 'square' });
+    noise(ctx, out, { time, duration: 0.05, freq: 3000, q: 2, gain: 0.15 * level });
+    return 0.35;
+  },
+
+  /**
+   * Ball off the backboard: dull wooden thud.
+   */
+  backboard(ctx, out, time, options) {
+    const level = impact(options);
+    tone(ctx, out, { time, freq: 140, endFreq: 70, duration: 0.2, gain: 0.4 * level });
+    noise(ctx, out, { time, duration: 0.08, freq: 400, q: 1.5, gain: 0.25 * level });
+    return 0.2;
+  },
+
+  /**
+   * Ball brushing the net.
+   */
+  net(ctx, out, time, options) {
+    noise(ctx, out, {
+      time,
+      duration: 0.12,
+      freq: 2500,
+      endFreq: 1500,
+      q: 0.8,
+      gain: 0.08 * impact(options),
+      attack: 0.02,
+    });
+    return 0.12;
+  },
+
+  /**
+   * Nothing but net: a long airy swoosh.
+   */
+  swish(ctx, out, time) {
+    noise(ctx, out, { time, duration: 0.4, freq: 1200, endFreq: 4000, q: 0.7, gain: 0.25, attack: 0.05 });
+    return 0.4;
+  },
+
+  /**
+   * Ball off a wall of the court: soft muffled bump.
+   */
+  wall(ctx, out, time, options) {
+    const level = impact(options);
+    tone(ctx, out, { time, freq: 90, endFreq: 60, duration: 0.12, gain: 0.3 * level });
+    return 0.12;
+  },
+
+  /**
+   * Ball blocked by a defender: a flat slap.
+   */
+  defender(ctx, out, time, options) {
+    const level = impact(options);
+    noise(ctx, out, { time, duration: 0.07, freq: 900, q: 1, gain: 0.3 * level });
+    tone(ctx, out, { time, freq: 180, endFreq: 120, duration: 0.1, gain: 0.2 * level });
+    return 0.1;
+  },
+
+  /**
+   * Ball off a bumper: springy boing that bends upward.
+   */
+  bumper(ctx, out, time, options) {
+    const level = impact(options);
+    tone(ctx, out, {
+      time,
+      freq: 300,
+      endFreq: 600,
+      duration: 0.2,
+      gain: 0.2 * level,
+      type: 'triangle',
+    });
+    return 0.2;
+  },
+
+  /**
+   * The streak multiplier went up: quick rising arpeggio, one note higher
+   * for every level.
+   */
+  fanfare(ctx, out, time, options) {
+    const level = (options && options.level) || 2;
+    const notes = [523, 659, 784, 1047, 1319].slice(0, level + 1);
+    notes.forEach((freq, i) => {
+      tone(ctx, out, { time: time + i * 0.08, freq, duration: 0.25, gain: 0.18, type: 'square' });
+    });
+    return notes.length * 0.08 + 0.25;
+  },
+
+  /**
+   * An achievement was unlocked: two bright bell notes a fifth apart.
+   */
+  achievement(ctx, out, time) {
+    tone(ctx, out, { time, freq: 1047, duration: 0.35, gain: 0.2, type: 'triangle' });
+    tone(ctx, out, { time: time + 0.12, freq: 1568, duration: 0.5, gain: 0.2, type: 'triangle' });
+    return 0.62;
+  },
+};
@@ -0,0 +1,201 @@
+/**
+ * The audio engine owns the game's single AudioContext and routes every
+ * sound through one gain graph:
+ *
+ *   effects ─ sfx gain ───────────────┐
+ *   music ── music gain ─ duck gain ──┴─ master gain ─ destination
+ *
+ * Volumes are linear gains between 0 and 1.  Muting sets the master gain
+ * to zero rather than suspending the context, so scheduled notes stay in
+ * time.  While an effect plays the duck gain dips so the music sits
+ * under it.
+ *
+ * Browsers only allow audio after a user gesture, so the context is
+ * created by `unlock()`, which should be called from an input handler.
+ * Until then `play()` does nothing.  `suspend()` freezes everything,
+ * music and effects already scheduled included, until `resume()`.
+ *
+ * Besides one-off effects there is a single held cue tone, started,
+ * retuned and stopped with `setCue()`, for audio-cue aiming.
+ */
+import { EFFECTS } from './effects';
+import { createMusic } from './music';
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  master: 0.8,
+  music: 0.5,
+  sfx: 0.8,
+  muted: false,
+  musicEnabled: false,
+};
+
+// The same effect fired again within this many seconds is dropped, so a
+// ball rattling on the rim doesn't turn into a buzz.
+const MIN_REPEAT = 0.06;
+// Level the music drops to under an effect, and how fast it gets there
+// and back.
+const DUCK_LEVEL = 0.35;
+const DUCK_ATTACK = 0.03;
+const DUCK_RELEASE = 0.25;
+// Time constant for volume changes, short enough to feel immediate but
+// long enough not to click.
+const VOLUME_SMOOTHING = 0.02;
+// Level of the held cue tone, and how fast it glides to a new pitch or
+// fades in and out.
+const CUE_LEVEL = 0.15;
+const CUE_GLIDE = 0.03;
+
+/**
+ * Create an audio engine.
+ *
+ * @param {object} settings Initial settings, see DEFAULT_AUDIO_SETTINGS.
+ */
+export function createAudioEngine(settings = DEFAULT_AUDIO_SETTINGS) {
+  let current = { ...DEFAULT_AUDIO_SETTINGS, ...settings };
+  let ctx = null;
+  let nodes = null;
+  let music = null;
+  // Audio time each effect was last started, keyed by name.
+  const lastPlayed = {};
+  // Audio time the music is ducked until.
+  let duckedUntil = 0;
+  // True between suspend() and resume(); unlocking must not undo it.
+  let suspended = false;
+  // Oscillator and gain of the cue tone while it sounds.
+  let cue = null;
+
+  function setGain(param, value) {
+    param.setTargetAtTime(value, ctx.currentTime, VOLUME_SMOOTHING);
+  }
+
+  function applySettings() {
+    if (!ctx) return;
+    setGain(nodes.master.gain, current.muted ? 0 : current.master);
+    setGain(nodes.music.gain, current.music);
+    setGain(nodes.sfx.gain, current.sfx);
+    if (current.musicEnabled && !music.isPlaying()) music.start();
+    if (!current.musicEnabled && music.isPlaying()) music.stop();
+  }
+
+  function duck(time, length) {
+    const gain = nodes.duck.gain;
+    const end = time + length;
+    // Already ducked: just stay down for longer.
+    if (time < duckedUntil) {
+      gain.cancelScheduledValues(time);
+      gain.setValueAtTime(DUCK_LEVEL, time);
+    } else {
+      gain.cancelScheduledValues(time);
+      gain.setValueAtTime(gain.value, time);
+      gain.linearRampToValueAtTime(DUCK_LEVEL, time + DUCK_ATTACK);
+    }
+    gain.setValueAtTime(DUCK_LEVEL, end);
+    gain.linearRampToValueAtTime(1, end + DUCK_RELEASE);
+    duckedUntil = Math.max(duckedUntil, end);
+  }
+
+  return {
+    /**
+     * Create or resume the context.  Must be called from a user gesture
+     * the first time.
+     */
+    unlock() {
+      if (!ctx) {
+        try {
+          const AudioContext = window.AudioContext || window.webkitAudioContext;
+          ctx = new AudioContext();
+        } catch (err) {
+          console.warn('AudioContext not supported:', err);
+          return;
+        }
+        nodes = {
+          master: ctx.createGain(),
+          music: ctx.createGain(),
+          duck: ctx.createGain(),
+          sfx: ctx.createGain(),
+        };
+        nodes.music.connect(nodes.duck);
+        nodes.duck.connect(nodes.master);
+        nodes.sfx.connect(nodes.master);
+        nodes.master.connect(ctx.destination);
+        music = createMusic(ctx, nodes.music);
+        applySettings();
+      }
+      if (ctx.state === 'suspended' && !suspended) ctx.resume().catch(() => {});
+    },
+
+    /**
+     * Freeze all sound, e.g. while the game is paused.
+     */
+    suspend() {
+      suspended = true;
+      if (ctx && ctx.state === 'running') ctx.suspend().catch(() => {});
+    },
+
+    /**
+     * Carry on from where suspend() stopped.
+     */
+    resume() {
+      suspended = false;
+      if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {});
+    },
+
+    /**
+     * Play a named effect from effects.js.
+     *
+     * @param {string} name Effect name.
+     * @param {object} options Passed to the effect, e.g. { speed } for
+     *   collisions.
+     * @param {number} delay Seconds from now to start it.
+     */
+    play(name, options, delay = 0) {
+      const effect = EFFECTS[name];
+      if (!ctx || !effect || ctx.state !== 'running') return;
+      const time = ctx.currentTime + delay;
+      if (lastPlayed[name] !== undefined && Math.abs(time - lastPlayed[name]) < MIN_REPEAT) return;
+      lastPlayed[name] = time;
+      const length = effect(ctx, nodes.sfx, time, options);
+      if (music.isPlaying()) duck(time, length);
+    },
+
+    /**
+     * Hold the cue tone at a frequency in Hz, gliding there if it is
+     * already sounding, or fade it out with null.
+     */
+    setCue(frequency) {
+      if (!ctx) return;
+      const now = ctx.currentTime;
+      if (frequency === null) {
+        if (!cue) return;
+        cue.gain.gain.setTargetAtTime(0, now, CUE_GLIDE);
+        cue.osc.stop(now + CUE_GLIDE * 10);
+        cue = null;
+        return;
+      }
+      if (ctx.state !== 'running') return;
+      if (!cue) {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'triangle';
+        osc.frequency.value = frequency;
+        gain.gain.value = 0;
+        osc.connect(gain);
+        gain.connect(nodes.sfx);
+        osc.start(now);
+        gain.gain.setTargetAtTime(CUE_LEVEL, now, CUE_GLIDE);
+        cue = { osc, gain };
+      }
+      cue.osc.frequency.setTargetAtTime(frequency, now, CUE_GLIDE);
+    },
+
+    /**
+     * Update some or all settings.
+     */
+    configure(changes) {
+      current = { ...current, ...changes };
+      applySettings();
+    },
+
+    getSettings: () => current,
+  };
+}
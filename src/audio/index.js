@@ -0,0 +1,68 @@
+/**
+ * The game's audio engine.  Everything shares one instance so there is
+ * only ever one AudioContext and one set of volume settings.
+ */
+import { createAudioEngine } from './engine';
+import { streakMultiplier } from '../scoring';
+
+export { DEFAULT_AUDIO_SETTINGS } from './engine';
+
+// Pitch of the aiming cue for a shot nowhere near the hoop and for one
+// that goes in, in Hz.  Two octaves apart.
+const CUE_LOW = 220;
+const CUE_HIGH = 880;
+
+let engine = null;
+
+/**
+ * The shared audio engine, created on first use.
+ */
+export function getAudio() {
+  if (!engine) engine = createAudioEngine();
+  return engine;
+}
+
+/**
+ * Sounds for the end of a shot: a chime or a blip, a swoosh for a swish
+ * and a fanfare when a make takes the streak to a new multiplier.
+ *
+ * @param {object} shot { made, outcome }
+ * @param {object} before Session statistics before the shot.
+ * @param {object} after Session statistics after it.
+ */
+export function playShotSounds({ made, outcome }, before, after) {
+  const audio = getAudio();
+  if (!made) {
+    audio.play('miss');
+    return;
+  }
+  audio.play('score');
+  if (outcome === 'swish') audio.play('swish');
+  const multiplier = streakMultiplier(after.streak);
+  if (multiplier > streakMultiplier(before.streak)) {
+    audio.play('fanfare', { level: multiplier }, 0.2);
+  }
+}
+
+/**
+ * Sound of the ball hitting something.  The engine's surface names double
+ * as effect names.
+ *
+ * @param {object} hit { surface, speed } from the engine's collision event.
+ */
+export function playCollisionSound({ surface, speed }) {
+  getAudio().play(surface, { speed });
+}
+
+/**
+ * Audio-cue aiming: a held tone whose pitch rises as the shot being lined
+ * up gets closer to the hoop.
+ *
+ * @param {number|null} alignment 0 (way off) to 1 (goes in) from
+ *   engine/predict.js, or null when no shot is being lined up.
+ */
+export function playAimCue(alignment) {
+  const frequency =
+    alignment === null ? null : CUE_LOW * Math.pow(CUE_HIGH / CUE_LOW, alignment);
+  getAudio().setCue(frequency);
+}
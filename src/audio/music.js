@@ -0,0 +1,98 @@
+/**
+ * Procedural background music: a slow four-chord loop with a bass line
+ * and a soft arpeggio whose pattern changes every few bars, so it doesn't
+ * get tiring in long sessions.
+ *
+ * Notes are scheduled on the audio clock a little ahead of time from a
+ * timer (the usual look-ahead scheduler), which keeps the rhythm steady
+ * even when the main thread stalls.
+ */
+
+const TEMPO = 92;
+const BEAT = 60 / TEMPO;
+// Scheduling window: notes due within this many seconds are queued.
+const LOOKAHEAD = 0.2;
+const TIMER_MS = 50;
+
+// I–vi–IV–V in C major, as MIDI note numbers of each chord.
+const PROGRESSION = [
+  [60, 64, 67],
+  [57, 60, 64],
+  [53, 57, 60],
+  [55, 59, 62],
+];
+
+// Arpeggio patterns: indices into the chord, one per eighth note.
+const PATTERNS = [
+  [0, 1, 2, 1, 0, 1, 2, 1],
+  [0, 2, 1, 2, 0, 2, 1, 2],
+  [2, 1, 0, 1, 2, 1, 0, 2],
+  [0, 1, 2, 0, 1, 2, 0, 1],
+];
+
+const midiToFreq = note => 440 * Math.pow(2, (note - 69) / 12);
+
+function note(ctx, out, time, freq, duration, gain, type) {
+  const osc = ctx.createOscillator();
+  const amp = ctx.createGain();
+  osc.type = type;
+  osc.frequency.value = freq;
+  amp.gain.setValueAtTime(0.0001, time);
+  amp.gain.exponentialRampToValueAtTime(gain, time + 0.02);
+  amp.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+  osc.connect(amp);
+  amp.connect(out);
+  osc.start(time);
+  osc.stop(time + duration + 0.05);
+}
+
+/**
+ * Create the music player.
+ *
+ * @param {AudioContext} ctx Shared context.
+ * @param {AudioNode} out Node the music plays into.
+ */
+export function createMusic(ctx, out) {
+  let timer = null;
+  // Index of the next eighth note and when it is due.
+  let step = 0;
+  let nextTime = 0;
+  let pattern = PATTERNS[0];
+
+  function scheduleStep(time) {
+    const bar = Math.floor(step / 8) % PROGRESSION.length;
+    const chord = PROGRESSION[bar];
+    const eighth = step % 8;
+    // A new pattern every time the progression comes round.
+    if (step % (8 * PROGRESSION.length) === 0) {
+      pattern = PATTERNS[Math.floor(Math.random() * PATTERNS.length)];
+    }
+    if (eighth === 0 || eighth === 4) {
+      note(ctx, out, time, midiToFreq(chord[0] - 24), BEAT * 1.8, 0.22, 'triangle');
+    }
+    note(ctx, out, time, midiToFreq(chord[pattern[eighth]] + 12), BEAT * 0.45, 0.06, 'sine');
+  }
+
+  function tick() {
+    while (nextTime < ctx.currentTime + LOOKAHEAD) {
+      scheduleStep(nextTime);
+      nextTime += BEAT / 2;
+      step++;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      step = 0;
+      nextTime = ctx.currentTime + 0.1;
+      tick();
+      timer = setInterval(tick, TIMER_MS);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    isPlaying: () => timer !== null,
+  };
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+
+/**
+ * AchievementToast pops up over the game for every achievement just
+ * unlocked (see achievements.js).  The stack is a live region of its own,
+ * so screen readers hear about them without cutting off the shot that
+ * earned them.
+ *
+ * Props:
+ *   achievements (Array) – achievement definitions to show, oldest first
+ */
+export default function AchievementToast({ achievements }) {
+  return (
+    <div className="achievement-toasts" role="status" aria-live="polite">
+      {achievements.map(a => (
+        <div key={a.id} className="achievement-toast">
+          <div className="achievement-toast-label">Achievement unlocked</div>
+          <div className="achievement-title">{a.title}</div>
+          <div className="achievement-description">{a.description}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useRef } from 'react';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+import { ACHIEVEMENTS, achievementProgress } from '../achievements';
+
+/**
+ * AchievementsModal is the gallery of every achievement: the unlocked
+ * ones with the day they were unlocked, the locked ones greyed out with
+ * what it takes and, for lifetime counts, how far along they are.
+ *
+ * Props:
+ *   achievements (object) – achievements record from useAchievements, or
+ *                           null while loading
+ *   onClose (function)    – called when the user leaves the screen
+ */
+export default function AchievementsModal({ achievements, onClose }) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onClose });
+  const unlockedCount = achievements
+    ? ACHIEVEMENTS.filter(a => achievements.unlocked[a.id]).length
+    : 0;
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card wide"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="achievements-title"
+      >
+        <div className="modal-title" id="achievements-title">Achievements</div>
+        {!achievements && <div className="modal-description">Loading…</div>}
+        {achievements && (
+          <>
+            <div className="modal-description">
+              {unlockedCount} of {ACHIEVEMENTS.length} unlocked
+            </div>
+            <ul className="achievement-list">
+              {ACHIEVEMENTS.map(a => {
+                const date = achievements.unlocked[a.id];
+                const progress = date ? null : achievementProgress(achievements, a);
+                return (
+                  <li key={a.id} className={`achievement${date ? ' unlocked' : ''}`}>
+                    <div className="achievement-title">
+                      {a.title}
+                      <span className="sr-only">{date ? ', unlocked' : ', locked'}</span>
+                    </div>
+                    <div className="achievement-description">{a.description}</div>
+                    {date && (
+                      <div className="achievement-status">
+                        {new Date(date).toLocaleDateString()}
+                      </div>
+                    )}
+                    {progress && (
+                      <div className="achievement-status">
+                        {progress[0]}/{progress[1]}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+        <button className="ui-button" onClick={onClose}>Back</button>
+      </div>
+    </div>
+  );
+}
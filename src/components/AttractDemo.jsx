@@ -0,0 +1,92 @@
+import React, { useEffect, useRef } from 'react';
+import { createEngine } from '../engine/physics';
+import { botShot, findShotLater } from '../engine/bot';
+import { drawBall, drawCourt, drawHoop, drawRimFront } from '../render/court';
+import { getTheme } from '../render/themes';
+import { beginFrame, createView, fitView } from '../render/view';
+
+// How long the bot holds the ball between shots, in milliseconds.
+const SHOT_INTERVAL_MS = 1200;
+
+/**
+ * AttractDemo plays a game by itself behind the start screen while
+ * nobody is using the page: the shooting bot (engine/bot.js) takes shot
+ * after shot on the standard court.  It takes no input and records
+ * nothing, and it is purely decorative, so it is hidden from screen
+ * readers.
+ *
+ * Props:
+ *   theme (string)      – colour theme id from render/themes.js
+ *   handedness (string) – 'right' (default), or 'left' to mirror the court
+ */
+export default function AttractDemo({ theme, handedness = 'right' }) {
+  const canvasRef = useRef(null);
+  // Latest display settings, read by the loop.
+  const displayRef = useRef({});
+  displayRef.current = { palette: getTheme(theme), mirrored: handedness === 'left' };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const engine = createEngine();
+    const { ball } = engine.state;
+    const view = createView(engine.config);
+    const handleResize = () => fitView(view, canvas);
+
+    function draw(alpha) {
+      const { width, height } = engine.config;
+      const { palette, mirrored } = displayRef.current;
+      view.mirrored = mirrored;
+      beginFrame(ctx, view);
+      drawCourt(ctx, width, height, palette);
+      drawHoop(ctx, engine.state.hoop, palette);
+      drawBall(ctx, engine.getBallPosition(alpha), ball.radius, height, palette);
+      drawRimFront(ctx, engine.state.hoop, palette);
+    }
+
+    let animationFrameId;
+    let lastTime = null;
+    // Time the ball has been at rest.
+    let waited = 0;
+    // The next shot, searched for between frames while the ball rests:
+    // undefined until found, null if nothing goes in.
+    let best;
+    let cancelSearch = null;
+    function loop(now) {
+      const elapsed = lastTime === null ? 0 : now - lastTime;
+      lastTime = now;
+      if (engine.canLaunch()) {
+        if (!cancelSearch) {
+          cancelSearch = findShotLater(engine, shot => {
+            best = shot;
+          });
+        }
+        waited += elapsed;
+        if (waited >= SHOT_INTERVAL_MS && best !== undefined) {
+          const { vx, vy } = botShot(engine, 'hard', Math.random, best);
+          engine.launch(vx, vy);
+          waited = 0;
+          best = undefined;
+          cancelSearch = null;
+        }
+      }
+      draw(engine.advance(elapsed));
+      animationFrameId = requestAnimationFrame(loop);
+    }
+    window.addEventListener('resize', handleResize);
+    handleResize();
+    animationFrameId = requestAnimationFrame(loop);
+
+    return () => {
+      cancelAnimationFrame(animationFrameId);
+      if (cancelSearch) cancelSearch();
+      window.removeEventListener('resize', handleResize);
+    };
+  }, []);
+
+  return (
+    <div className="game-area attract" aria-hidden="true">
+      <canvas ref={canvasRef} className="game-canvas"></canvas>
+    </div>
+  );
+}
@@ -1,502 +1,597 @@
 import React, { useRef, useEffect } from 'react';
+import { createEngine, STEP_MS } from '../engine/physics';
+import { createRecorder } from '../engine/replay';
+import {
+  drawBall,
+  drawCourt,
+  drawHazards,
+  drawHoop,
+  drawRimFront,
+  drawWind,
+} from '../render/court';
+import { createEffects } from '../render/effects';
+import { getTheme } from '../render/themes';
+import { beginFrame, createView, fitView } from '../render/view';
+import { createInput } from '../input';
+import { aimToDrag, SPEED_SCALE } from '../input/launch';
+import { predictShot, shotAlignment } from '../engine/predict';
+import { botShot, findShotLater } from '../engine/bot';
+
+// Highest a placed ball may start, as a fraction of the court height.
+const PLACE_MIN_Y = 0.5;
+// Length of a shown drag, for hints and the bot's shots, and how long
+// the bot waits with the ball before it starts one.
+const DEMO_MS = 900;
+const BOT_WAIT_MS = 700;
+// Pause between two drags of the ghost hand.
+const GHOST_WAIT_MS = 1200;
 
 /**
  * Game component renders a full screen canvas and overlays the scoreboard.
- * All drawing and physics are handled imperative style via the Canvas API
- * inside a requestAnimationFrame loop.  Player input is managed with
- * pointer events so both mouse and touch devices are supported.  The
- * component receives scoring and miss callbacks from its parent to update
- * game state outside of the canvas.
+ * Physics is delegated to the fixed-timestep engine in engine/physics.js;
+ * this component drives it from a requestAnimationFrame loop and draws
+ * the result imperative style via the Canvas API.  The engine's fixed
+ * court is letterboxed into the canvas (see render/view.js), so resizing
+ * the window only changes how big it looks; a shot in the air carries on.
+ * Player input comes from the control schemes in input/: pointer
+ * dragging for mouse and touch, the keyboard and gamepads all shoot the
+ * same way.  The component
+ * receives scoring and miss callbacks from its parent to update game
+ * state outside of the canvas.
  *
  * Props:
  *   score (number)      – current score to display
  *   highScore (number)  – high score to display
  *   lives (number)      – number of remaining misses
- *   onScore (function)  – called when the player scores a basket
- *   onMiss (function)   – called when the player misses a shot
+ *   onScore (function)  – called with { outcome, distance } when the player
+ *                         scores a basket; outcome is 'swish', 'rim-in' or
+ *                         'bank-in' and distance is in court heights
+ *   onMiss (function)   – called with { outcome } when the player misses a
+ *                         shot; outcome is 'rim-out' or 'airball'
+ *   recorderRef (ref)   – receives the replay recorder of the running game
+ *                         so the parent can finish the recording the
+ *                         moment a session ends
+ *   onLaunch (function) – optional, called with { vx, vy } for every shot
+ *   locked (boolean)    – when true the ball can't be shot, e.g. during a
+ *                         countdown
+ *   paused (boolean)    – when true the game is frozen: nothing moves, no
+ *                         time passes and the ball can't be shot
+ *   ghost (object)      – optional ghost from engine/ghost.js, drawn
+ *                         faintly and mirrored behind the player's own
+ *                         hoop
+ *   startPosition (object) – optional { x, y } spot the ball starts from,
+ *                         as fractions of the court; null for the default
+ *   hoop (object)       – optional { x, y, motion } placement of the hoop,
+ *                         e.g. for a level (see engine setHoop()); null
+ *                         for the default
+ *   hazards (object)    – optional wind, defenders and bumpers on the
+ *                         court (see engine setHazards()); null for none.
+ *                         Like the hoop, they change once the ball is
+ *                         back
+ *   onPlaceBall (function) – optional.  When given, tapping the court away
+ *                         from the resting ball calls it with the tapped
+ *                         spot as { x, y } fractions so the parent can
+ *                         move the ball there
+ *   controlScheme (string) – pointer controls, 'drag' (default) or 'flick'
+ *   flickSensitivity (number) – swipe speed multiplier for flicking
+ *   onCollision (function) – optional, called with { surface, speed } each
+ *                         time the ball hits a wall, the rim, the
+ *                         backboard, the net or a hazard
+ *   onEvent (function)  – optional, called with a typed event for
+ *                         everything that happens to a shot:
+ *     { type: 'shotReleased', vx, vy, speed }
+ *     { type: 'rimHit', speed, rimHits }
+ *     { type: 'backboardHit', speed, backboardHits }
+ *     { type: 'wallBounce', speed, wallBounces }
+ *     { type: 'scored', outcome, distance, ...shot }
+ *     { type: 'missed', outcome, ...shot }
+ *                         speed is the launch speed for a release and the
+ *                         ball's speed after a bounce; the counts are for
+ *                         the shot so far.  A shot's summary is { speed,
+ *                         airtime, rimHits, backboardHits, wallBounces }
+ *                         with its launch speed and its airtime in
+ *                         milliseconds
+ *   physics (object)    – optional engine parameters, e.g. from the rules
+ *                         sandbox; changes apply to the running engine
+ *   handedness (string) – 'right' (default), or 'left' to draw the court
+ *                         mirrored with the ball on the right
+ *   reducedMotion (boolean) – leave out the flash and every effect from
+ *                         render/effects.js
+ *   theme (string)      – colour theme id from render/themes.js
+ *   aimAssist (string)  – 'off' (default), 'direction' for a dashed line
+ *                         along the shot being lined up or 'arc' for its
+ *                         predicted path
+ *   onAim (function)    – optional, called every frame with how well the
+ *                         shot being lined up aligns with the hoop, 0–1
+ *                         (see engine/predict.js), or null when none is;
+ *                         drives audio-cue aiming.  Leave it out when
+ *                         nothing needs it: working it out costs a
+ *                         prediction every frame
+ *   feedback (object)   – optional { outcome, points } of the latest shot;
+ *                         points above zero float up from the hoop
+ *   bot (string)        – optional skill level from engine/bot.js; while
+ *                         set the bot takes the shots, showing each drag
+ *                         before it lets go, and the player can't shoot
+ *   hint (number)       – optional; every time it goes up the drag of a
+ *                         shot that scores from the current spot is shown
+ *   ghostHand (boolean) – keep showing that drag over and over, e.g. in
+ *                         the tutorial, except while the player is aiming
+ *
+ * Settings props take effect straight away without restarting the game.
  */
-export default function Game({ onScore, onMiss }) {
+export default function Game({
+  onScore,
+  onMiss,
+  recorderRef,
+  onLaunch,
+  locked = false,
+  paused = false,
+  ghost = null,
+  startPosition = null,
+  hoop: hoopPlacement = null,
+  hazards = null,
+  onPlaceBall,
+  controlScheme = 'drag',
+  flickSensitivity,
+  onCollision,
+  onEvent,
+  physics,
+  handedness = 'right',
+  reducedMotion = false,
+  theme,
+  aimAssist = 'off',
+  onAim,
+  feedback = null,
+  bot = null,
+  hint = 0,
+  ghostHand = false,
+}) {
 
   // Reference to the canvas element
   const canvasRef = useRef(null);
   // Reference to store per‑shot callbacks so we always call the latest
-  const callbacksRef = useRef({ onScore, onMiss });
+  const callbacksRef = useRef({
+    onScore,
+    onMiss,
+    onLaunch,
+    onPlaceBall,
+    onCollision,
+    onEvent,
+    onAim,
+  });
+  // The running engine and input, for props that act on them after mount.
+  const engineRef = useRef(null);
+  const inputRef = useRef(null);
+  const effectsRef = useRef(null);
+  // Hoop placement and hazards waiting for the ball to come back, or
+  // undefined.
+  const pendingHoopRef = useRef(undefined);
+  const pendingHazardsRef = useRef(undefined);
+  // Drag being shown by a hint or the bot, { vx, vy, age, shoot } with
+  // the launch it stands for and whether to take it at the end, or null.
+  const demoRef = useRef(null);
+  const botRef = useRef(bot);
+  const ghostHandRef = useRef(ghostHand);
+  // Latest locked and paused flags and ghost, read by the loop and input
+  // handlers.
+  const lockedRef = useRef(locked);
+  const pausedRef = useRef(paused);
+  const ghostRef = useRef(ghost);
+  // Latest display settings, read by the loop and input handlers.
+  const displayRef = useRef({});
+  displayRef.current = {
+    mirrored: handedness === 'left',
+    reducedMotion,
+    palette: getTheme(theme),
+    aimAssist,
+  };
 
   // Update the callbacks whenever the props change.  Without this we would
   // capture stale closures in our animation loop.
   useEffect(() => {
     callbacksRef.current.onScore = onScore;
     callbacksRef.current.onMiss = onMiss;
-  }, [onScore, onMiss]);
+    callbacksRef.current.onLaunch = onLaunch;
+    callbacksRef.current.onPlaceBall = onPlaceBall;
+    callbacksRef.current.onCollision = onCollision;
+    callbacksRef.current.onEvent = onEvent;
+    // Whatever the old callback was doing with the alignment, e.g. a
+    // cue sounding, has to stop once nothing is sent to it any more.
+    if (callbacksRef.current.onAim && !onAim) callbacksRef.current.onAim(null);
+    callbacksRef.current.onAim = onAim;
+  }, [onScore, onMiss, onLaunch, onPlaceBall, onCollision, onEvent, onAim]);
+
+  useEffect(() => {
+    lockedRef.current = locked;
+    ghostRef.current = ghost;
+    botRef.current = bot;
+    ghostHandRef.current = ghostHand;
+  }, [locked, ghost, bot, ghostHand]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
 
-    // Game state object stored in a ref so its properties persist
-    // across renders without triggering re‑renders.
-    const state = {
-      width: 0,
-      height: 0,
-      borderThickness: 2,
-      // Ball parameters.  The radius has been increased slightly to
-      // make the basketball feel more substantial on the play field
-      // and easier to drag on touch devices.
-      ball: {
-        x: 0,
-        y: 0,
-        vx: 0,
-        vy: 0,
-        radius: 26,
-        isDragging: false,
-        dragStartX: 0,
-        dragStartY: 0,
-        dragCurrentX: 0,
-        dragCurrentY: 0,
-        isLaunched: false,
-        canScore: false,
-        scored: false,
-      },
-      // Hoop parameters.  Increase the radius and line thickness so the
-      // rim looks more realistic relative to the larger ball.  The
-      // backboardWidth is unchanged for visual balance.
-      hoop: {
-        x: 0,
-        y: 0,
-        radius: 34,
-        backboardWidth: 8,
-        // thickness (for visual draw only)
-        thickness: 6,
-      },
-      gravity: 0.35,
-      bounce: 0.7,
-      // internal flag to avoid multiple calls on a single shot
-      shotInFlight: false,
-      // Flash progress controls a brief highlight when scoring
-    };
+    // The physics engine owns the ball and hoop.  This component only
+    // feeds it input, advances it with real time and draws its state.
+    const engine = createEngine(physics);
+    engineRef.current = engine;
+    const { ball, hoop } = engine.state;
+    // Maps the court onto the canvas, letterboxed.
+    const view = createView(engine.config);
+    // Record every launch so the session can be replayed.
+    const recorder = createRecorder(engine);
+    if (recorderRef) recorderRef.current = recorder;
 
-    const flashRef = { current: 0 };
+    // Pointer, keyboard and gamepad controls.  Shooting is only allowed
+    // with the ball at rest and the game not locked.
+    const input = createInput(canvas, engine, {
+      canShoot: () =>
+        !lockedRef.current && !pausedRef.current && !botRef.current && engine.canLaunch(),
+      onTap: placeBall,
+      scheme: controlScheme,
+      sensitivity: flickSensitivity,
+      view,
+    });
+    inputRef.current = input;
 
-    /**
-     * Resize the canvas to fill its parent.  Called on mount and whenever
-     * the window resizes.  Also positions the hoop and resets the ball.
-     */
-    function handleResize() {
-      const parent = canvas.parentElement;
-      state.width = parent.clientWidth;
-      state.height = parent.clientHeight;
-      canvas.width = state.width;
-      canvas.height = state.height;
-      // Place hoop in the horizontal centre near the top.  Using 20% of
-      // the height keeps the hoop reachable but clearly separated from
-      // the starting position at the bottom.
-      state.hoop.x = state.width * 0.5;
-      state.hoop.y = state.height * 0.2;
-      // Reset ball whenever the screen size changes
-      resetBall();
-    }
-
-    /**
-     * Reset the ball to its starting position and clear velocity.  Ball
-     * starts near the lower left corner.  A slight vertical offset keeps
-     * it above the very bottom to avoid immediate collisions.
-     */
-    function resetBall() {
-      const b = state.ball;
-      // Start the ball at the horizontal centre, just above the bottom
-      // edge.  The slight offset prevents the ball from starting
-      // partially clipped.
-      b.x = state.width * 0.5;
-      // Position the ball slightly above the bottom edge so there's room to
-      // drag both upward and downward.  At least 5% of the height or
-      // 24 pixels of margin is maintained below the ball.
-      const bottomMargin = Math.max(state.height * 0.05, 24);
-      b.y = state.height - b.radius - bottomMargin;
-      b.vx = 0;
-      b.vy = 0;
-      b.isDragging = false;
-      b.isLaunched = false;
-      b.canScore = false;
-      b.scored = false;
-      state.shotInFlight = false;
-    }
+    // Flash progress controls a brief highlight when scoring
+    const flashRef = { current: 0 };
+    // Spin, trail, particles and the rest; left idle under reduced motion.
+    const effects = createEffects();
+    effectsRef.current = effects;
 
-    /**
-     * Convert a pointer event's client coordinates to canvas coordinates.
-     */
-    function getCanvasCoords(e) {
-      const rect = canvas.getBoundingClientRect();
-      const x = (e.clientX - rect.left) * (canvas.width / rect.width);
-      const y = (e.clientY - rect.top) * (canvas.height / rect.height);
-      return { x, y };
-    }
+    // What the shot in flight has done so far, for onEvent.
+    let shot = null;
+    const publish = event => {
+      if (callbacksRef.current.onEvent) callbacksRef.current.onEvent(event);
+    };
+    // Summary of the shot in flight as it ends.
+    const shotSummary = tick => ({
+      speed: shot.speed,
+      airtime: (tick - shot.tick) * STEP_MS,
+      rimHits: shot.rimHits,
+      backboardHits: shot.backboardHits,
+      wallBounces: shot.wallBounces,
+    });
 
-    /**
-     * Handle pointer down events.  If the pointer intersects the ball
-     * allow the player to drag it back to set the shot direction and power.
-     */
-    function onPointerDown(e) {
-      e.preventDefault();
-      const { x, y } = getCanvasCoords(e);
-      const b = state.ball;
-      const dist = Math.hypot(x - b.x, y - b.y);
-      if (dist <= b.radius) {
-        // We do not manage a separate instruction overlay inside Game
-        // anymore.  The instruction text is rendered by the parent.
-        b.isDragging = true;
-        b.dragStartX = x;
-        b.dragStartY = y;
-        b.dragCurrentX = x;
-        b.dragCurrentY = y;
+    engine.on('score', ({ outcome, distance, tick }) => {
+      if (shot) publish({ type: 'scored', outcome, distance, ...shotSummary(tick) });
+      shot = null;
+      callbacksRef.current.onScore({ outcome, distance });
+      if (!displayRef.current.reducedMotion) {
+        // Trigger a flash animation on the canvas border area
+        flashRef.current = 1;
+        effects.rippleNet(1);
+        if (outcome === 'swish') {
+          const { palette } = displayRef.current;
+          effects.burst(hoop.x, hoop.y, [palette.rim, palette.net, palette.ball]);
+        }
       }
-    }
+      input.rumble(0.3, 0.8, 120);
+    });
+    engine.on('miss', ({ outcome, tick }) => {
+      if (shot) publish({ type: 'missed', outcome, ...shotSummary(tick) });
+      shot = null;
+      callbacksRef.current.onMiss({ outcome });
+      if (!displayRef.current.reducedMotion) effects.shakeScreen();
+      input.rumble(0.8, 0.2, 250);
+    });
+    engine.on('reset', () => {
+      input.cancel();
+      if (pendingHoopRef.current !== undefined) {
+        engine.setHoop(pendingHoopRef.current);
+        pendingHoopRef.current = undefined;
+      }
+      if (pendingHazardsRef.current !== undefined) {
+        engine.setHazards(pendingHazardsRef.current);
+        pendingHazardsRef.current = undefined;
+      }
+    });
+    engine.on('launch', ({ vx, vy, tick }) => {
+      const speed = Math.hypot(vx, vy);
+      shot = { tick, speed, rimHits: 0, backboardHits: 0, wallBounces: 0 };
+      publish({ type: 'shotReleased', vx, vy, speed });
+      if (callbacksRef.current.onLaunch) callbacksRef.current.onLaunch({ vx, vy });
+    });
+    engine.on('collision', ({ surface, speed }) => {
+      if (callbacksRef.current.onCollision) callbacksRef.current.onCollision({ surface, speed });
+      if (shot && surface === 'rim') {
+        shot.rimHits++;
+        publish({ type: 'rimHit', speed, rimHits: shot.rimHits });
+      } else if (shot && surface === 'backboard') {
+        shot.backboardHits++;
+        publish({ type: 'backboardHit', speed, backboardHits: shot.backboardHits });
+      } else if (shot && surface === 'wall') {
+        shot.wallBounces++;
+        publish({ type: 'wallBounce', speed, wallBounces: shot.wallBounces });
+      }
+      if (surface === 'net' && !displayRef.current.reducedMotion) {
+        effects.rippleNet(speed / 10);
+      }
+    });
 
     /**
-     * Update the current drag position while the pointer moves.  This will
-     * be used to draw a guide line showing the shot direction and strength.
+     * Resize the canvas to fill its parent and fit the court into it.
+     * Called on mount and whenever the window resizes.  The simulation is
+     * unaffected.
      */
-    function onPointerMove(e) {
-      if (!state.ball.isDragging) return;
-      e.preventDefault();
-      const { x, y } = getCanvasCoords(e);
-      state.ball.dragCurrentX = x;
-      state.ball.dragCurrentY = y;
+    function handleResize() {
+      fitView(view, canvas);
     }
 
     /**
-     * Launch the ball when the pointer is released.  The velocity is
-     * proportional to the vector dragged: pulling back further yields
-     * a faster shot.  We also set flags so the ball can be scored.
+     * Move the ball to a tapped spot when the parent allows placing it.
+     * Only below the hoop, so every spot leaves room for an arc.
      */
-    function onPointerUp(e) {
-      if (!state.ball.isDragging) return;
-      e.preventDefault();
-      const b = state.ball;
-      // Compute drag vector from the starting point to the current point.
-      // Dragging upward (currentY < startY) results in a negative dy and
-      // therefore a negative vertical velocity which makes the ball fly
-      // upwards.  Dragging downward produces a positive dy which makes
-      // the ball drop faster.  Horizontal drags similarly affect vx.
-      const dx = b.dragCurrentX - b.dragStartX;
-      const dy = b.dragCurrentY - b.dragStartY;
-      const dragDist = Math.hypot(dx, dy);
-      if (dragDist > 5) {
-        const speedScale = 0.06;
-        b.vx = dx * speedScale;
-        b.vy = dy * speedScale;
-        b.isLaunched = true;
-        b.canScore = false;
-        b.scored = false;
-        state.shotInFlight = true;
-      }
-      b.isDragging = false;
+    function placeBall(x, y) {
+      if (!callbacksRef.current.onPlaceBall) return;
+      const { width, height } = engine.config;
+      callbacksRef.current.onPlaceBall({
+        x: Math.min(Math.max(x / width, 0.05), 0.95),
+        y: Math.min(Math.max(y / height, PLACE_MIN_Y), 0.95),
+      });
     }
 
     /**
-     * Draw the current frame.  Clears the canvas then draws the hoop,
-     * optional drag line and the ball.
+     * Draw the current frame.  Clears the canvas then draws the wind,
+     * the hoop, any hazards, the keyboard or gamepad aim and the ball,
+     * with the effects layer around them unless reduced motion is on.
+     *
+     * @param {number} alpha Interpolation factor between physics steps.
+     * @param {number} elapsed Milliseconds since the previous frame.
      */
-    function draw() {
-      ctx.clearRect(0, 0, state.width, state.height);
-      drawHoop();
-      // We intentionally omit the aiming guide here to align with the
-      // user's request for a cleaner drag‑and‑release mechanic.
-      drawBall();
+    function draw(alpha, elapsed) {
+      const { width, height, borderThickness } = engine.config;
+      const { mirrored, palette, reducedMotion, aimAssist } = displayRef.current;
+      const pos = engine.getBallPosition(alpha);
+      const wind = engine.config.wind + engine.state.hazards.wind;
+      view.mirrored = mirrored;
+      beginFrame(ctx, view);
+      if (!reducedMotion) {
+        const moving = { x: pos.x, y: pos.y, vx: ball.vx, radius: ball.radius };
+        effects.update(elapsed, moving, ball.isLaunched, wind);
+        effects.applyShake(ctx);
+      }
+      drawCourt(ctx, width, height, palette);
+      if (!reducedMotion) effects.drawWind(ctx, palette);
+      drawWind(ctx, wind, width, palette);
+      if (ghostRef.current) drawGhost(ghostRef.current, elapsed);
+      drawHoop(ctx, hoop, palette, reducedMotion ? null : effects.ripple);
+      drawHazards(ctx, engine.state.hazards, palette);
+      // Pointer drags have no aiming guide unless the player asks for
+      // one, to keep the drag‑and‑release mechanic clean.  Keyboard and
+      // gamepad players can't see a drag, so they always get an arrow.
+      const shot = engine.canLaunch() ? input.getShot() : null;
+      if (shot && aimAssist === 'arc') drawPredictedArc(shot, palette);
+      else if (shot && aimAssist === 'direction') drawGuideLine(shot);
+      const aim = input.getAim();
+      if (aim && engine.canLaunch() && !botRef.current) drawAim(aim);
+      if (demoRef.current && engine.canLaunch()) drawDemo(demoRef.current, palette);
+      if (callbacksRef.current.onAim) {
+        callbacksRef.current.onAim(
+          shot ? shotAlignment(engine, shot.dx * SPEED_SCALE, shot.dy * SPEED_SCALE) : null
+        );
+      }
+      if (reducedMotion) {
+        drawBall(ctx, pos, ball.radius, height, palette);
+      } else {
+        effects.drawBehind(ctx, pos, ball.radius, height - borderThickness, palette);
+        drawBall(ctx, pos, ball.radius, height, palette, effects.rotation);
+      }
+      drawRimFront(ctx, hoop, palette);
+      if (!reducedMotion) effects.drawFront(ctx, mirrored, palette);
       // Flash effect when a score occurs.  A translucent white overlay
       // fades quickly to highlight success.
       if (flashRef.current > 0) {
         ctx.fillStyle = `rgba(255,255,255,${0.15 * flashRef.current})`;
         ctx.fillRect(
-          state.borderThickness,
-          state.borderThickness,
-          state.width - 2 * state.borderThickness,
-          state.height - 2 * state.borderThickness
+          borderThickness,
+          borderThickness,
+          width - 2 * borderThickness,
+          height - 2 * borderThickness
         );
-        // Decay the flash intensity
-        flashRef.current *= 0.9;
+        // Decay the flash intensity.  Scaled by elapsed time so the fade
+        // lasts equally long at any refresh rate.
+        flashRef.current *= Math.pow(0.9, elapsed / STEP_MS);
         if (flashRef.current < 0.01) flashRef.current = 0;
       }
     }
 
     /**
-     * Draw the ball as a coloured circle.  If a shot is currently
-     * moving upward or downward we change the fill colour slightly to
-     * provide subtle feedback.
+     * Advance and draw the opponent's ghost, mirrored so the two hoops
+     * face each other.
      */
-    function drawBall() {
-      const b = state.ball;
+    function drawGhost(ghost, elapsed) {
+      const alpha = ghost.advance(elapsed);
+      const g = ghost.engine;
       ctx.save();
-      // Compute a simple perspective scaling so the ball appears
-      // smaller as it travels upward (toward the hoop) and larger as it
-      // returns.  We ensure a minimum scale of 0.6 and maximum of 1.0.
-      const verticalRatio = b.y / state.height;
-      const scale = 0.6 + 0.4 * verticalRatio;
-      const r = b.radius * scale;
-      // Base circle
-      ctx.beginPath();
-      ctx.arc(b.x, b.y, r, 0, Math.PI * 2);
-      ctx.fillStyle = '#e76f51';
-      ctx.fill();
-      // Seams: darker colour, thickness proportional to scaled radius
-      ctx.strokeStyle = '#2d2926';
-      ctx.lineWidth = Math.max(2, r * 0.1);
-      // Vertical seam
-      ctx.beginPath();
-      ctx.moveTo(b.x, b.y - r);
-      ctx.lineTo(b.x, b.y + r);
-      ctx.stroke();
-      // Horizontal seam
-      ctx.beginPath();
-      ctx.moveTo(b.x - r, b.y);
-      ctx.lineTo(b.x + r, b.y);
-      ctx.stroke();
-      // Curved seams (diagonals)
-      ctx.beginPath();
-      ctx.arc(b.x, b.y, r, Math.PI * 0.25, Math.PI * 0.75);
-      ctx.stroke();
-      ctx.beginPath();
-      ctx.arc(b.x, b.y, r, -Math.PI * 0.25, Math.PI * 0.25);
-      ctx.stroke();
-      // Outline highlight
-      ctx.beginPath();
-      ctx.arc(b.x, b.y, r, 0, Math.PI * 2);
-      ctx.lineWidth = 1;
-      ctx.strokeStyle = 'rgba(255,255,255,0.4)';
-      ctx.stroke();
+      ctx.globalAlpha = 0.3;
+      ctx.translate(engine.config.width, 0);
+      ctx.scale(-1, 1);
+      const { palette } = displayRef.current;
+      drawHoop(ctx, g.state.hoop, palette);
+      drawBall(ctx, g.getBallPosition(alpha), g.state.ball.radius, g.config.height, palette);
+      drawRimFront(ctx, g.state.hoop, palette);
       ctx.restore();
     }
 
     /**
-     * Draw the hoop and backboard.  The hoop is a circle with a thick
-     * stroke to represent the rim.  The backboard is a simple rectangle
-     * behind the rim.  Colours are kept subtle so they don't distract.
+     * Draw a dashed line from the ball along the shot being lined up.
      */
-    function drawHoop() {
-      const h = state.hoop;
+    function drawGuideLine({ dx, dy }) {
       ctx.save();
-      // Rim
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 4]);
       ctx.beginPath();
-      ctx.strokeStyle = '#f4a261';
-      ctx.lineWidth = h.thickness;
-      ctx.arc(h.x, h.y, h.radius, 0, Math.PI * 2);
+      ctx.moveTo(ball.x, ball.y);
+      ctx.lineTo(ball.x + dx, ball.y + dy);
       ctx.stroke();
-      // Net: draw vertical and diagonal lines to hint at a basketball net
-      const netHeight = h.radius * 1.2;
-      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-      ctx.lineWidth = 1;
-      const segments = 5;
-      for (let i = 0; i <= segments; i++) {
-        const t = i / segments;
-        const x1 = h.x - h.radius * 0.8 + t * h.radius * 1.6;
-        const y1 = h.y + h.radius;
-        const x2 = h.x - h.radius * 0.5 + t * h.radius * 1.0;
-        const y2 = h.y + h.radius + netHeight;
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.stroke();
-      }
-      // Draw cross lines in the net
-      for (let i = 0; i < segments; i++) {
-        const t1 = i / segments;
-        const t2 = (i + 1) / segments;
-        // Upper cross
-        let x1 = h.x - h.radius * 0.8 + t1 * h.radius * 1.6;
-        let x2 = h.x - h.radius * 0.8 + t2 * h.radius * 1.6;
-        let y = h.y + h.radius + netHeight * 0.4;
-        ctx.beginPath();
-        ctx.moveTo(x1, y);
-        ctx.lineTo(x2, y + netHeight * 0.2);
-        ctx.stroke();
-        // Lower cross
-        y = h.y + h.radius + netHeight * 0.7;
+      ctx.restore();
+    }
+
+    /**
+     * Draw the predicted path of the shot being lined up as a trail of
+     * dots that fades towards its end.
+     */
+    function drawPredictedArc({ dx, dy }, palette) {
+      const path = predictShot(engine, dx * SPEED_SCALE, dy * SPEED_SCALE);
+      ctx.save();
+      ctx.fillStyle = palette.rim;
+      for (let i = 3; i < path.length; i += 3) {
+        ctx.globalAlpha = 0.6 * (1 - i / path.length) + 0.1;
         ctx.beginPath();
-        ctx.moveTo(x1, y);
-        ctx.lineTo(x2, y + netHeight * 0.2);
-        ctx.stroke();
+        ctx.arc(path[i].x, path[i].y, 3, 0, Math.PI * 2);
+        ctx.fill();
       }
       ctx.restore();
     }
 
     /**
-     * Draw a guide line from the ball to the current drag position to
-     * indicate shot direction and strength while dragging.  This line
-     * fades out as the drag length increases.
+     * Draw an arrow from the ball in the aimed direction.  A faint stub
+     * shows the direction while idle; charging grows it with the power.
      */
-    function drawGuideLine() {
-      const b = state.ball;
-      const dx = b.dragCurrentX - b.dragStartX;
-      const dy = b.dragCurrentY - b.dragStartY;
-      const dist = Math.hypot(dx, dy);
+    function drawAim({ angle, power, charging }) {
+      const { dx, dy } = aimToDrag(angle, charging ? Math.max(power, 0.15) : 0.15);
+      const endX = ball.x + dx * 0.5;
+      const endY = ball.y + dy * 0.5;
       ctx.save();
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
-      ctx.lineWidth = 2;
-      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = charging ? 'rgba(244, 162, 97, 0.9)' : 'rgba(255, 255, 255, 0.5)';
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
       ctx.beginPath();
-      ctx.moveTo(b.x, b.y);
-      ctx.lineTo(b.x - dx, b.y - dy);
+      ctx.moveTo(ball.x, ball.y);
+      ctx.lineTo(endX, endY);
+      // Arrow head
+      const head = 10;
+      ctx.moveTo(endX, endY);
+      ctx.lineTo(endX - head * Math.cos(-angle - 0.5), endY - head * Math.sin(-angle - 0.5));
+      ctx.moveTo(endX, endY);
+      ctx.lineTo(endX - head * Math.cos(-angle + 0.5), endY - head * Math.sin(-angle + 0.5));
       ctx.stroke();
       ctx.restore();
     }
 
     /**
-     * Main physics update called on every animation frame.  Applies
-     * gravity, detects and responds to collisions with the rim, backboard
-     * and floor, checks for scoring or misses, and triggers resets via
-     * the provided callbacks.
+     * Draw a shown drag: a ghost hand pulling a line out of the ball along
+     * the drag, eased in over most of the demo and held at the end.  The
+     * hand points with its fingertip at the end of the line.
      */
-    function update() {
-      const b = state.ball;
-      if (b.isLaunched) {
-        // Apply gravity
-        b.vy += state.gravity;
-        // Update position
-        b.x += b.vx;
-        b.y += b.vy;
-
-        // Determine if the ball has passed above the rim to allow scoring
-        if (!b.canScore && b.vy < 0 && b.y + b.radius < state.hoop.y) {
-          b.canScore = true;
-        }
-
-        // Rim collision
-        handleRimCollision();
-
-        // Border collisions: bounce off left, right and top edges.  When the
-        // ball hits the bottom edge it's considered a miss and the ball
-        // resets.  The border thickness defines the padding from the
-        // container edges.
-        const border = state.borderThickness;
-        // Left wall
-        if (b.x - b.radius < border) {
-          b.x = border + b.radius;
-          b.vx = Math.abs(b.vx) * state.bounce;
-        }
-        // Right wall
-        if (b.x + b.radius > state.width - border) {
-          b.x = state.width - border - b.radius;
-          b.vx = -Math.abs(b.vx) * state.bounce;
-        }
-        // Top wall
-        if (b.y - b.radius < border) {
-          b.y = border + b.radius;
-          b.vy = Math.abs(b.vy) * state.bounce;
-        }
-        // Bottom wall (ground).  Hitting the bottom means a miss.
-        if (b.y + b.radius > state.height - border) {
-          callbacksRef.current.onMiss();
-          state.shotInFlight = false;
-          resetBall();
-          return;
-        }
-
-        // Check scoring: ball must be moving downward after passing above
-        // the rim and its x coordinate must be within the width of the rim.
-        if (
-          b.canScore &&
-          !b.scored &&
-          b.vy > 0 &&
-          b.y - b.radius > state.hoop.y &&
-          b.x > state.hoop.x - state.hoop.radius * 0.8 &&
-          b.x < state.hoop.x + state.hoop.radius * 0.8
-        ) {
-          // Score achieved – notify parent and mark as scored so we
-          // don't invoke multiple times.
-          b.scored = true;
-          callbacksRef.current.onScore();
-          // Trigger a flash animation on the canvas border area
-          flashRef.current = 1;
-          // Delay resetting the ball slightly so the scoring feel is
-          // acknowledged.  Without a timeout the ball would instantly
-          // disappear when it enters the hoop which feels abrupt.
-          setTimeout(() => resetBall(), 400);
-        }
-
-        // Miss detection: if the ball leaves the bottom of the screen
-        // or travels too far horizontally, it's considered a miss.  We
-        // only register misses when the shot is in flight to avoid
-        // counting resets as misses.
-        if (
-          state.shotInFlight &&
-          (b.y - b.radius > state.height || b.x + b.radius < 0 || b.x - b.radius > state.width)
-        ) {
-          callbacksRef.current.onMiss();
-          state.shotInFlight = false;
-          resetBall();
-        }
-      }
+    function drawDemo({ vx, vy, age }, palette) {
+      const t = Math.min(age / (DEMO_MS * 0.8), 1);
+      const eased = 1 - (1 - t) * (1 - t);
+      const endX = ball.x + (vx / SPEED_SCALE) * eased;
+      const endY = ball.y + (vy / SPEED_SCALE) * eased;
+      ctx.save();
+      ctx.strokeStyle = palette.net;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.moveTo(ball.x, ball.y);
+      ctx.lineTo(endX, endY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 0.6;
+      ctx.fillStyle = palette.net;
+      ctx.translate(endX, endY);
+      // Finger
+      ctx.fillRect(-5, 0, 10, 26);
+      ctx.beginPath();
+      ctx.arc(0, 0, 5, 0, Math.PI * 2);
+      ctx.fill();
+      // Palm and curled fingers
+      ctx.beginPath();
+      ctx.ellipse(6, 38, 15, 17, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
     }
 
     /**
-     * Detect and respond to collisions between the ball and the rim.  If
-     * the ball overlaps with the rim we compute the normal of the
-     * collision and reflect the velocity around it.  A coefficient of
-     * restitution determines how bouncy the rim is.  We also push the
-     * ball out of the rim to avoid sinking into it.
+     * Play the shown drag on, taking the bot's shot when it ends, and
+     * start the next drag of the bot or the ghost hand once the ball has
+     * rested long enough.  The bot aims when it starts the drag.  A
+     * player who starts aiming takes over from the ghost hand.
      */
-    function handleRimCollision() {
-      const b = state.ball;
-      const h = state.hoop;
-      const dx = b.x - h.x;
-      const dy = b.y - h.y;
-      const dist = Math.hypot(dx, dy);
-      const minDist = b.radius + h.radius - h.thickness / 2;
-      // Determine whether to handle a collision.  We only reflect the ball
-      // when it is above the rim and either moving upward (vy < 0) or
-      // sufficiently far from the centre of the hoop horizontally.  This
-      // allows shots that are descending through the middle of the hoop
-      // to pass through without bouncing and prevents the ball from
-      // getting stuck on the rim.
-      if (b.y + b.radius < h.y && dist < minDist) {
-        const centralThreshold = h.radius * 0.8;
-        const shouldBounce = b.vy < 0 || Math.abs(dx) > centralThreshold;
-        if (shouldBounce) {
-          const nx = dx / dist;
-          const ny = dy / dist;
-          const vDotN = b.vx * nx + b.vy * ny;
-          if (vDotN < 0) {
-            b.vx = b.vx - (1 + state.bounce) * vDotN * nx;
-            b.vy = b.vy - (1 + state.bounce) * vDotN * ny;
-          }
-          const overlap = minDist - dist;
-          b.x += nx * overlap;
-          b.y += ny * overlap;
-        }
-        // If not bouncing, do nothing – allow the ball to fall through.
+    function updateDemo(elapsed) {
+      const demo = demoRef.current;
+      const aiming = Boolean(input.getShot());
+      if (demo && !demo.shoot && aiming) demoRef.current = null;
+      if (demo && demoRef.current) {
+        demo.age += elapsed;
+        if (demo.age < DEMO_MS) return;
+        demoRef.current = null;
+        if (demo.shoot) engine.launch(demo.vx, demo.vy);
+        return;
+      }
+      const waiting = botRef.current || (ghostHandRef.current && !aiming);
+      if (!waiting || !engine.canLaunch() || lockedRef.current) {
+        restingFor = 0;
+        return;
       }
+      restingFor += elapsed;
+      // The search runs while the ball rests, so the shot is usually found
+      // by the time the wait is over; if not, the wait goes on until it is.
+      const shot = searchFromHere();
+      if (botRef.current) {
+        if (restingFor < BOT_WAIT_MS || shot === undefined) return;
+        demoRef.current = {
+          ...botShot(engine, botRef.current, Math.random, shot),
+          age: 0,
+          shoot: true,
+        };
+      } else {
+        if (restingFor < GHOST_WAIT_MS || shot === undefined) return;
+        if (shot) demoRef.current = { ...shot, age: 0, shoot: false };
+      }
+      search.used = true;
+      restingFor = 0;
     }
 
     /**
-     * Detect and respond to collisions with the backboard.  The backboard
-     * is represented as a vertical rectangle located to the right of the rim.
-     * When the ball hits it we invert the horizontal velocity and dampen
-     * it slightly.
+     * The shot that scores from where the ball rests, or null when none
+     * does, searched for between frames (see findShotLater()).  Undefined
+     * until the search is done.  The ball rests in the same spot between
+     * demos, so the search only runs again when it, the hoop or the
+     * hazards have moved, or for every shot when the hoop or defenders
+     * are moving anyway.
      */
-    function handleBackboardCollision() {
-      const b = state.ball;
-      const h = state.hoop;
-      const boardX = h.x + h.radius;
-      const boardTop = h.y - 50;
-      const boardBottom = h.y + 50;
-      if (
-        b.x + b.radius > boardX &&
-        b.y > boardTop &&
-        b.y < boardBottom &&
-        b.vx > 0
-      ) {
-        b.x = boardX - b.radius;
-        b.vx = -b.vx * state.bounce;
+    function searchFromHere() {
+      const { hoop: h, hazards: hz } = engine.state;
+      const moving = Boolean(h.placement && h.placement.motion) || hz.defenders.length > 0;
+      const same = search
+        && search.x === ball.x
+        && search.y === ball.y
+        && search.hoop === h.placement
+        && search.hazards === hz.placement
+        && !(moving && search.used);
+      if (!same) {
+        if (search) search.cancel();
+        const next = { x: ball.x, y: ball.y, hoop: h.placement, hazards: hz.placement };
+        next.used = false;
+        next.shot = undefined;
+        next.cancel = findShotLater(engine, shot => {
+          next.shot = shot;
+        });
+        search = next;
       }
+      return search.shot;
     }
 
     /**
-     * Animation loop.  Calls update to advance physics, draws the frame
-     * and schedules the next iteration.  Using requestAnimationFrame
-     * ensures smooth animation tied to the display refresh rate.
+     * Animation loop.  Feeds the real time elapsed since the previous frame
+     * to the engine, which advances physics in fixed steps, then draws the
+     * interpolated state and schedules the next iteration.  Decoupling the
+     * two means shots behave identically on 60 Hz and 144 Hz displays.
      */
-    function loop() {
-      update();
-      draw();
+    function loop(now) {
+      // While paused the frame is redrawn as it was, with no time passing.
+      const elapsed = lastTime === null || pausedRef.current ? 0 : now - lastTime;
+      lastTime = now;
+      input.update(elapsed);
+      updateDemo(elapsed);
+      const alpha = engine.advance(elapsed);
+      draw(alpha, elapsed);
       animationFrameId = requestAnimationFrame(loop);
     }
 
@@ -504,29 +599,120 @@ export default function Game({ onScore, onMiss }) {
     // cleanup.  Without cancellation the loop would continue even after
     // the component unmounts which would cause memory leaks.
     let animationFrameId;
+    // Timestamp of the previous frame, null until the first frame runs.
+    let lastTime = null;
+    // Time the ball has rested while the bot or ghost hand was waiting.
+    let restingFor = 0;
+    // Search for the bot's or ghost hand's shot, with the ball spot, hoop
+    // and hazards it is for; see searchFromHere().
+    let search = null;
 
     // Register event listeners and start the loop
     window.addEventListener('resize', handleResize);
-    canvas.addEventListener('pointerdown', onPointerDown);
-    canvas.addEventListener('pointermove', onPointerMove);
-    canvas.addEventListener('pointerup', onPointerUp);
-    canvas.addEventListener('pointercancel', onPointerUp);
     handleResize();
-    loop();
+    animationFrameId = requestAnimationFrame(loop);
 
     // Cleanup on unmount: remove listeners and stop the loop
     return () => {
       cancelAnimationFrame(animationFrameId);
+      if (search) search.cancel();
       window.removeEventListener('resize', handleResize);
-      canvas.removeEventListener('pointerdown', onPointerDown);
-      canvas.removeEventListener('pointermove', onPointerMove);
-      canvas.removeEventListener('pointerup', onPointerUp);
-      canvas.removeEventListener('pointercancel', onPointerUp);
+      input.detach();
+      if (callbacksRef.current.onAim) callbacksRef.current.onAim(null);
+      if (recorderRef && recorderRef.current === recorder) recorderRef.current = null;
+      engineRef.current = null;
+      inputRef.current = null;
+      effectsRef.current = null;
     };
     // We intentionally leave the dependency array empty so this effect
     // runs exactly once.  The callbacksRef handles updates to the
     // onScore/onMiss functions without recreating the loop.
   }, []);
 
-  return <canvas ref={canvasRef} className="game-canvas"></canvas>;
+  // Drop running effects when reduced motion is switched on.
+  useEffect(() => {
+    if (reducedMotion && effectsRef.current) effectsRef.current.clear();
+  }, [reducedMotion]);
+
+  // Float the points of a basket up from the hoop.
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!feedback || !feedback.points || reducedMotion || !engine || !effectsRef.current) return;
+    const { hoop } = engine.state;
+    effectsRef.current.floatText(hoop.x, hoop.y - hoop.radius, `+${feedback.points}`);
+    // Only a new shot's feedback should float; settings changes shouldn't.
+  }, [feedback]);
+
+  // Freeze the game, dropping a shot that was being lined up.
+  useEffect(() => {
+    pausedRef.current = paused;
+    if (paused && inputRef.current) inputRef.current.cancel();
+  }, [paused]);
+
+  // Move the ball when the parent picks another start position.
+  useEffect(() => {
+    if (engineRef.current) engineRef.current.setStartPosition(startPosition);
+  }, [startPosition]);
+
+  // Place the hoop, on mount too so the replay records it, and move it
+  // when the parent places it elsewhere, e.g. for the next level.  A shot
+  // still in the air finishes at the old hoop; the move happens when the
+  // ball comes back.
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    if (engine.canLaunch()) {
+      engine.setHoop(hoopPlacement);
+      pendingHoopRef.current = undefined;
+    } else {
+      pendingHoopRef.current = hoopPlacement;
+    }
+  }, [hoopPlacement]);
+
+  // Show the drag of a shot that would score when the parent asks for a
+  // hint.  Nothing is shown while the ball is in the air, or if it has
+  // been shot by the time the search is done.
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!hint || !engine || !engine.canLaunch()) return;
+    return findShotLater(engine, shot => {
+      if (shot && engine.canLaunch()) demoRef.current = { ...shot, age: 0, shoot: false };
+    });
+  }, [hint]);
+
+  // Put the hazards on the court the same way.
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    if (engine.canLaunch()) {
+      engine.setHazards(hazards);
+      pendingHazardsRef.current = undefined;
+    } else {
+      pendingHazardsRef.current = hazards;
+    }
+  }, [hazards]);
+
+  // Apply changes from the rules sandbox.  The engine ignores values it
+  // already has, so this does nothing on mount.
+  useEffect(() => {
+    if (engineRef.current && physics) engineRef.current.setPhysics(physics);
+  }, [physics]);
+
+  // Switch controls when the player picks another scheme.
+  useEffect(() => {
+    if (inputRef.current) {
+      inputRef.current.configure({ scheme: controlScheme, sensitivity: flickSensitivity });
+    }
+  }, [controlScheme, flickSensitivity]);
+
+  // The canvas itself means nothing to a screen reader; the parent
+  // announces what happens on it.
+  return (
+    <canvas
+      ref={canvasRef}
+      className="game-canvas"
+      role="img"
+      aria-label="Basketball court.  Shots are announced as they land."
+    ></canvas>
+  );
 }
\ No newline at end of file
@@ -1,28 +1,224 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import ImportButton from './ImportButton';
+import { shootingPercentage } from '../scoring';
+import { MAX_NAME_LENGTH } from '../leaderboard';
+import { SUBMIT_STATUS } from '../net/leaderboardClient';
+import useMenuNavigation from '../hooks/useMenuNavigation';
 
 /**
- * GameOverModal is shown when the player has used up all lives.  It
- * displays the final score and high score, and allows the user to
- * restart the game.  Styling matches the StartModal for visual
- * consistency.
+ * One line describing what happened to the score on the server.
+ */
+function submissionText(submission) {
+  switch (submission.status) {
+    case SUBMIT_STATUS.ACCEPTED:
+      return submission.rank >= 0
+        ? `Online leaderboard: #${submission.rank + 1}.`
+        : 'Score submitted to the online leaderboard.';
+    case SUBMIT_STATUS.QUEUED:
+      return 'Offline – your score will be submitted when the server is reachable.';
+    case SUBMIT_STATUS.REJECTED:
+      return `Online leaderboard rejected the score: ${submission.reason}`;
+    default:
+      return 'Submitting score…';
+  }
+}
+
+/**
+ * GameOverModal is shown when a game ends.  It displays the final score,
+ * the mode's high score and a breakdown of the session (makes, misses,
+ * shooting percentage, longest streak and bonus points).  A top 10 result
+ * asks for a name to put on the local leaderboard, and the outcome of
+ * sending the score to the leaderboard server is shown.  It also allows
+ * the user to restart the game or return to the start screen to pick
+ * another mode.  The session's replay can be watched, saved to a file, or
+ * a replay file can be loaded instead.  Styling matches the
+ * StartModal for visual consistency, and like it can be driven with the
+ * keyboard or a gamepad; Escape returns to the start screen.
  *
  * Props:
- *   score (number)      – the player's final score
- *   highScore (number)  – the stored high score
- *   onRestart (function) – callback invoked to start a new game
+ *   modeLabel (string)        – name of the mode that was played
+ *   levelLabel (string)       – how far a Levels game got, or null
+ *   dailyShare (string)       – result of a finished daily challenge as
+ *                               shareable text with an emoji grid, or null
+ *   stats (object)            – the session statistics from scoring.js
+ *   highScore (number)        – the stored high score for the mode
+ *   onRestart (function)      – callback invoked to start a new game;
+ *                               without it there is no Play Again, e.g.
+ *                               after the daily challenge
+ *   onMenu (function)         – callback invoked to return to the start screen
+ *   pendingRank (number)      – leaderboard position (0-based) the score
+ *                               qualifies for, or -1
+ *   savedRank (number)        – position of the saved entry once a name has
+ *                               been entered, or -1
+ *   defaultName (string)      – name to prefill
+ *   onSaveName (function)     – called with the entered name
+ *   submission (object)       – status of the online submission, or null
+ *   customRules (boolean)     – true when the game was played in the rules
+ *                               sandbox and so wasn't recorded
+ *   assisted (boolean)        – true when an aiming aid was used, so the
+ *                               game only counts towards assisted records
+ *   canWatchReplay (boolean)  – true when a replay of the session exists
+ *   onWatchReplay (function)  – play the session's replay
+ *   onExportReplay (function) – download the session's replay as JSON
+ *   onImportReplay (function) – called with the JSON of a chosen replay file
+ *   onImportError (function)  – called when a chosen file can't be read
+ *   replayError (string)      – message describing a rejected replay file
  */
-export default function GameOverModal({ score, highScore, onRestart }) {
+export default function GameOverModal({
+  modeLabel,
+  stats,
+  highScore,
+  onRestart,
+  onMenu,
+  pendingRank,
+  savedRank,
+  defaultName,
+  onSaveName,
+  submission,
+  customRules,
+  assisted,
+  levelLabel,
+  dailyShare,
+  canWatchReplay,
+  onWatchReplay,
+  onExportReplay,
+  onImportReplay,
+  onImportError,
+  replayError,
+}) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onMenu });
+  const [name, setName] = useState(defaultName || '');
+  // Whether the daily result made it to the clipboard: null until tried.
+  const [copied, setCopied] = useState(null);
+
+  const handleCopy = () => {
+    navigator.clipboard
+      .writeText(dailyShare)
+      .then(() => setCopied(true))
+      .catch(err => {
+        console.warn('Could not copy the result:', err);
+        setCopied(false);
+      });
+  };
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    if (name.trim()) onSaveName(name);
+  };
+
   return (
     <div className="modal-overlay">
-      <div className="modal-card">
-        <div className="modal-title">Game Over</div>
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="game-over-title"
+      >
+        <div className="modal-title" id="game-over-title">Game Over</div>
         <div className="modal-description">
-          Your final score: <strong>{score}</strong>
+          {modeLabel}
+          <br />
+          {levelLabel && (
+            <>
+              {levelLabel}
+              <br />
+            </>
+          )}
+          Your final score: <strong>{stats.score}</strong>
           <br />
-          High score: <strong>{highScore}</strong>
+          {assisted ? 'Assisted high score' : 'High score'}: <strong>{highScore}</strong>
+        </div>
+        {dailyShare && (
+          <div className="daily-share">
+            <pre className="daily-grid">{dailyShare}</pre>
+            <button className="ui-button small" onClick={handleCopy}>
+              {copied ? 'Copied!' : 'Copy result'}
+            </button>
+            {copied === false && (
+              <div className="modal-note">
+                Copying isn't allowed here – select the text instead.
+              </div>
+            )}
+          </div>
+        )}
+        <dl className="stats-breakdown">
+          <dt>Makes</dt>
+          <dd>{stats.makes}</dd>
+          <dt>Misses</dt>
+          <dd>{stats.misses}</dd>
+          <dt>Shooting</dt>
+          <dd>{shootingPercentage(stats)}%</dd>
+          <dt>Longest streak</dt>
+          <dd>{stats.longestStreak}</dd>
+          <dt>Bonus points</dt>
+          <dd>{stats.bonusPoints}</dd>
+        </dl>
+        {pendingRank !== -1 && (
+          <form className="name-entry" onSubmit={handleSubmit}>
+            <div>Top 10! You placed #{pendingRank + 1}.  Enter your name:</div>
+            <div className="name-entry-row">
+              <input
+                className="ui-input"
+                value={name}
+                maxLength={MAX_NAME_LENGTH}
+                placeholder="Name or initials"
+                aria-label="Name for the leaderboard"
+                onChange={e => setName(e.target.value)}
+                autoFocus
+              />
+              <button className="ui-button" type="submit" disabled={!name.trim()}>
+                Save
+              </button>
+            </div>
+          </form>
+        )}
+        {savedRank !== -1 && (
+          <div className="name-entry">Saved to the leaderboard at #{savedRank + 1}.</div>
+        )}
+        {customRules && (
+          <div className="modal-note">
+            Played with custom rules – this game doesn't count towards records.
+          </div>
+        )}
+        {assisted && !customRules && (
+          <div className="modal-note">
+            Played with aiming aids – this game counts towards assisted records only.
+          </div>
+        )}
+        {submission && (
+          <div
+            className={
+              submission.status === SUBMIT_STATUS.REJECTED ? 'modal-error' : 'modal-note'
+            }
+          >
+            {submissionText(submission)}
+          </div>
+        )}
+        {onRestart && (
+          <button className="ui-button" onClick={onRestart} data-autofocus>
+            Play Again
+          </button>
+        )}
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onMenu}>Main menu</button>
+        </div>
+        <div className="modal-actions">
+          {canWatchReplay && (
+            <>
+              <button className="ui-button" onClick={onWatchReplay}>Watch replay</button>
+              <button className="ui-button" onClick={onExportReplay}>Export replay</button>
+            </>
+          )}
+          <ImportButton
+            label="Import replay"
+            onImport={onImportReplay}
+            onError={onImportError}
+          />
         </div>
-        <button className="ui-button" onClick={onRestart}>Play Again</button>
+        {replayError && <div className="modal-error">{replayError}</div>}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,82 @@
+import React, { useRef } from 'react';
+import { lettersOf, standings } from '../hotseat';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+
+/**
+ * HotSeatResultModal ends a game with several players on one device.  It
+ * names the winner and lists everyone's final standing: letters in
+ * H-O-R-S-E, score and makes otherwise.  Party games don't go on the
+ * leaderboard, so there is no name entry.
+ *
+ * Props:
+ *   modeLabel (string)       – name of the mode that was played
+ *   players (array)          – final player states from hotseat.js
+ *   isHorse (boolean)        – true for H-O-R-S-E
+ *   onRestart (function)     – play again with the same players
+ *   onMenu (function)        – back to the start screen
+ *   canWatchReplay (boolean) – true when a replay of the game exists
+ *   onWatchReplay (function) – play the game's replay
+ */
+export default function HotSeatResultModal({
+  modeLabel,
+  players,
+  isHorse,
+  onRestart,
+  onMenu,
+  canWatchReplay,
+  onWatchReplay,
+}) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onMenu });
+  const ranked = standings(players, isHorse);
+  const [first, second] = ranked;
+  const tied = isHorse
+    ? first.letters === second.letters
+    : first.stats.score === second.stats.score;
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="hot-seat-result-title"
+      >
+        <div className="modal-title" id="hot-seat-result-title">{tied ? 'Tie game!' : `${first.name} wins!`}</div>
+        <div className="modal-description">{modeLabel}</div>
+        <table className="stats-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Player</th>
+              {isHorse ? <th>Letters</th> : <th>Score</th>}
+              <th>Made</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map((p, idx) => (
+              <tr key={p.index}>
+                <td>{idx + 1}</td>
+                <td>{p.name}</td>
+                <td>{isHorse ? lettersOf(p) || '–' : p.stats.score}</td>
+                <td>
+                  {p.stats.makes}/{p.stats.makes + p.stats.misses}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button className="ui-button" onClick={onRestart} data-autofocus>
+          Play Again
+        </button>
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onMenu}>Main menu</button>
+          {canWatchReplay && (
+            <button className="ui-button" onClick={onWatchReplay}>Watch replay</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
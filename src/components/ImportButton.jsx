@@ -0,0 +1,46 @@
+import React, { useRef } from 'react';
+import { readJSONFile } from '../utils/files';
+
+/**
+ * ImportButton looks like a regular ui-button but opens a file picker
+ * and hands the parsed JSON of the chosen file to its parent.
+ *
+ * Props:
+ *   label (string)      – button text
+ *   small (boolean)     – use the compact button style
+ *   onImport (function) – called with the parsed JSON
+ *   onError (function)  – called with an Error if the file can't be read
+ */
+export default function ImportButton({ label, small, onImport, onError }) {
+  const inputRef = useRef(null);
+
+  const handleChange = async e => {
+    const file = e.target.files[0];
+    // Clear the input so picking the same file again still fires change.
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(await readJSONFile(file));
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  return (
+    <>
+      <button
+        className={`ui-button${small ? ' small' : ''}`}
+        onClick={() => inputRef.current.click()}
+      >
+        {label}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/json,.json"
+        hidden
+        onChange={handleChange}
+      />
+    </>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useRef } from 'react';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+
+/**
+ * LevelCompleteModal sits between two levels.  The game is frozen behind
+ * it; continuing moves the hoop and ball for the next level and play
+ * carries on.  Escape (or B on a gamepad) continues as well.
+ *
+ * Props:
+ *   cleared (object)      – the level just cleared, from levels/
+ *   number (number)       – its number, counting from 1
+ *   next (object)         – the level that follows
+ *   onContinue (function) – start the next level
+ */
+export default function LevelCompleteModal({ cleared, number, next, onContinue }) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onContinue });
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="level-complete-title"
+      >
+        <div className="modal-title" id="level-complete-title">
+          Level {number} cleared!
+        </div>
+        <div className="modal-description">
+          {cleared.name} done.  Next up: <strong>{next.name}</strong>
+          {next.wind !== 0 && <> – mind the wind</>}
+          {next.hoop.motion && <> – the hoop moves</>}.
+        </div>
+        <button className="ui-button" onClick={onContinue} data-autofocus>
+          Next level
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useRef, useState } from 'react';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+import { MAX_NAME_LENGTH } from '../leaderboard';
+import { ROOM_CODE_LENGTH, normaliseRoomCode } from '../net/protocol';
+
+// Text shown for each connection status of the relay client.
+const STATUS_TEXT = {
+  connecting: 'Connecting to the relay server…',
+  connected: 'Connected.',
+  reconnecting: 'Connection lost – reconnecting…',
+  closed: 'Could not reach the relay server.',
+};
+
+/**
+ * Lobby replaces the StartModal for head-to-head races.  A player either
+ * opens a room and shares its code, or types in the code they were
+ * given.  Once seated it shows the code and who is in the room until the
+ * race starts.
+ *
+ * Props:
+ *   defaultName (string) – name to prefill
+ *   status (string)      – connection status of the relay client
+ *   code (string)        – code of the room the player is in, or null
+ *   players (array)      – seats of the room as reported by the server
+ *   error (string)       – message from the server, or null
+ *   onCreate (function)  – called with the player's name to open a room
+ *   onJoin (function)    – called with a room code and the player's name
+ *   onLeave (function)   – back to the start screen
+ */
+export default function Lobby({
+  defaultName,
+  status,
+  code,
+  players,
+  error,
+  onCreate,
+  onJoin,
+  onLeave,
+}) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onLeave });
+  const [name, setName] = useState(defaultName || '');
+  const [joinCode, setJoinCode] = useState('');
+  const canJoin = joinCode.length === ROOM_CODE_LENGTH;
+
+  const handleJoin = e => {
+    e.preventDefault();
+    if (canJoin) onJoin(joinCode, name);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="lobby-title"
+      >
+        <div className="modal-title" id="lobby-title">Head to Head</div>
+        {code ? (
+          <>
+            <div className="modal-description">
+              Share this code with your opponent:
+              <div className="room-code">{code}</div>
+              {players.filter(Boolean).length < 2
+                ? 'Waiting for an opponent to join…'
+                : 'Opponent found – get ready!'}
+            </div>
+            <ul className="lobby-players">
+              {players.map((player, idx) =>
+                player ? (
+                  <li key={idx} className={player.connected ? '' : 'offline'}>
+                    {player.name}
+                    {!player.connected && ' (reconnecting)'}
+                  </li>
+                ) : null
+              )}
+            </ul>
+          </>
+        ) : (
+          <>
+            <div className="modal-description">
+              Race a friend on another device: whoever sinks more points in
+              a minute wins.  Open a room and share its code, or enter the
+              code you were given.
+            </div>
+            <div className="name-entry-row">
+              <input
+                className="ui-input"
+                value={name}
+                maxLength={MAX_NAME_LENGTH}
+                placeholder="Your name"
+                aria-label="Your name"
+                onChange={e => setName(e.target.value)}
+                data-autofocus
+              />
+            </div>
+            <div className="modal-actions">
+              <button className="ui-button" onClick={() => onCreate(name)}>
+                Create room
+              </button>
+            </div>
+            <form className="name-entry-row" onSubmit={handleJoin}>
+              <input
+                className="ui-input"
+                value={joinCode}
+                placeholder="Room code"
+                aria-label="Room code"
+                onChange={e => setJoinCode(normaliseRoomCode(e.target.value))}
+              />
+              <button className="ui-button" type="submit" disabled={!canJoin}>
+                Join
+              </button>
+            </form>
+          </>
+        )}
+        {status !== 'connected' && <div className="modal-note">{STATUS_TEXT[status]}</div>}
+        {error && <div className="modal-error">{error}</div>}
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onLeave} data-autofocus={code ? true : undefined}>
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
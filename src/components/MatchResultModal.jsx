@@ -0,0 +1,56 @@
+import React from 'react';
+
+/**
+ * MatchResultModal closes a head-to-head race: it declares the winner,
+ * shows both scores and offers a rematch against the same opponent.
+ *
+ * Props:
+ *   result (object)      – { scores, winner, reason } from the relay server
+ *   slot (number)        – the local player's seat, 0 or 1
+ *   names (array)        – both players' names by seat
+ *   waitingForRematch (boolean) – true once the local player asked for one
+ *   canRematch (boolean) – false when the opponent has left
+ *   onRematch (function) – ask for another race
+ *   onLeave (function)   – back to the start screen
+ */
+export default function MatchResultModal({
+  result,
+  slot,
+  names,
+  waitingForRematch,
+  canRematch,
+  onRematch,
+  onLeave,
+}) {
+  const opponent = 1 - slot;
+  let title;
+  if (result.winner === null) title = 'Draw!';
+  else if (result.winner === slot) title = 'You win!';
+  else title = `${names[opponent] || 'Opponent'} wins`;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-card">
+        <div className="modal-title">{title}</div>
+        <div className="modal-description">
+          {result.reason === 'forfeit' &&
+            (result.winner === slot ? 'Your opponent left the race.' : 'You left the race.')}
+        </div>
+        <dl className="stats-breakdown">
+          <dt>{names[slot] || 'You'}</dt>
+          <dd>{result.scores[slot]}</dd>
+          <dt>{names[opponent] || 'Opponent'}</dt>
+          <dd>{result.scores[opponent]}</dd>
+        </dl>
+        {canRematch && (
+          <button className="ui-button" onClick={onRematch} disabled={waitingForRematch}>
+            {waitingForRematch ? 'Waiting for opponent…' : 'Rematch'}
+          </button>
+        )}
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onLeave}>Main menu</button>
+        </div>
+      </div>
+    </div>
+  );
+}
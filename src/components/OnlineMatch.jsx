@@ -0,0 +1,207 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Game from './Game';
+import Lobby from './Lobby';
+import MatchResultModal from './MatchResultModal';
+import { createMultiplayerClient } from '../net/multiplayer';
+import { PHASES } from '../net/protocol';
+import { createGhost } from '../engine/ghost';
+import { initialStats, applyMake, applyMiss } from '../scoring';
+import { playShotSounds, playCollisionSound } from '../audio';
+
+/**
+ * OnlineMatch runs a head-to-head race against a player on another
+ * device.  It owns the connection to the relay server and moves through
+ * the lobby, the countdown, the race itself and the result screen.  The
+ * player's own shots are played and scored locally exactly like a
+ * single-player game; the opponent's launches arrive over the network and
+ * are replayed on a ghost drawn behind the player's hoop.  A shared score
+ * bar takes the place of the usual score row.
+ *
+ * Props:
+ *   defaultName (string) – name to prefill in the lobby
+ *   controls (object)    – { scheme, sensitivity } pointer controls
+ *   settings (object)    – display settings from useSettings; races are
+ *                          always played with the standard physics
+ *   onExit (function)    – called when the player leaves for the start
+ *                          screen
+ */
+export default function OnlineMatch({ defaultName, controls, settings, onExit }) {
+  const clientRef = useRef(null);
+  // Connection status reported by the client.
+  const [status, setStatus] = useState('connecting');
+  // Room code and seat once the server has seated us.
+  const [code, setCode] = useState(null);
+  const [slot, setSlot] = useState(0);
+  // Room state from the server: phase and both seats.
+  const [phase, setPhase] = useState(null);
+  const [players, setPlayers] = useState([null, null]);
+  const [error, setError] = useState(null);
+  // Seconds left in the countdown, 0 for "Go!", null when not counting.
+  const [countdown, setCountdown] = useState(null);
+  // Milliseconds left in the race.
+  const [timeLeft, setTimeLeft] = useState(null);
+  const endsAtRef = useRef(null);
+  // Final result from the server once the race is over.
+  const [result, setResult] = useState(null);
+  const [rematchRequested, setRematchRequested] = useState(false);
+  // The local player's statistics for the current race.
+  const [stats, setStats] = useState(initialStats);
+  // Increases with every race so Game remounts with a fresh engine.
+  const [raceId, setRaceId] = useState(0);
+  // Opponent's ghost for the current race.
+  const [ghost, setGhost] = useState(null);
+  const ghostRef = useRef(null);
+
+  // Connect on mount and leave the room on unmount.
+  useEffect(() => {
+    const client = createMultiplayerClient();
+    clientRef.current = client;
+    client.on('status', setStatus);
+    client.on('joined', message => {
+      setCode(message.code);
+      setSlot(message.slot);
+      setError(null);
+    });
+    client.on('room', message => {
+      setPhase(message.phase);
+      setPlayers(message.players);
+      // Resync the clock, e.g. after reconnecting mid race.
+      if (message.remainingMs !== null) endsAtRef.current = Date.now() + message.remainingMs;
+    });
+    client.on('countdown', ({ seconds }) => {
+      const next = createGhost();
+      ghostRef.current = next;
+      setGhost(next);
+      setStats(initialStats());
+      setResult(null);
+      setRematchRequested(false);
+      setRaceId(id => id + 1);
+      setCountdown(seconds);
+    });
+    client.on('start', ({ durationMs }) => {
+      endsAtRef.current = Date.now() + durationMs;
+      setTimeLeft(durationMs);
+      setCountdown(null);
+    });
+    client.on('launch', ({ vx, vy }) => {
+      if (ghostRef.current) ghostRef.current.launch(vx, vy);
+    });
+    client.on('finished', message => setResult(message));
+    client.on('error', message => {
+      setError(message.message);
+      if (message.fatal) setCode(null);
+    });
+    return () => {
+      client.close();
+      clientRef.current = null;
+    };
+  }, []);
+
+  // Tick the countdown down once a second.
+  useEffect(() => {
+    if (!countdown) return undefined;
+    const id = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(id);
+  }, [countdown]);
+
+  // Run the race clock.  The server decides when the race ends; this is
+  // only for display.
+  const racing = phase === PHASES.PLAYING && countdown === null;
+  useEffect(() => {
+    if (!racing) return undefined;
+    const id = setInterval(() => {
+      setTimeLeft(Math.max(0, endsAtRef.current - Date.now()));
+    }, 100);
+    return () => clearInterval(id);
+  }, [racing]);
+
+  const handleScore = shot => {
+    const { stats: next } = applyMake(stats, shot);
+    playShotSounds({ made: true, outcome: shot.outcome }, stats, next);
+    setStats(next);
+    clientRef.current.sendResult(shot.outcome, next.score);
+  };
+
+  const handleMiss = shot => {
+    const next = applyMiss(stats);
+    playShotSounds({ made: false, outcome: shot.outcome }, stats, next);
+    setStats(next);
+    clientRef.current.sendResult(shot.outcome, next.score);
+  };
+
+  const handleRematch = () => {
+    setRematchRequested(true);
+    clientRef.current.requestRematch();
+  };
+
+  const opponentSlot = 1 - slot;
+  const me = players[slot];
+  const opponent = players[opponentSlot];
+  const names = players.map(player => (player ? player.name : null));
+  const inRace = phase === PHASES.COUNTDOWN || phase === PHASES.PLAYING;
+
+  if (result && phase === PHASES.FINISHED) {
+    return (
+      <MatchResultModal
+        result={result}
+        slot={slot}
+        names={names}
+        waitingForRematch={rematchRequested}
+        canRematch={Boolean(opponent && opponent.connected)}
+        onRematch={handleRematch}
+        onLeave={onExit}
+      />
+    );
+  }
+
+  if (!inRace) {
+    return (
+      <Lobby
+        defaultName={defaultName}
+        status={status}
+        code={code}
+        players={players}
+        error={error}
+        onCreate={name => clientRef.current.createRoom(name)}
+        onJoin={(roomCode, name) => clientRef.current.joinRoom(roomCode, name)}
+        onLeave={onExit}
+      />
+    );
+  }
+
+  return (
+    <>
+      <div className="score-row versus">
+        <div>
+          <span className="label">{me ? me.name : 'You'}:</span> {stats.score}
+        </div>
+        <div className={`clock${timeLeft !== null && timeLeft < 10000 ? ' low' : ''}`}>
+          {status !== 'connected' && 'Reconnecting…'}
+          {status === 'connected' &&
+            (countdown !== null || timeLeft === null ? 'Get ready' : `${Math.ceil(timeLeft / 1000)}s`)}
+        </div>
+        <div className={opponent && opponent.connected ? '' : 'offline'}>
+          <span className="label">{opponent ? opponent.name : 'Opponent'}:</span>{' '}
+          {opponent ? opponent.score : 0}
+        </div>
+      </div>
+      <div className="game-area">
+        <Game
+          key={raceId}
+          onScore={handleScore}
+          onMiss={handleMiss}
+          onCollision={playCollisionSound}
+          onLaunch={({ vx, vy }) => clientRef.current.sendLaunch(vx, vy)}
+          locked={countdown !== null}
+          ghost={ghost}
+          controlScheme={controls.scheme}
+          flickSensitivity={controls.sensitivity}
+          handedness={settings.handedness}
+          reducedMotion={settings.reducedMotion}
+          theme={settings.theme}
+        />
+        {countdown !== null && <div className="countdown">{countdown || 'Go!'}</div>}
+      </div>
+    </>
+  );
+}
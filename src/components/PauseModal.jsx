@@ -0,0 +1,41 @@
+import React, { useRef } from 'react';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+
+/**
+ * PauseModal covers the court while a game is paused.  The game stays
+ * where it was underneath; resuming counts down before play continues.
+ * Escape (or B on a gamepad) resumes as well.
+ *
+ * Props:
+ *   modeLabel (string)      – name of the mode being played
+ *   onResume (function)     – continue the game
+ *   onShowSettings (function) – open the settings screen
+ *   onQuit (function)       – abandon the game and return to the start
+ *                             screen without recording it
+ */
+export default function PauseModal({ modeLabel, onResume, onShowSettings, onQuit }) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onResume });
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="pause-title"
+      >
+        <div className="modal-title" id="pause-title">Paused</div>
+        <div className="modal-description">{modeLabel}</div>
+        <button className="ui-button" onClick={onResume} data-autofocus>
+          Resume
+        </button>
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onShowSettings}>Settings</button>
+          <button className="ui-button" onClick={onQuit}>Quit</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createReplayPlayer, countShots } from '../engine/replay';
+import {
+  drawBall,
+  drawCourt,
+  drawHazards,
+  drawHoop,
+  drawRimFront,
+  drawWind,
+} from '../render/court';
+import { beginFrame, createView, fitView } from '../render/view';
+
+// Playback rates offered by the speed buttons.
+const SPEEDS = [0.5, 1, 2];
+
+/**
+ * ReplayViewer plays a recorded session back on a canvas.  The replay is
+ * re-simulated by its own engine so what you see is exactly what happened
+ * in the original game, independent of the current window size.  A control
+ * bar offers pause/resume, single frame stepping and playback speed.
+ *
+ * Props:
+ *   replay (object)    – replay produced by the recorder or loaded from a file
+ *   onClose (function) – called when the user leaves the viewer
+ */
+export default function ReplayViewer({ replay, onClose }) {
+  const canvasRef = useRef(null);
+  // The player lives in a ref so the controls can reach it.
+  const playerRef = useRef(null);
+  // Playback controls read by the animation loop.
+  const controlsRef = useRef({ paused: false, speed: 1 });
+  const [paused, setPaused] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  // Running tally shown in the control bar.
+  const [progress, setProgress] = useState({ shot: 0, makes: 0, misses: 0, done: false });
+
+  useEffect(() => {
+    controlsRef.current.paused = paused;
+    controlsRef.current.speed = speed;
+  }, [paused, speed]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const player = createReplayPlayer(replay);
+    playerRef.current = player;
+    const { engine } = player;
+    const view = createView(engine.config);
+    const handleResize = () => fitView(view, canvas);
+
+    const tally = { makes: 0, misses: 0 };
+    const publish = () =>
+      setProgress({
+        shot: player.shotsPlayed(),
+        makes: tally.makes,
+        misses: tally.misses,
+        done: player.isFinished(),
+      });
+    engine.on('score', () => { tally.makes++; });
+    engine.on('miss', () => { tally.misses++; });
+
+    function draw(alpha) {
+      const { width, height } = engine.config;
+      beginFrame(ctx, view);
+      drawCourt(ctx, width, height);
+      drawWind(ctx, engine.config.wind + engine.state.hazards.wind, width);
+      drawHoop(ctx, engine.state.hoop);
+      drawHazards(ctx, engine.state.hazards);
+      drawBall(ctx, engine.getBallPosition(alpha), engine.state.ball.radius, height);
+      drawRimFront(ctx, engine.state.hoop);
+    }
+
+    let animationFrameId;
+    let lastTime = null;
+    let lastShown = '';
+    function loop(now) {
+      const elapsed = lastTime === null ? 0 : now - lastTime;
+      lastTime = now;
+      const { paused, speed } = controlsRef.current;
+      const alpha = paused ? 1 : player.advance(elapsed, speed);
+      draw(alpha);
+      // Only push React updates when the tally actually changes.
+      const shown = `${player.shotsPlayed()}/${tally.makes}/${tally.misses}/${player.isFinished()}`;
+      if (shown !== lastShown) {
+        lastShown = shown;
+        publish();
+      }
+      animationFrameId = requestAnimationFrame(loop);
+    }
+    window.addEventListener('resize', handleResize);
+    handleResize();
+    animationFrameId = requestAnimationFrame(loop);
+
+    return () => {
+      cancelAnimationFrame(animationFrameId);
+      window.removeEventListener('resize', handleResize);
+      playerRef.current = null;
+    };
+  }, [replay]);
+
+  /**
+   * Advance a single physics step.  Pauses playback first so the frame
+   * stays on screen.
+   */
+  const handleStep = () => {
+    setPaused(true);
+    controlsRef.current.paused = true;
+    if (playerRef.current) playerRef.current.stepFrame();
+  };
+
+  const totalShots = countShots(replay);
+
+  return (
+    <>
+      <div className="score-row replay-bar">
+        <div>
+          <span className="label">Shot:</span> {progress.shot}/{totalShots}
+        </div>
+        <div>
+          <span className="label">Made:</span> {progress.makes}
+        </div>
+        <div>
+          <span className="label">Missed:</span> {progress.misses}
+        </div>
+        <div className="replay-controls">
+          <button className="ui-button small" onClick={() => setPaused(p => !p)} disabled={progress.done}>
+            {paused ? 'Play' : 'Pause'}
+          </button>
+          <button className="ui-button small" onClick={handleStep} disabled={progress.done}>
+            Step
+          </button>
+          {SPEEDS.map(s => (
+            <button
+              key={s}
+              className={`ui-button small${speed === s ? ' active' : ''}`}
+              onClick={() => setSpeed(s)}
+            >
+              {s}x
+            </button>
+          ))}
+          <button className="ui-button small" onClick={onClose}>Close</button>
+        </div>
+      </div>
+      <div className="game-area">
+        <canvas ref={canvasRef} className="game-canvas"></canvas>
+      </div>
+    </>
+  );
+}
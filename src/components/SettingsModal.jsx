@@ -0,0 +1,240 @@
+import React, { useRef } from 'react';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+import { POINTER_SCHEMES } from '../input';
+import { MIN_SENSITIVITY, MAX_SENSITIVITY } from '../input/flick';
+import { THEMES } from '../render/themes';
+import { BOT_SKILLS } from '../engine/bot';
+import {
+  AIM_ASSIST,
+  SANDBOX_PHYSICS,
+  isAssisted,
+  isStandardPhysics,
+  standardPhysics,
+} from '../settings';
+
+// Volume controls offered in the sound section, as [setting, label].
+const VOLUME_SLIDERS = [
+  ['master', 'Volume'],
+  ['sfx', 'Effects'],
+  ['music', 'Music'],
+];
+
+const HANDEDNESS = {
+  right: 'Right-handed',
+  left: 'Left-handed',
+};
+
+/**
+ * A row of small buttons for picking one of several options.
+ */
+function Choice({ options, value, onChange }) {
+  return (
+    <div className="mode-picker">
+      {Object.entries(options).map(([id, label]) => (
+        <button
+          key={id}
+          className={`ui-button small${id === value ? ' active' : ''}`}
+          onClick={() => onChange(id)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * SettingsModal gathers everything a player can adjust: sound, controls,
+ * handedness, the aim assist, reduced motion, the colour theme and a
+ * rules sandbox for the physics.  It can be opened from the start screen
+ * or during a game; every change is saved and applied straight away.
+ *
+ * Props:
+ *   audioSettings (object)    – { master, music, sfx, muted, musicEnabled }
+ *   onChangeAudioSettings (function) – called with changed audio settings
+ *   controls (object)         – { scheme, sensitivity } pointer controls
+ *   onChangeControls (function) – called with changed control settings
+ *   settings (object)         – { handedness, reducedMotion, theme, aimAssist,
+ *                               audioAim, cpuSkill, physics }
+ *   onChangeSettings (function) – called with changed settings; physics
+ *                               holds just the parameters changed
+ *   onPlayTutorial (function) – optional, called to play the tutorial again;
+ *                               offered only when given
+ *   onClose (function)        – called when the user leaves the screen
+ */
+export default function SettingsModal({
+  audioSettings,
+  onChangeAudioSettings,
+  controls,
+  onChangeControls,
+  settings,
+  onChangeSettings,
+  onPlayTutorial,
+  onClose,
+}) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onClose });
+  const { physics } = settings;
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card wide"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+      >
+        <div className="modal-title" id="settings-title">Settings</div>
+
+        <div className="stats-heading">Sound</div>
+        <div className="mode-picker">
+          <button
+            className={`ui-button small${audioSettings.muted ? ' active' : ''}`}
+            onClick={() => onChangeAudioSettings({ muted: !audioSettings.muted })}
+          >
+            Mute
+          </button>
+          <button
+            className={`ui-button small${audioSettings.musicEnabled ? ' active' : ''}`}
+            onClick={() => onChangeAudioSettings({ musicEnabled: !audioSettings.musicEnabled })}
+          >
+            Music
+          </button>
+        </div>
+        {VOLUME_SLIDERS.map(([key, label]) => (
+          <label key={key} className="slider-row">
+            {label}
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={audioSettings[key]}
+              onChange={e => onChangeAudioSettings({ [key]: Number(e.target.value) })}
+            />
+            <span>{Math.round(audioSettings[key] * 100)}%</span>
+          </label>
+        ))}
+
+        <div className="stats-heading">Touch and mouse controls</div>
+        <Choice
+          options={POINTER_SCHEMES}
+          value={controls.scheme}
+          onChange={scheme => onChangeControls({ scheme })}
+        />
+        {controls.scheme === 'flick' && (
+          <label className="slider-row">
+            Sensitivity
+            <input
+              type="range"
+              min={MIN_SENSITIVITY}
+              max={MAX_SENSITIVITY}
+              step="0.1"
+              value={controls.sensitivity}
+              onChange={e => onChangeControls({ sensitivity: Number(e.target.value) })}
+            />
+            <span>{controls.sensitivity.toFixed(1)}×</span>
+          </label>
+        )}
+        <Choice
+          options={HANDEDNESS}
+          value={settings.handedness}
+          onChange={handedness => onChangeSettings({ handedness })}
+        />
+
+        <div className="stats-heading">Aim assist</div>
+        <Choice
+          options={AIM_ASSIST}
+          value={settings.aimAssist}
+          onChange={aimAssist => onChangeSettings({ aimAssist })}
+        />
+        <div className="mode-picker">
+          <button
+            className={`ui-button small${settings.audioAim ? ' active' : ''}`}
+            onClick={() => onChangeSettings({ audioAim: !settings.audioAim })}
+            aria-pressed={settings.audioAim}
+          >
+            Audio aiming
+          </button>
+        </div>
+        {settings.audioAim && (
+          <div className="modal-note">
+            The tone rises as your shot lines up with the hoop.
+          </div>
+        )}
+        {isAssisted(settings) && (
+          <div className="modal-note">
+            Assisted games keep their own high scores and don't go on the
+            leaderboards.
+          </div>
+        )}
+
+        <div className="stats-heading">CPU opponent</div>
+        <Choice
+          options={Object.fromEntries(Object.entries(BOT_SKILLS).map(([id, s]) => [id, s.label]))}
+          value={settings.cpuSkill}
+          onChange={cpuSkill => onChangeSettings({ cpuSkill })}
+        />
+
+        <div className="stats-heading">Display</div>
+        <Choice
+          options={Object.fromEntries(Object.entries(THEMES).map(([id, t]) => [id, t.label]))}
+          value={settings.theme}
+          onChange={theme => onChangeSettings({ theme })}
+        />
+        <div className="mode-picker">
+          <button
+            className={`ui-button small${settings.reducedMotion ? ' active' : ''}`}
+            onClick={() => onChangeSettings({ reducedMotion: !settings.reducedMotion })}
+            aria-pressed={settings.reducedMotion}
+          >
+            Reduce motion
+          </button>
+        </div>
+
+        <div className="stats-heading">Rules sandbox</div>
+        {SANDBOX_PHYSICS.map(({ key, label, min, max, step }) => (
+          <label key={key} className="slider-row">
+            {label}
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={physics[key]}
+              onChange={e =>
+                onChangeSettings({ physics: { [key]: Number(e.target.value) } })
+              }
+            />
+            <span>{physics[key]}</span>
+          </label>
+        ))}
+        {!isStandardPhysics(physics) && (
+          <>
+            <div className="modal-note">
+              Games with custom rules don't count towards high scores, stats or
+              leaderboards.
+            </div>
+            <button
+              className="ui-button small"
+              onClick={() => onChangeSettings({ physics: standardPhysics() })}
+            >
+              Standard rules
+            </button>
+          </>
+        )}
+
+        {onPlayTutorial && (
+          <button className="ui-button small" onClick={onPlayTutorial}>
+            Play the tutorial
+          </button>
+        )}
+
+        <button className="ui-button" onClick={onClose} data-autofocus>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
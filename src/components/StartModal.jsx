@@ -1,26 +1,236 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import ImportButton from './ImportButton';
+import { MODE_ORDER, getMode } from '../modes';
+import { MAX_PLAYERS } from '../hotseat';
+import { MAX_NAME_LENGTH } from '../leaderboard';
+import { assistedKey } from '../settings';
+import { currentStreak, dateKey } from '../daily';
+import useMenuNavigation from '../hooks/useMenuNavigation';
 
 /**
- * StartModal displays instructions and a button to begin playing.  It
- * overlays the entire game area and uses simple classes defined in
- * index.css to approximate the look of a shadcn dialog.
+ * StartModal displays instructions, lets the player choose a game mode
+ * and the number of players taking turns on this device (with their
+ * names) and offers a button to begin playing.  The local leaderboard for the
+ * selected mode is listed below, with buttons to export it or merge in a
+ * board exported on another device.  It overlays the entire game area
+ * and uses simple classes defined in index.css to approximate the look of
+ * a shadcn dialog.  It can be driven with the keyboard or a gamepad.
  *
  * Props:
- *   onStart (function) – callback invoked when the user clicks the start button
+ *   initialMode (string)      – id of the mode selected when the modal opens
+ *   highScores (object)       – high score per mode id, and per mode for
+ *                               assisted games (see settings.js)
+ *   onStart (function)        – called with the chosen mode id and the
+ *                               player names (null for a solo game) when the
+ *                               user clicks the start button
+ *   onShowStats (function)    – open the lifetime statistics screen
+ *   onShowAchievements (function) – open the achievements gallery
+ *   onPlayOnline (function)   – open the head to head lobby
+ *   onShowSettings (function) – open the settings screen
+ *   daily (object)            – saved daily challenge record, see daily.js
+ *   controls (object)         – { scheme, sensitivity } pointer controls,
+ *                               for the instructions
+ *   boards (object)           – leaderboard entries keyed by mode id
+ *   onExportBoards (function) – download the leaderboard
+ *   onImportBoards (function) – called with the JSON of a chosen leaderboard
+ *   onImportBoardsError (function) – called when that file can't be read
+ *   leaderboardMessage (object)    – { error, text } result of an import
+ *   onImportReplay (function) – called with the JSON of a chosen replay file
+ *   onImportError (function)  – called when a chosen file can't be read
+ *   replayError (string)      – message describing a rejected replay file
  */
-export default function StartModal({ onStart }) {
+export default function StartModal({
+  initialMode,
+  highScores,
+  onStart,
+  onShowStats,
+  onShowAchievements,
+  onPlayOnline,
+  onShowSettings,
+  daily,
+  controls,
+  boards,
+  onExportBoards,
+  onImportBoards,
+  onImportBoardsError,
+  leaderboardMessage,
+  onImportReplay,
+  onImportError,
+  replayError,
+}) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef);
+  const [modeId, setModeId] = useState(initialMode);
+  const mode = getMode(modeId);
+  const board = boards[modeId] || [];
+  // One entry per player; a single entry is a solo game.
+  const [names, setNames] = useState(['']);
+  const maxPlayers = mode.maxPlayers || MAX_PLAYERS;
+  // The daily challenge can be played once a day.
+  const playedToday = Boolean(mode.daily) && daily.lastPlayed === dateKey();
+  const canStart =
+    names.length >= mode.minPlayers && names.length <= maxPlayers && !playedToday;
+
+  const setPlayerCount = count => {
+    setNames(prev => Array.from({ length: count }, (_, i) => prev[i] || ''));
+  };
+
+  const handleStart = () => {
+    if (names.length === 1) {
+      onStart(modeId, [null]);
+    } else {
+      onStart(modeId, names.map((name, i) => name.trim() || `Player ${i + 1}`));
+    }
+  };
+
   return (
     <div className="modal-overlay">
-      <div className="modal-card">
-        <div className="modal-title">Basketball Challenge</div>
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="start-title"
+      >
+        <div className="modal-title" id="start-title">Basketball Challenge</div>
+        <div className="mode-picker">
+          {MODE_ORDER.map(id => (
+            <button
+              key={id}
+              className={`ui-button small${id === modeId ? ' active' : ''}`}
+              onClick={() => {
+                setModeId(id);
+                const max = getMode(id).maxPlayers;
+                if (max && names.length > max) setPlayerCount(max);
+              }}
+            >
+              {getMode(id).label}
+            </button>
+          ))}
+        </div>
         <div className="modal-description">
-          Drag the basketball back to set your angle and power.  Release to shoot
-          and try to sink as many baskets as you can!  You have five lives –
-          missing a shot will cost you one.  Beat your high score and see how
-          long you can last.
+          {controls.scheme === 'flick'
+            ? 'Flick the basketball towards the hoop: the faster the swipe, ' +
+              'the harder the shot.'
+            : 'Drag the basketball back to set your angle and power.  Release ' +
+              'to shoot and arc the ball into the hoop.'}{' '}
+          On a keyboard, aim with the
+          arrow keys and hold Space to charge; on a gamepad, aim with the
+          stick and hold the trigger.  {mode.description}
+          {mode.minPlayers === 1 && !mode.cpu && (
+            <>
+              <br />
+              High score: <strong>{highScores[modeId] || 0}</strong>
+              {highScores[assistedKey(modeId)] > 0 && (
+                <> (with aim assist: {highScores[assistedKey(modeId)]})</>
+              )}
+            </>
+          )}
+          {mode.daily && currentStreak(daily) > 0 && (
+            <>
+              <br />
+              Daily streak: <strong>{currentStreak(daily)}</strong>
+              {currentStreak(daily) === 1 ? ' day' : ' days'}
+            </>
+          )}
+        </div>
+        <div className="stats-heading">Players</div>
+        <div className="mode-picker">
+          {Array.from({ length: maxPlayers }, (_, i) => i + 1).map(count => (
+            <button
+              key={count}
+              className={`ui-button small${count === names.length ? ' active' : ''}`}
+              onClick={() => setPlayerCount(count)}
+            >
+              {count}
+            </button>
+          ))}
+        </div>
+        {names.length > 1 && (
+          <div className="player-names">
+            {names.map((name, i) => (
+              <input
+                key={i}
+                className="ui-input"
+                value={name}
+                maxLength={MAX_NAME_LENGTH}
+                placeholder={`Player ${i + 1}`}
+                aria-label={`Name of player ${i + 1}`}
+                onChange={e =>
+                  setNames(names.map((n, j) => (j === i ? e.target.value : n)))
+                }
+              />
+            ))}
+          </div>
+        )}
+        {names.length < mode.minPlayers && (
+          <div className="modal-note">
+            {mode.label} needs at least {mode.minPlayers} players.
+          </div>
+        )}
+        {playedToday && (
+          <div className="modal-note">
+            You've played today's challenge ({daily.lastScore} points).  Come back
+            tomorrow for a new one.
+          </div>
+        )}
+        <button
+          className="ui-button"
+          onClick={handleStart}
+          disabled={!canStart}
+          data-autofocus
+        >
+          Start Game
+        </button>
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onPlayOnline}>Head to head</button>
+        </div>
+        {mode.minPlayers === 1 && !mode.cpu && (
+          <>
+            <div className="stats-heading">{mode.label} leaderboard</div>
+            {board.length === 0 ? (
+              <div className="stats-empty">No scores yet – be the first!</div>
+            ) : (
+              <table className="stats-table leaderboard">
+                <tbody>
+                  {board.map((entry, idx) => (
+                    <tr key={entry.id || idx}>
+                      <td>#{idx + 1}</td>
+                      <td>{entry.name}</td>
+                      <td>{entry.score}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+        <div className="modal-actions">
+          <button className="ui-button small" onClick={onExportBoards}>Export board</button>
+          <ImportButton
+            label="Merge board"
+            small
+            onImport={onImportBoards}
+            onError={onImportBoardsError}
+          />
+        </div>
+        {leaderboardMessage && (
+          <div className={leaderboardMessage.error ? 'modal-error' : 'modal-note'}>
+            {leaderboardMessage.text}
+          </div>
+        )}
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onShowStats}>Stats</button>
+          <button className="ui-button" onClick={onShowAchievements}>Achievements</button>
+          <button className="ui-button" onClick={onShowSettings}>Settings</button>
+          <ImportButton
+            label="Open replay"
+            onImport={onImportReplay}
+            onError={onImportError}
+          />
         </div>
-        <button className="ui-button" onClick={onStart}>Start Game</button>
+        {replayError && <div className="modal-error">{replayError}</div>}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
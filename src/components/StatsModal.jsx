@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getStorage } from '../storage';
+import { getMode } from '../modes';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+
+// Number of recent sessions plotted in the shooting percentage chart.
+const CHART_SESSIONS = 30;
+// Number of rows in the best scores table.
+const BEST_SCORES = 10;
+
+/**
+ * Summarise a list of session records into lifetime totals.
+ */
+function summarise(sessions) {
+  const totals = { games: sessions.length, makes: 0, attempts: 0, points: 0 };
+  for (const s of sessions) {
+    totals.makes += s.makes;
+    totals.attempts += s.attempts;
+    totals.points += s.score;
+  }
+  totals.percentage =
+    totals.attempts === 0 ? 0 : Math.round((totals.makes / totals.attempts) * 100);
+  return totals;
+}
+
+/**
+ * Small SVG line chart of the shooting percentage of recent sessions.
+ * Sessions without any attempt are skipped.
+ */
+function PercentageChart({ sessions }) {
+  const points = sessions
+    .filter(s => s.attempts > 0)
+    .slice(-CHART_SESSIONS)
+    .map(s => (s.makes / s.attempts) * 100);
+  if (points.length < 2) {
+    return <div className="stats-empty">Play a few more games to see a trend.</div>;
+  }
+  const width = 280;
+  const height = 80;
+  const step = width / (points.length - 1);
+  const path = points
+    .map((p, i) => `${(i * step).toFixed(1)},${(height - (p / 100) * height).toFixed(1)}`)
+    .join(' ');
+  return (
+    <svg
+      className="stats-chart"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label="Shooting percentage of recent games"
+    >
+      <line x1="0" y1={height / 2} x2={width} y2={height / 2} className="stats-chart-grid" />
+      <polyline points={path} className="stats-chart-line" />
+    </svg>
+  );
+}
+
+/**
+ * Table of the best sessions, highest score first.
+ */
+function BestScores({ sessions }) {
+  const best = [...sessions].sort((a, b) => b.score - a.score).slice(0, BEST_SCORES);
+  return (
+    <table className="stats-table">
+      <thead>
+        <tr>
+          <th>Score</th>
+          <th>Mode</th>
+          <th>Made</th>
+          <th>Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {best.map((s, idx) => (
+          <tr key={idx}>
+            <td>{s.score}</td>
+            <td>{getMode(s.mode).label}</td>
+            <td>
+              {s.makes}/{s.attempts}
+            </td>
+            <td>{new Date(s.date).toLocaleDateString()}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * StatsModal shows lifetime statistics read from storage: totals across
+ * every finished session, shooting percentage over recent games and the
+ * best scores.  Games played with the aim assist have their own best
+ * scores table so they don't mix with unassisted ones.  It uses the same
+ * modal-card styling as the other screens.
+ *
+ * Props:
+ *   onClose (function) – called when the user leaves the screen
+ */
+export default function StatsModal({ onClose }) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onClose });
+  // Null while loading, then the list of session records.
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getStorage()
+      .then(store => store.getSessions())
+      .then(list => {
+        if (!cancelled) setSessions(list);
+      })
+      .catch(err => {
+        console.warn('Could not load sessions:', err);
+        if (!cancelled) setSessions([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const totals = sessions ? summarise(sessions) : null;
+  const unassisted = sessions ? sessions.filter(s => !s.assisted) : [];
+  const assisted = sessions ? sessions.filter(s => s.assisted) : [];
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card wide"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="stats-title"
+      >
+        <div className="modal-title" id="stats-title">Stats</div>
+        {!sessions && <div className="modal-description">Loading…</div>}
+        {sessions && sessions.length === 0 && (
+          <div className="modal-description">No finished games yet.</div>
+        )}
+        {sessions && sessions.length > 0 && (
+          <>
+            <dl className="stats-breakdown">
+              <dt>Games played</dt>
+              <dd>{totals.games}</dd>
+              <dt>Baskets made</dt>
+              <dd>{totals.makes}</dd>
+              <dt>Shots taken</dt>
+              <dd>{totals.attempts}</dd>
+              <dt>Shooting</dt>
+              <dd>{totals.percentage}%</dd>
+              <dt>Total points</dt>
+              <dd>{totals.points}</dd>
+            </dl>
+            <div className="stats-heading">Shooting % over time</div>
+            <PercentageChart sessions={sessions} />
+            {unassisted.length > 0 && (
+              <>
+                <div className="stats-heading">Best scores</div>
+                <BestScores sessions={unassisted} />
+              </>
+            )}
+            {assisted.length > 0 && (
+              <>
+                <div className="stats-heading">Best scores with aim assist</div>
+                <BestScores sessions={assisted} />
+              </>
+            )}
+          </>
+        )}
+        <button className="ui-button" onClick={onClose}>Back</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React, { useRef } from 'react';
+import useMenuNavigation from '../hooks/useMenuNavigation';
+
+/**
+ * TutorialCompleteModal ends the tutorial after its first basket and
+ * offers a real game straight away.  Escape (or B on a gamepad) goes back
+ * to the start screen.
+ *
+ * Props:
+ *   onPlay (function) – start a Classic game
+ *   onMenu (function) – back to the start screen
+ */
+export default function TutorialCompleteModal({ onPlay, onMenu }) {
+  const menuRef = useRef(null);
+  useMenuNavigation(menuRef, { onBack: onMenu });
+
+  return (
+    <div className="modal-overlay">
+      <div
+        className="modal-card"
+        ref={menuRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="tutorial-complete-title"
+      >
+        <div className="modal-title" id="tutorial-complete-title">Nice shot!</div>
+        <div className="modal-description">
+          That's all there is to it.  You can play the tutorial again from the
+          settings any time.
+        </div>
+        <button className="ui-button" onClick={onPlay} data-autofocus>
+          Play Classic
+        </button>
+        <div className="modal-actions">
+          <button className="ui-button" onClick={onMenu}>Menu</button>
+        </div>
+      </div>
+    </div>
+  );
+}
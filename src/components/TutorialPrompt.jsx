@@ -0,0 +1,24 @@
+import React from 'react';
+import { TUTORIAL_STEPS } from '../tutorial';
+
+/**
+ * TutorialPrompt tells a new player what to do next.  It sits at the top
+ * of the court, over the game but not blocking it, with the step number,
+ * what the step asks for and a way out.
+ *
+ * Props:
+ *   step (number)      – index into TUTORIAL_STEPS
+ *   onSkip (function)  – leave the tutorial for good
+ */
+export default function TutorialPrompt({ step, onSkip }) {
+  const { title, text } = TUTORIAL_STEPS[step];
+  return (
+    <div className="tutorial-prompt">
+      <div className="tutorial-step">
+        Step {step + 1} of {TUTORIAL_STEPS.length}: <strong>{title}</strong>
+      </div>
+      <div className="tutorial-text">{text}</div>
+      <button className="ui-button small" onClick={onSkip}>Skip tutorial</button>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+/**
+ * Daily challenge: ten shots that are the same for everyone on a given
+ * calendar day.  The hoop, ball and wind of every shot come from a PRNG
+ * seeded with the date, so no server is needed to agree on the layout.
+ * Each shot is described like a level (see levels/), so the game plays
+ * it the same way.
+ *
+ * The result of the day is remembered under the `daily` key together
+ * with the streak of consecutive days played:
+ *   { lastPlayed, streak, bestStreak, lastScore, lastOutcomes, inProgress }
+ * inProgress is { key, outcomes, score } of a challenge started but not
+ * yet finished, saved after every shot so that reloading the page can't
+ * give another go at it (see closeAbandoned()), or null.
+ */
+
+export const DAILY_SHOTS = 10;
+
+// Shot results in the shareable grid.
+const GRID = {
+  swish: '🟩',
+  make: '🟨',
+  miss: '⬛',
+};
+
+export const EMPTY_DAILY = {
+  lastPlayed: null,
+  streak: 0,
+  bestStreak: 0,
+  lastScore: 0,
+  lastOutcomes: [],
+  inProgress: null,
+};
+
+/**
+ * Local calendar date as YYYY-MM-DD, the key of a day's challenge.
+ *
+ * @param {Date} date Day to describe, today by default.
+ */
+export function dateKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Key of the day before a date key.
+ */
+function previousDay(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return dateKey(new Date(year, month - 1, day - 1));
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1).
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, to seed the PRNG.
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * The shots of a day's challenge.  Values are rounded so the layout
+ * reads cleanly in a replay file.
+ *
+ * @param {string} key Date key from dateKey().
+ * @returns {Array<object>} DAILY_SHOTS shots shaped like levels.
+ */
+export function dailyShots(key) {
+  const random = createRandom(hash(key));
+  const between = (min, max, places = 2) =>
+    Number((min + (max - min) * random()).toFixed(places));
+  return Array.from({ length: DAILY_SHOTS }, (_, i) => ({
+    name: `Shot ${i + 1}`,
+    hoop: { x: between(0.6, 0.8), y: between(0.22, 0.34), motion: null },
+    ball: { x: between(0.1, 0.4), y: between(0.75, 0.9) },
+    gravity: null,
+    wind: between(-0.02, 0.02, 3),
+    makes: 1,
+  }));
+}
+
+/**
+ * Grid class of a shot outcome from the engine.
+ */
+function gridClass(outcome) {
+  if (outcome === 'swish') return 'swish';
+  return outcome === 'rim-out' || outcome === 'airball' ? 'miss' : 'make';
+}
+
+/**
+ * Shareable text for a finished challenge: a header and one square per
+ * shot.
+ *
+ * @param {string} key Date key of the challenge.
+ * @param {Array<string>} outcomes Outcome of every shot, in order.
+ * @param {number} score Points scored.
+ */
+export function shareText(key, outcomes, score) {
+  const made = outcomes.filter(o => gridClass(o) !== 'miss').length;
+  const grid = outcomes.map(o => GRID[gridClass(o)]).join('');
+  return `Basketball Daily ${key}  ${made}/${outcomes.length}  ${score} pts\n${grid}`;
+}
+
+/**
+ * Record a finished challenge, extending the streak if the previous one
+ * was played the day before.
+ *
+ * @param {object} daily Saved daily record.
+ * @param {string} key Date key of the challenge.
+ * @param {Array<string>} outcomes Outcome of every shot.
+ * @param {number} score Points scored.
+ * @returns {object} New daily record.
+ */
+export function recordDaily(daily, key, outcomes, score) {
+  if (daily.lastPlayed === key) return daily;
+  const streak = daily.lastPlayed === previousDay(key) ? daily.streak + 1 : 1;
+  return {
+    lastPlayed: key,
+    streak,
+    bestStreak: Math.max(daily.bestStreak, streak),
+    lastScore: score,
+    lastOutcomes: outcomes,
+    inProgress: null,
+  };
+}
+
+/**
+ * Remember how far a challenge has got, from its start on.
+ *
+ * @param {object} daily Saved daily record.
+ * @param {string} key Date key of the challenge.
+ * @param {Array<string>} outcomes Outcome of every shot so far.
+ * @param {number} score Points scored so far.
+ * @returns {object} New daily record.
+ */
+export function recordProgress(daily, key, outcomes, score) {
+  return { ...daily, inProgress: { key, outcomes, score } };
+}
+
+/**
+ * Finish a challenge left unfinished, e.g. by closing the page, the way
+ * quitting it does: the shots not taken count as misses.
+ *
+ * @param {object} daily Saved daily record.
+ * @returns {object} New daily record, the same object if nothing was left
+ *   unfinished.
+ */
+export function closeAbandoned(daily) {
+  if (!daily.inProgress) return daily;
+  const { key, outcomes, score } = daily.inProgress;
+  const missed = Array(Math.max(0, DAILY_SHOTS - outcomes.length)).fill('airball');
+  return { ...recordDaily(daily, key, [...outcomes, ...missed], score), inProgress: null };
+}
+
+/**
+ * Current streak of a daily record: it lapses once a whole day has been
+ * missed.
+ */
+export function currentStreak(daily, key = dateKey()) {
+  if (daily.lastPlayed === key || daily.lastPlayed === previousDay(key)) return daily.streak;
+  return 0;
+}
@@ -0,0 +1,239 @@
+/**
+ * A computer shooter.  It plays candidate shots out on scratch engines
+ * (see predict.js), so it knows exactly what the real physics will do
+ * with the hoop, wind and hazards as they are, and picks the shot with
+ * the most room for error: the one whose neighbours go in as well.  A
+ * skill level then spoils the aim a little, the way a human's hand
+ * would.
+ *
+ * Used for the attract-mode demo, the "show me" hint, the CPU opponent
+ * and scripts/calibrate.js.  Runs in Node as well as the browser.
+ */
+import { playOutShot } from './predict.js';
+
+// Skill levels: spread of the aim error as a standard deviation of the
+// launch angle (radians) and of the launch speed (fraction of it).
+export const BOT_SKILLS = {
+  easy: { label: 'Easy', angle: 0.05, power: 0.05 },
+  medium: { label: 'Medium', angle: 0.025, power: 0.025 },
+  hard: { label: 'Hard', angle: 0.01, power: 0.01 },
+};
+
+export const DEFAULT_BOT_SKILL = 'medium';
+
+// Fastest launch searched, in world units per step.  About the longest
+// drag that fits on the court.
+const MAX_SPEED = 22;
+// Spacing of the coarse search grid and of the finer one around its best
+// cell.
+const COARSE_STEP = 1;
+const FINE_STEP = 0.25;
+// A search takes a couple of hundred milliseconds, far too long for one
+// frame, so in the browser it runs in slices this long (see
+// findShotLater()).
+const SEARCH_SLICE_MS = 6;
+// Shots remembered for courts where nothing moves, keyed by the layout.
+const CACHE_SIZE = 64;
+const cache = new Map();
+
+/**
+ * Key of the layout a shot is searched for, or null when the hoop or
+ * defenders move and a shot is only good for the moment it was found.
+ */
+function cacheKey(engine) {
+  const { ball, hoop, hazards } = engine.state;
+  if ((hoop.placement && hoop.placement.motion) || hazards.defenders.length > 0) return null;
+  return JSON.stringify([engine.config, ball.x, ball.y, hoop.placement, hazards.placement]);
+}
+
+/**
+ * A copy of everything playOutShot() reads from an engine, so a search
+ * spread over time works on the court as it was when it started.
+ */
+function snapshot(engine) {
+  const { ball, hoop, hazards } = engine.state;
+  return {
+    config: { ...engine.config },
+    state: {
+      ball: { x: ball.x, y: ball.y },
+      hoop: { x: hoop.x, placement: hoop.placement, motionSteps: hoop.motionSteps },
+      hazards: { placement: hazards.placement, motionSteps: hazards.motionSteps },
+    },
+  };
+}
+
+/**
+ * Which launches on a grid of velocities score.  Returns a lookup from
+ * grid coordinates to true or false.  Yields after every launch tried.
+ */
+function* searchGrid(engine, cells) {
+  const made = new Map();
+  for (const [vx, vy] of cells) {
+    made.set(`${vx},${vy}`, playOutShot(engine, vx, vy).scored);
+    yield;
+  }
+  return made;
+}
+
+/**
+ * The scoring cell with the most scoring neighbours, preferring the
+ * softer shot on a tie.
+ */
+function safest(made, step) {
+  let best = null;
+  let bestRoom = -1;
+  for (const [key, scored] of made) {
+    if (!scored) continue;
+    const [vx, vy] = key.split(',').map(Number);
+    let room = 0;
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        if (made.get(`${vx + i * step},${vy + j * step}`)) room++;
+      }
+    }
+    const softer = best && Math.hypot(vx, vy) < Math.hypot(best.vx, best.vy);
+    if (room > bestRoom || (room === bestRoom && softer)) {
+      best = { vx, vy };
+      bestRoom = room;
+    }
+  }
+  return best;
+}
+
+/**
+ * The search behind findShot(), as a generator that yields after every
+ * launch it tries and returns the shot.
+ */
+function* searchShot(engine) {
+  // Shots thrown away from the hoop only go in off a wall, so there is
+  // no need to search far that way.
+  const { ball, hoop } = engine.state;
+  const towards = hoop.x >= ball.x ? 1 : -1;
+  const coarse = [];
+  for (let v = -MAX_SPEED / 4; v <= MAX_SPEED; v += COARSE_STEP) {
+    const vx = v * towards;
+    for (let vy = -MAX_SPEED; vy < 0; vy += COARSE_STEP) {
+      if (Math.hypot(vx, vy) <= MAX_SPEED) coarse.push([vx, vy]);
+    }
+  }
+  const rough = safest(yield* searchGrid(engine, coarse), COARSE_STEP);
+  if (!rough) return null;
+  const fine = [];
+  for (let i = -4; i <= 4; i++) {
+    for (let j = -4; j <= 4; j++) {
+      fine.push([rough.vx + i * FINE_STEP, rough.vy + j * FINE_STEP]);
+    }
+  }
+  return safest(yield* searchGrid(engine, fine), FINE_STEP);
+}
+
+/**
+ * Start looking for a launch that scores from the ball's current spot.
+ * The court is copied as it is now, so the search can be spread out.
+ *
+ * @param {object} engine Engine whose ball is at rest.
+ * @returns {function} work(budgetMs) searches for about that long and
+ *   returns undefined while not done, then the shot as findShot() does.
+ */
+export function createShotSearch(engine) {
+  const key = cacheKey(engine);
+  if (key !== null && cache.has(key)) {
+    const shot = cache.get(key);
+    return () => shot;
+  }
+  const search = searchShot(snapshot(engine));
+  let done = false;
+  let shot;
+  return (budgetMs = Infinity) => {
+    const end = performance.now() + budgetMs;
+    while (!done) {
+      const next = search.next();
+      if (next.done) {
+        done = true;
+        shot = next.value;
+        if (key !== null) {
+          cache.set(key, shot);
+          if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+        }
+      } else if (performance.now() >= end) {
+        return undefined;
+      }
+    }
+    return shot;
+  };
+}
+
+/**
+ * Find a launch that scores from the ball's current spot.
+ *
+ * @param {object} engine Engine whose ball is at rest.
+ * @returns {{ vx: number, vy: number }|null} Launch velocity, as passed to
+ *   engine.launch(), or null when nothing within reach goes in.
+ */
+export function findShot(engine) {
+  return createShotSearch(engine)();
+}
+
+/**
+ * findShot() without holding up the page: the search runs a slice at a
+ * time on timers, so frames keep being drawn in between.
+ *
+ * @param {object} engine Engine whose ball is at rest.
+ * @param {function} onFound Called with the shot, or null, when done.
+ * @returns {function} Cancels the search.
+ */
+export function findShotLater(engine, onFound) {
+  const work = createShotSearch(engine);
+  let timer = null;
+  const slice = () => {
+    const shot = work(SEARCH_SLICE_MS);
+    if (shot === undefined) timer = setTimeout(slice, 0);
+    else onFound(shot);
+  };
+  timer = setTimeout(slice, 0);
+  return () => clearTimeout(timer);
+}
+
+/**
+ * A normally distributed random number with mean 0 and deviation 1.
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Spoil a shot's aim by a skill level's error.
+ *
+ * @param {{ vx: number, vy: number }} shot Launch velocity.
+ * @param {string} skill Key of BOT_SKILLS.
+ * @param {function} random Source of numbers in [0, 1), e.g. seeded for
+ *   repeatable runs.
+ */
+export function addAimError(shot, skill, random = Math.random) {
+  const { angle, power } = BOT_SKILLS[skill] || BOT_SKILLS[DEFAULT_BOT_SKILL];
+  const speed = Math.hypot(shot.vx, shot.vy) * (1 + gaussian(random) * power);
+  const direction = Math.atan2(shot.vy, shot.vx) + gaussian(random) * angle;
+  return { vx: Math.cos(direction) * speed, vy: Math.sin(direction) * speed };
+}
+
+/**
+ * The shot a bot of some skill takes from the ball's current spot: the
+ * best shot with the skill's error on top.  When nothing goes in it
+ * still throws something towards the hoop.
+ *
+ * @param {object} engine Engine whose ball is at rest.
+ * @param {string} skill Key of BOT_SKILLS.
+ * @param {function} random Source of numbers in [0, 1).
+ * @param {object|null} best The best shot if already found, e.g. with
+ *   findShotLater(); searched for otherwise.
+ */
+export function botShot(engine, skill, random = Math.random, best = findShot(engine)) {
+  const { ball, hoop } = engine.state;
+  const shot = best || {
+    vx: Math.sign(hoop.x - ball.x) * 6,
+    vy: -15,
+  };
+  return addAimError(shot, skill, random);
+}
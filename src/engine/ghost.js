@@ -0,0 +1,42 @@
+/**
+ * Ghost of another player's ball.  Runs a separate engine and feeds it
+ * the launches the other player makes, so their shots can be shown
+ * without streaming positions.  Everyone plays on the same fixed court,
+ * so the ghost's shots land exactly where theirs did.  A launch that arrives while
+ * the ghost's previous shot is still in the air waits for it to land.
+ */
+import { createEngine } from './physics.js';
+
+/**
+ * Create a ghost.
+ */
+export function createGhost() {
+  const engine = createEngine();
+  const pending = [];
+
+  function launchPending() {
+    while (pending.length > 0 && engine.canLaunch()) {
+      const { vx, vy } = pending.shift();
+      engine.launch(vx, vy);
+    }
+  }
+
+  engine.on('reset', launchPending);
+
+  return {
+    engine,
+    /**
+     * Queue one of the other player's launches.
+     */
+    launch(vx, vy) {
+      pending.push({ vx, vy });
+      launchPending();
+    },
+    /**
+     * Advance with real time.  Returns the interpolation factor.
+     */
+    advance(elapsed) {
+      return engine.advance(elapsed);
+    },
+  };
+}
@@ -0,0 +1,797 @@
+/**
+ * Fixed-timestep physics engine for the basketball mini‑game.
+ *
+ * This module is deliberately free of any DOM or React dependencies so the
+ * exact same simulation can run in the browser, in a replay viewer or
+ * headless in Node.  The engine owns the ball and hoop state, advances it
+ * in constant sized steps and reports what happened through a small event
+ * emitter.  Rendering code asks for an interpolated ball position so the
+ * animation stays smooth on displays whose refresh rate is not a multiple
+ * of the physics rate.
+ *
+ * The court has a fixed size in world units (COURT_WIDTH by COURT_HEIGHT)
+ * on every device; renderers scale it to fit the screen.  A phone and a
+ * monitor therefore play exactly the same game, which is what makes
+ * scores comparable between them.
+ *
+ * The court is seen from the side.  The hoop is modelled as two rim
+ * contact points (front and back), a solid backboard behind the back rim
+ * and a net hanging below that catches and slows made baskets.  Every
+ * shot is classified by what it touched on the way:
+ *   swish   – dropped through touching nothing but net
+ *   rim-in  – touched the rim and went in
+ *   bank-in – went in off the backboard
+ *   rim-out – touched the hoop but did not go in
+ *   airball – touched nothing on the hoop
+ *
+ * Events emitted (listen with `engine.on(type, fn)`):
+ *   launch    – { vx, vy, tick }     a shot has been released
+ *   collision – { surface, x, y, speed }
+ *                                    the ball bounced off a surface
+ *                                    ('rim', 'backboard', 'net', 'wall',
+ *                                    'defender' or 'bumper');
+ *                                    speed is the ball's speed after it
+ *   score     – { tick, outcome, distance }
+ *                                    the ball dropped through the hoop;
+ *                                    distance is in court heights
+ *   miss      – { tick, outcome }    the ball hit the floor or left the court
+ *   reset     – { tick }             the ball is back at its start position
+ *   start     – { x, y, tick }       the ball's start position changed; x
+ *                                    and y are fractions of the court, or
+ *                                    null for the default spot
+ *   physics   – { values, tick }     physics parameters were changed;
+ *                                    values holds the changed keys
+ *   hoop      – { hoop, tick }       the hoop was placed elsewhere or set
+ *                                    moving, see setHoop(); hoop is null
+ *                                    for the default spot
+ *   hazards   – { hazards, tick }    the hazards on the court changed, see
+ *                                    setHazards(); hazards is null for a
+ *                                    clear court
+ */
+
+// Duration of a single physics step in milliseconds.  The original values
+// for gravity, bounce and launch speed were tuned per animation frame on a
+// 60 Hz display, so stepping at 60 Hz keeps every shot feeling the same.
+export const STEP_MS = 1000 / 60;
+
+// When a tab is throttled or hidden the browser may not call us for a
+// long time.  Rather than fast forwarding through seconds of simulation in
+// one go we cap the amount of time consumed per advance() call.  Because
+// every step is identical this only pauses the game; it never changes
+// where a shot lands.
+export const MAX_ELAPSED_MS = 250;
+
+/**
+ * Shot outcome classes reported with score and miss events.
+ */
+export const OUTCOMES = {
+  SWISH: 'swish',
+  RIM_IN: 'rim-in',
+  BANK_IN: 'bank-in',
+  RIM_OUT: 'rim-out',
+  AIRBALL: 'airball',
+};
+
+// Size of the court in world units.  At a scale of 1 a world unit is a
+// CSS pixel; the values match the largest game area the layout allows, so
+// shots feel as they always did on a desktop screen.
+export const COURT_WIDTH = 600;
+export const COURT_HEIGHT = 600;
+
+/**
+ * Default configuration.  All distances are in world units and all
+ * velocities/accelerations are per step.
+ */
+export const DEFAULT_CONFIG = {
+  width: COURT_WIDTH,
+  height: COURT_HEIGHT,
+  borderThickness: 2,
+  gravity: 0.35,
+  // Sideways push on a ball in flight; positive blows towards the hoop.
+  wind: 0,
+  bounce: 0.7,
+  // The radius has been increased slightly to make the basketball feel
+  // more substantial on the play field and easier to drag on touch devices.
+  ballRadius: 26,
+  // Half the distance between the front and back rim contact points.
+  hoopRadius: 34,
+  // Rim tube thickness.  Each rim contact point is a circle of this
+  // diameter.
+  hoopThickness: 6,
+  backboardWidth: 8,
+  // Restitution of the rim and the backboard.  The rim is slightly
+  // livelier than the board.
+  rimBounce: 0.6,
+  backboardBounce: 0.5,
+  // Velocity retained per step while the ball is inside the net.
+  netDamping: 0.88,
+  // Number of steps the ball keeps moving after a basket before it is
+  // placed back at the start.  24 steps is 400 ms at 60 Hz.
+  resetDelaySteps: 24,
+};
+
+/**
+ * Depth scale of the ball at a given height.  The ball is drawn smaller as
+ * it travels up the screen (away from the player, toward the hoop) and the
+ * hoop collisions use the same scaled radius so what you see is what
+ * touches the rim.
+ *
+ * @param {number} y Vertical position of the ball.
+ * @param {number} courtHeight Height of the court.
+ * @returns {number} Scale between 0.6 (top) and 1.0 (bottom).
+ */
+export function perspectiveScale(y, courtHeight) {
+  const ratio = Math.min(Math.max(y / courtHeight, 0), 1);
+  return 0.6 + 0.4 * ratio;
+}
+
+/**
+ * Offset of a moving hoop from its home spot, as fractions of the court.
+ * Motions (period in seconds):
+ *   { type: 'linear', dx, dy, period } – glides out to home + (dx, dy) and
+ *                                        back again at a steady speed
+ *   { type: 'sine', dx, dy, period }   – swings between home - (dx, dy)
+ *                                        and home + (dx, dy)
+ *
+ * @param {object|null} motion Motion of the hoop, null when it stands still.
+ * @param {number} steps Physics steps since the motion started.
+ * @returns {{ x: number, y: number }}
+ */
+export function hoopOffset(motion, steps) {
+  if (!motion) return { x: 0, y: 0 };
+  const cycles = (steps * STEP_MS) / (motion.period * 1000);
+  const f =
+    motion.type === 'sine'
+      ? Math.sin(cycles * Math.PI * 2)
+      : 1 - Math.abs(1 - 2 * (cycles - Math.floor(cycles)));
+  return { x: (motion.dx || 0) * f, y: (motion.dy || 0) * f };
+}
+
+// Restitution of the hazards.  Bumpers are springy; a defender mostly
+// smothers the ball.
+const BUMPER_BOUNCE = 0.9;
+const DEFENDER_BOUNCE = 0.4;
+
+/**
+ * Canonical form of a set of hazards, as stored by setHazards() and
+ * recorded in replays, so two descriptions of the same court compare
+ * equal as JSON.  Hazards, with positions and sizes as fractions of the
+ * court:
+ *   wind      – extra sideways push on a ball in flight, added to the
+ *               configured wind
+ *   defenders – [{ x, y, width, height, motion }] rectangles centred on
+ *               (x, y), sliding about like a moving hoop (see hoopOffset)
+ *   bumpers   – [{ x, y, radius }] fixed round posts
+ *
+ * @param {object|null} hazards
+ * @returns {object|null} Null when there is nothing on the court.
+ */
+export function normaliseHazards(hazards) {
+  if (!hazards) return null;
+  const motion = m =>
+    m ? { type: m.type, dx: m.dx || 0, dy: m.dy || 0, period: m.period } : null;
+  return {
+    wind: hazards.wind || 0,
+    defenders: (hazards.defenders || []).map(d => ({
+      x: d.x,
+      y: d.y,
+      width: d.width,
+      height: d.height,
+      motion: motion(d.motion),
+    })),
+    bumpers: (hazards.bumpers || []).map(b => ({ x: b.x, y: b.y, radius: b.radius })),
+  };
+}
+
+/**
+ * Push a circle out of a point and reflect its velocity about the contact
+ * normal.  Returns true if the circle was moving into the point, i.e. a
+ * real bounce rather than just resting contact.
+ */
+function collideWithPoint(b, radius, px, py, restitution) {
+  const dx = b.x - px;
+  const dy = b.y - py;
+  const dist = Math.hypot(dx, dy);
+  if (dist >= radius || dist === 0) return false;
+  const nx = dx / dist;
+  const ny = dy / dist;
+  const vDotN = b.vx * nx + b.vy * ny;
+  if (vDotN < 0) {
+    b.vx -= (1 + restitution) * vDotN * nx;
+    b.vy -= (1 + restitution) * vDotN * ny;
+  }
+  const overlap = radius - dist;
+  b.x += nx * overlap;
+  b.y += ny * overlap;
+  return vDotN < 0;
+}
+
+/**
+ * Collide a circle with a line segment from (ax, ay) to (bx, by) by
+ * colliding it with the closest point on the segment.
+ */
+function collideWithSegment(b, radius, ax, ay, bx, by, restitution) {
+  const abx = bx - ax;
+  const aby = by - ay;
+  const t = Math.min(
+    Math.max(((b.x - ax) * abx + (b.y - ay) * aby) / (abx * abx + aby * aby), 0),
+    1
+  );
+  return collideWithPoint(b, radius, ax + abx * t, ay + aby * t, restitution);
+}
+
+/**
+ * Create a new engine instance.
+ *
+ * @param {object} options Overrides for DEFAULT_CONFIG.
+ * @returns {object} The engine API.
+ */
+export function createEngine(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+
+  const state = {
+    // Number of physics steps taken since the engine was created.
+    tick: 0,
+    ball: {
+      x: 0,
+      y: 0,
+      // Position at the start of the most recent step, used to
+      // interpolate between steps when rendering.
+      prevX: 0,
+      prevY: 0,
+      vx: 0,
+      vy: 0,
+      radius: config.ballRadius,
+      isLaunched: false,
+      scored: false,
+      // True while a made basket is travelling through the net.
+      inNet: false,
+    },
+    hoop: {
+      // Centre of the rim.  The front and back rim contact points sit
+      // `radius` to either side of it.
+      x: 0,
+      y: 0,
+      radius: config.hoopRadius,
+      backboardWidth: config.backboardWidth,
+      thickness: config.hoopThickness,
+      // Custom placement, { x, y, motion }, see setHoop(), or null for the
+      // default spot, and the number of steps it has been moving for.
+      placement: null,
+      motionSteps: 0,
+      // Backboard rectangle, derived from the rim position by layout().
+      board: { x: 0, top: 0, bottom: 0 },
+      // Net geometry and its current deformation.  `stretch` (0–1)
+      // lengthens the net and `sway` shifts its bottom sideways; both
+      // spring back to zero.
+      net: {
+        height: config.hoopRadius * 1.3,
+        bottomHalfWidth: config.hoopRadius * 0.6,
+        stretch: 0,
+        stretchVel: 0,
+        sway: 0,
+        swayVel: 0,
+      },
+    },
+    // Hazards from setHazards(): the canonical placement (or null), the
+    // steps the defenders have been moving for and the resulting wind,
+    // defender rectangles and bumper circles in world units.
+    hazards: {
+      placement: null,
+      motionSteps: 0,
+      wind: 0,
+      defenders: [],
+      bumpers: [],
+    },
+    // What the current shot has touched so far, used to classify it, and
+    // where it was released from.
+    shot: { rimHits: 0, backboardHits: 0, netHits: 0, startX: 0, startY: 0 },
+    // Internal flag to avoid reporting more than one outcome per shot.
+    shotInFlight: false,
+    // Steps remaining until the ball is reset after a basket.  Zero when
+    // no reset is pending.
+    resetTimer: 0,
+  };
+
+  // Time carried over between advance() calls that was not long enough
+  // to make up a whole step.
+  let accumulator = 0;
+  const listeners = {};
+  // Custom start position as fractions of the court size, or null for the
+  // default spot.
+  let startPosition = null;
+
+  /**
+   * Subscribe to an engine event.  Returns a function that removes the
+   * listener again.
+   */
+  function on(type, fn) {
+    (listeners[type] || (listeners[type] = [])).push(fn);
+    return () => {
+      listeners[type] = listeners[type].filter(l => l !== fn);
+    };
+  }
+
+  function emit(type, payload) {
+    const list = listeners[type];
+    if (!list) return;
+    for (const fn of list.slice()) fn(payload);
+  }
+  /**
+   * Report a bounce off a surface, with the ball's speed afterwards so
+   * listeners can tell a graze from a hard hit.
+   */
+  function emitCollision(surface, x, y) {
+    const b = state.ball;
+    emit('collision', { surface, x, y, speed: Math.hypot(b.vx, b.vy) });
+  }
+
+
+  /**
+   * Place the hoop relative to the court size, following its motion if
+   * it moves.  The rim, backboard and net are all derived from the hoop's
+   * centre, so they move with it.
+   */
+  function layout() {
+    const h = state.hoop;
+    // Place the hoop right of centre in the upper part of the court.  Seen
+    // from the side the shooter stands left of the basket, so the ball has
+    // to arc up and drop in rather than rise straight through the net.
+    // Sitting at 28% of the height leaves room above the rim for that arc
+    // while keeping it clearly separated from the start position.
+    const home = h.placement || { x: 0.7, y: 0.28, motion: null };
+    const offset = hoopOffset(home.motion, h.motionSteps);
+    h.x = config.width * (home.x + offset.x);
+    h.y = config.height * (home.y + offset.y);
+    // The backboard stands a little behind the back rim and reaches well
+    // above it so there is something to bank shots off.
+    h.board.x = h.x + h.radius + h.thickness;
+    h.board.top = h.y - h.radius * 2.4;
+    h.board.bottom = h.y + h.radius * 0.6;
+  }
+
+  /**
+   * Work out where the hazards are in world units, following the
+   * defenders' motion.
+   */
+  function layoutHazards() {
+    const hz = state.hazards;
+    const placement = hz.placement;
+    const { width, height } = config;
+    hz.wind = placement ? placement.wind : 0;
+    hz.defenders = placement
+      ? placement.defenders.map(d => {
+          const offset = hoopOffset(d.motion, hz.motionSteps);
+          return {
+            x: width * (d.x + offset.x),
+            y: height * (d.y + offset.y),
+            width: width * d.width,
+            height: height * d.height,
+          };
+        })
+      : [];
+    hz.bumpers = placement
+      ? placement.bumpers.map(b => ({ x: width * b.x, y: height * b.y, radius: width * b.radius }))
+      : [];
+  }
+
+  /**
+   * Reset the ball to its starting position and clear velocity.
+   */
+  function resetBall() {
+    const b = state.ball;
+    // Start the ball left of the hoop, just above the bottom edge.  At
+    // least 5% of the height or 24 pixels of margin is maintained below
+    // the ball so there's room to drag both upward and downward.
+    b.x = config.width * 0.3;
+    const bottomMargin = Math.max(config.height * 0.05, 24);
+    b.y = config.height - b.radius - bottomMargin;
+    if (startPosition) {
+      // Keep a custom spot clear of the borders so the ball can't start
+      // stuck in a wall.
+      const margin = b.radius + config.borderThickness;
+      b.x = Math.min(Math.max(startPosition.x * config.width, margin), config.width - margin);
+      b.y = Math.min(Math.max(startPosition.y * config.height, margin), b.y);
+    }
+    b.prevX = b.x;
+    b.prevY = b.y;
+    b.vx = 0;
+    b.vy = 0;
+    b.isLaunched = false;
+    b.scored = false;
+    b.inNet = false;
+    state.shotInFlight = false;
+    state.resetTimer = 0;
+    emit('reset', { tick: state.tick });
+  }
+
+  /**
+   * Move the spot the ball starts from, e.g. for a called shot.  Takes
+   * fractions of the court size, or null to return to the default spot.
+   * The ball moves straight away unless a shot is in flight, in which case
+   * it takes effect on the next reset.  Setting the current spot again
+   * does nothing.
+   */
+  function setStartPosition(position) {
+    const unchanged = position
+      ? startPosition && startPosition.x === position.x && startPosition.y === position.y
+      : !startPosition;
+    if (unchanged) return;
+    startPosition = position ? { x: position.x, y: position.y } : null;
+    emit('start', {
+      x: startPosition ? startPosition.x : null,
+      y: startPosition ? startPosition.y : null,
+      tick: state.tick,
+    });
+    if (canLaunch()) resetBall();
+  }
+
+  /**
+   * Move the hoop, e.g. for a level.  Takes { x, y, motion } with the
+   * home spot as fractions of the court size and an optional motion (see
+   * hoopOffset), or null to return to the default spot.  Setting the
+   * current placement again does nothing, so a moving hoop carries on.
+   *
+   * @param {object|null} hoop New placement.
+   * @param {number} steps Steps into its motion the hoop starts at, e.g.
+   *   to copy another engine's hoop; zero for a fresh start.
+   */
+  function setHoop(hoop, steps = 0) {
+    const h = state.hoop;
+    const next = hoop ? { x: hoop.x, y: hoop.y, motion: hoop.motion || null } : null;
+    if (JSON.stringify(next) === JSON.stringify(h.placement)) return;
+    h.placement = next;
+    h.motionSteps = steps;
+    layout();
+    emit('hoop', { hoop: next, tick: state.tick });
+  }
+
+  /**
+   * Put hazards on the court (see normaliseHazards), or clear them with
+   * null.  Setting the current hazards again does nothing, so moving
+   * defenders carry on.
+   *
+   * @param {object|null} hazards New hazards.
+   * @param {number} steps Steps into their motion the defenders start at,
+   *   e.g. to copy another engine's hazards; zero for a fresh start.
+   */
+  function setHazards(hazards, steps = 0) {
+    const hz = state.hazards;
+    const next = normaliseHazards(hazards);
+    if (JSON.stringify(next) === JSON.stringify(hz.placement)) return;
+    hz.placement = next;
+    hz.motionSteps = steps;
+    layoutHazards();
+    emit('hazards', { hazards: next, tick: state.tick });
+  }
+
+  /**
+   * Change physics parameters of the running engine, e.g. from a rules
+   * sandbox.  Takes any keys of DEFAULT_CONFIG other than the court size,
+   * which is fixed.  A resting ball is placed again
+   * so a new radius takes effect straight away.  Values that are already
+   * set are ignored, and nothing happens if none change.
+   */
+  function setPhysics(values) {
+    const changes = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (key === 'width' || key === 'height' || !(key in DEFAULT_CONFIG)) continue;
+      if (config[key] !== value) changes[key] = value;
+    }
+    if (Object.keys(changes).length === 0) return;
+    Object.assign(config, changes);
+    state.ball.radius = config.ballRadius;
+    emit('physics', { values: changes, tick: state.tick });
+    if (canLaunch()) resetBall();
+  }
+
+  /**
+   * True when the ball is at rest and ready to be shot.
+   */
+  function canLaunch() {
+    return !state.ball.isLaunched;
+  }
+
+  /**
+   * Launch the ball with the given velocity (pixels per step).  Ignored if
+   * a shot is already in progress.
+   */
+  function launch(vx, vy) {
+    if (!canLaunch()) return false;
+    const b = state.ball;
+    b.vx = vx;
+    b.vy = vy;
+    b.isLaunched = true;
+    b.scored = false;
+    state.shot = { rimHits: 0, backboardHits: 0, netHits: 0, startX: b.x, startY: b.y };
+    state.shotInFlight = true;
+    emit('launch', { vx, vy, tick: state.tick });
+    return true;
+  }
+
+  /**
+   * Advance the simulation by exactly one fixed step.  Applies gravity,
+   * resolves collisions with the hoop and the court borders, and checks
+   * for scoring or misses.
+   */
+  function step() {
+    state.tick++;
+    const b = state.ball;
+    b.prevX = b.x;
+    b.prevY = b.y;
+    const { placement } = state.hoop;
+    if (placement && placement.motion) {
+      state.hoop.motionSteps++;
+      layout();
+    }
+    if (state.hazards.defenders.length > 0) {
+      state.hazards.motionSteps++;
+      layoutHazards();
+    }
+    relaxNet();
+    if (!b.isLaunched) return;
+
+    // Count down to the post-basket reset.  Done in steps rather than with
+    // a wall clock timer so it behaves the same on every device.
+    if (state.resetTimer > 0) {
+      state.resetTimer--;
+      if (state.resetTimer === 0) {
+        resetBall();
+        return;
+      }
+    }
+
+    // Apply gravity and wind
+    b.vy += config.gravity;
+    b.vx += config.wind + state.hazards.wind;
+    // Update position
+    b.x += b.vx;
+    b.y += b.vy;
+
+    handleHoopCollisions();
+    handleHazardCollisions();
+
+    // Border collisions: bounce off left, right and top edges.  When the
+    // ball hits the bottom edge it's considered a miss and the ball
+    // resets.  The border thickness defines the padding from the
+    // container edges.
+    const border = config.borderThickness;
+    // Left wall
+    if (b.x - b.radius < border) {
+      b.x = border + b.radius;
+      b.vx = Math.abs(b.vx) * config.bounce;
+      emitCollision('wall', b.x, b.y);
+    }
+    // Right wall
+    if (b.x + b.radius > config.width - border) {
+      b.x = config.width - border - b.radius;
+      b.vx = -Math.abs(b.vx) * config.bounce;
+      emitCollision('wall', b.x, b.y);
+    }
+    // Top wall
+    if (b.y - b.radius < border) {
+      b.y = border + b.radius;
+      b.vy = Math.abs(b.vy) * config.bounce;
+      emitCollision('wall', b.x, b.y);
+    }
+    // Bottom wall (ground).  Hitting the bottom means a miss unless the
+    // ball has already dropped through the hoop.
+    if (b.y + b.radius > config.height - border) {
+      if (state.shotInFlight) reportMiss();
+      resetBall();
+      return;
+    }
+
+    // Check scoring: the ball's centre must cross the rim plane moving
+    // downward between the front and back rim.  The rim contact points
+    // keep anything that isn't cleanly inside from getting there.
+    const h = state.hoop;
+    if (
+      !b.scored &&
+      b.vy > 0 &&
+      b.prevY < h.y &&
+      b.y >= h.y &&
+      b.x > h.x - h.radius &&
+      b.x < h.x + h.radius
+    ) {
+      b.scored = true;
+      b.inNet = true;
+      state.shotInFlight = false;
+      // Let the ball keep falling briefly so the basket is acknowledged
+      // before it disappears.
+      state.resetTimer = config.resetDelaySteps;
+      emit('score', {
+        tick: state.tick,
+        outcome: classifyShot(true),
+        distance: shotDistance(),
+      });
+    }
+
+    // Miss detection: if the ball leaves the court it's considered a
+    // miss.  We only register misses while the shot is in flight to avoid
+    // counting resets as misses.
+    if (
+      state.shotInFlight &&
+      (b.y - b.radius > config.height || b.x + b.radius < 0 || b.x - b.radius > config.width)
+    ) {
+      reportMiss();
+      resetBall();
+    }
+  }
+
+  /**
+   * Classify the current shot from what it touched.
+   *
+   * @param {boolean} made Whether the ball went in.
+   */
+  function classifyShot(made) {
+    const { rimHits, backboardHits, netHits } = state.shot;
+    if (made) {
+      if (backboardHits > 0) return OUTCOMES.BANK_IN;
+      if (rimHits > 0) return OUTCOMES.RIM_IN;
+      return OUTCOMES.SWISH;
+    }
+    return rimHits + backboardHits + netHits > 0 ? OUTCOMES.RIM_OUT : OUTCOMES.AIRBALL;
+  }
+
+  /**
+   * Distance from the release point of the current shot to the rim,
+   * measured in court heights so it means the same on any screen.
+   */
+  function shotDistance() {
+    const { startX, startY } = state.shot;
+    return Math.hypot(state.hoop.x - startX, state.hoop.y - startY) / config.height;
+  }
+
+  function reportMiss() {
+    state.shotInFlight = false;
+    emit('miss', { tick: state.tick, outcome: classifyShot(false) });
+  }
+
+  /**
+   * Resolve contact with the rim, backboard and net.  These use the
+   * ball's depth scaled radius so collisions line up with what is drawn.
+   */
+  function handleHoopCollisions() {
+    const b = state.ball;
+    const h = state.hoop;
+    const { net, board } = h;
+    const r = b.radius * perspectiveScale(b.y, config.height);
+    const netBottom = h.y + net.height;
+
+    // A made basket travels down through the net, which slows it and
+    // gently centres it, and stretches and sways in response.
+    if (b.inNet) {
+      if (b.y > netBottom + r) {
+        b.inNet = false;
+      } else {
+        b.vx = b.vx * config.netDamping + (h.x - b.x) * 0.02;
+        b.vy *= config.netDamping;
+        net.stretch = Math.max(net.stretch, Math.min(1, (b.y - h.y) / net.height));
+        net.sway = (b.x - h.x) * 0.5;
+        net.swayVel = 0;
+        return;
+      }
+    }
+
+    // Front and back rim contact points.
+    const rimRadius = r + h.thickness / 2;
+    for (const rimX of [h.x - h.radius, h.x + h.radius]) {
+      if (collideWithPoint(b, rimRadius, rimX, h.y, config.rimBounce)) {
+        state.shot.rimHits++;
+        emitCollision('rim', rimX, h.y);
+      }
+    }
+
+    // Backboard: collide with the closest point of its rectangle.
+    const closestX = Math.min(Math.max(b.x, board.x), board.x + h.backboardWidth);
+    const closestY = Math.min(Math.max(b.y, board.top), board.bottom);
+    if (collideWithPoint(b, r, closestX, closestY, config.backboardBounce)) {
+      state.shot.backboardHits++;
+      emitCollision('backboard', closestX, closestY);
+    }
+
+    // From the outside the net is a soft funnel: its sides and bottom
+    // deflect the ball with very little bounce, so a shot can't come up
+    // through the hoop from below.
+    const frontBottom = h.x - net.bottomHalfWidth;
+    const backBottom = h.x + net.bottomHalfWidth;
+    const netSegments = [
+      [h.x - h.radius, h.y, frontBottom, netBottom],
+      [h.x + h.radius, h.y, backBottom, netBottom],
+      [frontBottom, netBottom, backBottom, netBottom],
+    ];
+    for (const [ax, ay, bx, by] of netSegments) {
+      if (collideWithSegment(b, r, ax, ay, bx, by, 0.2)) {
+        state.shot.netHits++;
+        net.swayVel += b.vx * 0.3;
+        emitCollision('net', b.x, b.y);
+      }
+    }
+  }
+
+  /**
+   * Bounce off defenders and bumpers.  A defender is a rectangle, so the
+   * ball collides with the closest point of it like the backboard; a
+   * bumper is a circle the ball can't overlap.
+   */
+  function handleHazardCollisions() {
+    const b = state.ball;
+    if (b.inNet) return;
+    const r = b.radius * perspectiveScale(b.y, config.height);
+    for (const d of state.hazards.defenders) {
+      const closestX = Math.min(Math.max(b.x, d.x - d.width / 2), d.x + d.width / 2);
+      const closestY = Math.min(Math.max(b.y, d.y - d.height / 2), d.y + d.height / 2);
+      if (collideWithPoint(b, r, closestX, closestY, DEFENDER_BOUNCE)) {
+        emitCollision('defender', closestX, closestY);
+      }
+    }
+    for (const bumper of state.hazards.bumpers) {
+      if (collideWithPoint(b, r + bumper.radius, bumper.x, bumper.y, BUMPER_BOUNCE)) {
+        const nx = (b.x - bumper.x) / (r + bumper.radius);
+        const ny = (b.y - bumper.y) / (r + bumper.radius);
+        emitCollision('bumper', bumper.x + nx * bumper.radius, bumper.y + ny * bumper.radius);
+      }
+    }
+  }
+
+  /**
+   * Spring the net back toward its resting shape.
+   */
+  function relaxNet() {
+    const net = state.hoop.net;
+    net.stretchVel = (net.stretchVel - net.stretch * 0.2) * 0.8;
+    net.stretch = Math.max(0, net.stretch + net.stretchVel);
+    net.swayVel = (net.swayVel - net.sway * 0.15) * 0.85;
+    net.sway += net.swayVel;
+  }
+
+  /**
+   * Consume real elapsed time by running as many whole steps as fit.  The
+   * remainder is kept for the next call.  Returns the interpolation
+   * factor (0–1) describing how far between the last two steps the
+   * renderer should draw.
+   *
+   * @param {number} elapsedMs Milliseconds since the previous call.
+   */
+  function advance(elapsedMs) {
+    accumulator += Math.min(Math.max(elapsedMs, 0), MAX_ELAPSED_MS);
+    while (accumulator >= STEP_MS) {
+      step();
+      accumulator -= STEP_MS;
+    }
+    return accumulator / STEP_MS;
+  }
+
+  /**
+   * Ball position blended between the previous and current step.
+   *
+   * @param {number} alpha Interpolation factor returned by advance().
+   */
+  function getBallPosition(alpha = 1) {
+    const b = state.ball;
+    return {
+      x: b.prevX + (b.x - b.prevX) * alpha,
+      y: b.prevY + (b.y - b.prevY) * alpha,
+    };
+  }
+
+  layout();
+  resetBall();
+
+  return {
+    config,
+    state,
+    on,
+    resetBall,
+    setStartPosition,
+    setHoop,
+    setHazards,
+    setPhysics,
+    canLaunch,
+    launch,
+    step,
+    advance,
+    getBallPosition,
+  };
+}
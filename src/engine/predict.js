@@ -0,0 +1,90 @@
+/**
+ * Shot prediction for the aim assist, audio-cue aiming and the shooting
+ * bot (bot.js).  A shot is played out ahead of time on a scratch engine
+ * with the same configuration, hoop and hazards, so the predicted path
+ * follows exactly the gravity, wind, bounces, walls, defenders and moving
+ * hoop the real shot will.  The engine being predicted for is left
+ * untouched.
+ */
+import { createEngine } from './physics.js';
+
+// Longest prediction, in physics steps.  Three seconds covers any shot
+// that reaches the hoop.
+export const PREDICT_STEPS = 180;
+// Distance from the rim, as a fraction of the court width, at which a
+// shot counts as not lined up at all.
+const ALIGNMENT_RANGE = 0.5;
+
+/**
+ * Play a shot out on a scratch engine from the ball's current spot.
+ *
+ * @param {object} engine Engine whose ball is about to be shot.
+ * @param {number} vx Launch velocity, as passed to engine.launch().
+ * @param {number} vy
+ * @param {number} maxSteps Steps to look ahead at most.
+ * @returns {{ path: Array<{x: number, y: number}>, scored: boolean }} Ball
+ *   position after every step, ending where the shot scores or misses,
+ *   and whether it went in.
+ */
+export function playOutShot(engine, vx, vy, maxSteps = PREDICT_STEPS) {
+  const sim = createEngine(engine.config);
+  const { hoop, hazards } = engine.state;
+  sim.setHoop(hoop.placement, hoop.motionSteps);
+  sim.setHazards(hazards.placement, hazards.motionSteps);
+  const b = sim.state.ball;
+  b.x = b.prevX = engine.state.ball.x;
+  b.y = b.prevY = engine.state.ball.y;
+  let scored = false;
+  let missed = false;
+  sim.on('score', () => {
+    scored = true;
+  });
+  // A miss puts the ball straight back at its start, so the step that
+  // missed isn't part of the path.
+  sim.on('miss', () => {
+    missed = true;
+  });
+  const path = [{ x: b.x, y: b.y }];
+  sim.launch(vx, vy);
+  for (let i = 0; i < maxSteps && !scored; i++) {
+    sim.step();
+    if (missed) break;
+    path.push({ x: b.x, y: b.y });
+  }
+  return { path, scored };
+}
+
+/**
+ * Predict the path of a shot from the ball's current spot.
+ *
+ * @param {object} engine Engine whose ball is about to be shot.
+ * @param {number} vx Launch velocity, as passed to engine.launch().
+ * @param {number} vy
+ * @param {number} maxSteps Steps to look ahead at most.
+ * @returns {Array<{x: number, y: number}>} Ball position after every
+ *   step, ending where the shot scores or misses.
+ */
+export function predictShot(engine, vx, vy, maxSteps = PREDICT_STEPS) {
+  return playOutShot(engine, vx, vy, maxSteps).path;
+}
+
+/**
+ * How well a shot lines up with the hoop, from 0 (nowhere near) to 1
+ * (goes in).  Measured by how close its predicted path comes to the
+ * centre of the rim on the way down.
+ *
+ * @param {object} engine Engine whose ball is about to be shot.
+ * @param {number} vx Launch velocity, as passed to engine.launch().
+ * @param {number} vy
+ * @returns {number}
+ */
+export function shotAlignment(engine, vx, vy) {
+  const path = predictShot(engine, vx, vy);
+  const { hoop } = engine.state;
+  let closest = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    if (path[i].y < path[i - 1].y) continue;
+    closest = Math.min(closest, Math.hypot(path[i].x - hoop.x, path[i].y - hoop.y));
+  }
+  return Math.max(0, 1 - closest / (engine.config.width * ALIGNMENT_RANGE));
+}
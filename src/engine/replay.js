@@ -0,0 +1,234 @@
+/**
+ * Shot recording and deterministic playback.
+ *
+ * Because the physics engine advances in fixed steps, a session can be
+ * reproduced exactly from its configuration and a timeline of inputs
+ * (shot launches, moves of the ball's start position or the hoop, hazards
+ * and changes to the physics) stamped with the tick at which they
+ * happened.  A recorder listens to a live engine and collects that
+ * timeline; a player feeds it back into a fresh engine.  The recorded
+ * object is plain JSON so it can be exported to a file and imported again
+ * later, e.g. to investigate a shot that "should have counted".
+ *
+ * Replay file layout (version 3):
+ *   {
+ *     format: 'basketball-replay',
+ *     version: 3,
+ *     createdAt: ISO date string,
+ *     physics: { width, height, gravity, ... },  engine config at the start;
+ *                                  keys added since default when missing
+ *     inputs: [
+ *       { tick, type: 'launch', vx, vy },
+ *       { tick, type: 'start', x, y },   x and y are null for the default
+ *       { tick, type: 'physics', values }, changed physics parameters
+ *       { tick, type: 'hoop', hoop },    placement from setHoop(), null for
+ *                                        the default spot
+ *       { tick, type: 'hazards', hazards }, from setHazards(), null for a
+ *                                        clear court
+ *     ],
+ *     duration: tick at which recording stopped
+ *   }
+ */
+import { createEngine, STEP_MS, MAX_ELAPSED_MS } from './physics.js';
+
+export const REPLAY_FORMAT = 'basketball-replay';
+// Bumped whenever the physics change in a way that would make older
+// recordings play out differently.  Version 2 introduced the side-view
+// rim, backboard and net model; version 3 the fixed court in world units.
+export const REPLAY_VERSION = 3;
+
+/**
+ * Start recording a live engine.  Call finish() to stop listening and get
+ * the replay object.
+ *
+ * @param {object} engine Engine created by createEngine().
+ */
+export function createRecorder(engine) {
+  const replay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    createdAt: new Date().toISOString(),
+    physics: { ...engine.config },
+    inputs: [],
+    duration: 0,
+  };
+  const unsubscribers = [
+    engine.on('launch', ({ vx, vy, tick }) => {
+      replay.inputs.push({ tick, type: 'launch', vx, vy });
+    }),
+    engine.on('start', ({ x, y, tick }) => {
+      replay.inputs.push({ tick, type: 'start', x, y });
+    }),
+    engine.on('physics', ({ values, tick }) => {
+      replay.inputs.push({ tick, type: 'physics', values });
+    }),
+    engine.on('hoop', ({ hoop, tick }) => {
+      replay.inputs.push({ tick, type: 'hoop', hoop });
+    }),
+    engine.on('hazards', ({ hazards, tick }) => {
+      replay.inputs.push({ tick, type: 'hazards', hazards });
+    }),
+  ];
+
+  /**
+   * Stop recording and return the finished replay.
+   */
+  function finish() {
+    unsubscribers.forEach(off => off());
+    unsubscribers.length = 0;
+    replay.duration = engine.state.tick;
+    return replay;
+  }
+
+  return { finish };
+}
+
+/**
+ * Number of shots contained in a replay.
+ */
+export function countShots(replay) {
+  return replay.inputs.filter(input => input.type === 'launch').length;
+}
+
+/**
+ * Validate data loaded from a replay file.  Throws an Error describing
+ * the problem if the data is not a replay this version can play.
+ *
+ * @param {any} data Parsed JSON.
+ * @returns {object} The replay.
+ */
+export function parseReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error('This file is not a basketball replay.');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version}.`);
+  }
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isStart = input =>
+    (input.x === null && input.y === null) || (isNumber(input.x) && isNumber(input.y));
+  const isPhysics = input =>
+    Boolean(input.values) &&
+    typeof input.values === 'object' &&
+    Object.values(input.values).every(isNumber);
+  const isMotion = motion =>
+    motion === null ||
+    (Boolean(motion) &&
+      (motion.type === 'linear' || motion.type === 'sine') &&
+      isNumber(motion.period) &&
+      motion.period > 0);
+  const isHoop = input =>
+    input.hoop === null ||
+    (Boolean(input.hoop) &&
+      isNumber(input.hoop.x) &&
+      isNumber(input.hoop.y) &&
+      isMotion(input.hoop.motion));
+  const isPoint = item => Boolean(item) && isNumber(item.x) && isNumber(item.y);
+  const isHazards = input =>
+    input.hazards === null ||
+    (Boolean(input.hazards) &&
+      isNumber(input.hazards.wind) &&
+      Array.isArray(input.hazards.defenders) &&
+      input.hazards.defenders.every(
+        d => isPoint(d) && isNumber(d.width) && isNumber(d.height) && isMotion(d.motion)
+      ) &&
+      Array.isArray(input.hazards.bumpers) &&
+      input.hazards.bumpers.every(b => isPoint(b) && isNumber(b.radius)));
+  if (!data.physics || typeof data.physics !== 'object') {
+    throw new Error('Replay is missing its physics parameters.');
+  }
+  if (!isNumber(data.physics.width) || !isNumber(data.physics.height)) {
+    throw new Error('Replay is missing its court size.');
+  }
+  if (!Array.isArray(data.inputs) || !isNumber(data.duration)) {
+    throw new Error('Replay has no input timeline.');
+  }
+  for (const input of data.inputs) {
+    const valid =
+      isNumber(input.tick) &&
+      ((input.type === 'launch' && isNumber(input.vx) && isNumber(input.vy)) ||
+        (input.type === 'start' && isStart(input)) ||
+        (input.type === 'physics' && isPhysics(input)) ||
+        (input.type === 'hoop' && isHoop(input)) ||
+        (input.type === 'hazards' && isHazards(input)));
+    if (!valid) throw new Error('Replay contains an invalid input.');
+  }
+  return data;
+}
+
+/**
+ * Create a player that re-simulates a replay.  The player owns its own
+ * engine; callers subscribe to its events and draw its state just like a
+ * live game.
+ *
+ * @param {object} replay Replay returned by a recorder or parseReplay().
+ */
+export function createReplayPlayer(replay) {
+  const engine = createEngine(replay.physics);
+  // Index of the next input to apply.
+  let cursor = 0;
+  let accumulator = 0;
+
+  /**
+   * Apply every input recorded at the engine's current tick.  Inputs are
+   * recorded between steps, so they must be applied before stepping.
+   */
+  function applyInputs() {
+    const { inputs } = replay;
+    while (cursor < inputs.length && inputs[cursor].tick <= engine.state.tick) {
+      const input = inputs[cursor++];
+      if (input.type === 'start') {
+        engine.setStartPosition(input.x === null ? null : { x: input.x, y: input.y });
+      } else if (input.type === 'physics') {
+        engine.setPhysics(input.values);
+      } else if (input.type === 'hoop') {
+        engine.setHoop(input.hoop);
+      } else if (input.type === 'hazards') {
+        engine.setHazards(input.hazards);
+      } else {
+        engine.launch(input.vx, input.vy);
+      }
+    }
+  }
+
+  function isFinished() {
+    return engine.state.tick >= replay.duration;
+  }
+
+  /**
+   * Advance exactly one physics step.  Used for frame-by-frame stepping.
+   */
+  function stepFrame() {
+    if (isFinished()) return;
+    applyInputs();
+    engine.step();
+  }
+
+  /**
+   * Advance by real elapsed time scaled by the playback speed.  Returns
+   * the interpolation factor for rendering.
+   *
+   * @param {number} elapsedMs Milliseconds since the previous frame.
+   * @param {number} speed Playback rate, e.g. 0.5 or 2.
+   */
+  function advance(elapsedMs, speed = 1) {
+    accumulator += Math.min(Math.max(elapsedMs, 0), MAX_ELAPSED_MS) * speed;
+    while (accumulator >= STEP_MS && !isFinished()) {
+      stepFrame();
+      accumulator -= STEP_MS;
+    }
+    if (isFinished()) accumulator = 0;
+    return accumulator / STEP_MS;
+  }
+
+  /**
+   * Number of shots launched so far during playback.
+   */
+  function shotsPlayed() {
+    return replay.inputs
+      .slice(0, cursor)
+      .filter(input => input.type === 'launch').length;
+  }
+
+  return { engine, advance, stepFrame, isFinished, shotsPlayed };
+}
@@ -0,0 +1,166 @@
+/**
+ * Score verification by re-simulation.
+ *
+ * A score claim is only as trustworthy as the shots behind it.  Given the
+ * replay of a session (the launch vectors and the physics it was played
+ * with) this module runs it through the same engine and scoring
+ * rules as the game and works out what the score must have been.  Used by
+ * the leaderboard server to reject edited or fabricated scores; runs in
+ * Node as well as the browser.
+ */
+import { DEFAULT_CONFIG, STEP_MS } from './physics.js';
+import { createReplayPlayer, parseReplay } from './replay.js';
+import { initialStats, applyMake, applyMiss } from '../scoring.js';
+import { MODES } from '../modes.js';
+import { HAZARD_TIERS, hazardsFor } from '../hazards.js';
+
+// Slack allowed on a timed round, covering timer granularity and the last
+// frames before the game over screen appears.
+const CLOCK_GRACE_MS = 2000;
+// Longest session accepted in modes without a clock.  Re-simulating a
+// replay takes time in proportion to its length, so there has to be some
+// limit.
+const MAX_SESSION_MS = 2 * 60 * 60 * 1000;
+// Shortest time a shot can take, from launch to the ball being back.
+// Bounds how many inputs a replay of some length can hold.
+const MIN_SHOT_MS = 500;
+
+/**
+ * Longest replay, in steps, a mode accepts.
+ */
+function maxSessionTicks(mode) {
+  const ms = mode.timeLimit === null ? MAX_SESSION_MS : mode.timeLimit * 1000 + CLOCK_GRACE_MS;
+  return Math.ceil(ms / STEP_MS);
+}
+
+/**
+ * Re-simulate a replay and score it under a mode's rules.  Stops counting
+ * at the point the mode would have ended the game.  Also checks that
+ * every shot was taken against the hazards its score called for.  The
+ * simulation stops at the first shot that fails either check.
+ *
+ * @param {object} replay Validated replay.
+ * @param {object} mode Mode definition from modes.js.
+ * @returns {{ stats: object, ended: boolean, extraShots: boolean,
+ *   wrongHazards: boolean }}
+ */
+export function rescoreReplay(replay, mode) {
+  const player = createReplayPlayer(replay);
+  let stats = initialStats();
+  let ended = false;
+  let extraShots = false;
+  let wrongHazards = false;
+  player.engine.on('score', shot => {
+    if (ended) return;
+    stats = applyMake(stats, shot).stats;
+  });
+  player.engine.on('miss', () => {
+    if (ended) return;
+    stats = applyMiss(stats);
+    if (mode.lives !== null && stats.misses >= mode.lives) ended = true;
+  });
+  player.engine.on('launch', () => {
+    if (ended) extraShots = true;
+    const expected = hazardsFor(mode, stats.score);
+    if (JSON.stringify(player.engine.state.hazards.placement) !== JSON.stringify(expected)) {
+      wrongHazards = true;
+    }
+  });
+  while (!player.isFinished() && !extraShots && !wrongHazards) player.stepFrame();
+  return { stats, ended, extraShots, wrongHazards };
+}
+
+/**
+ * Check a score submission.
+ *
+ * @param {object} submission { mode, score, replay }
+ * @returns {{ ok: boolean, reason?: string, stats?: object }}
+ */
+export function verifySubmission({ mode: modeId, score, replay: data }) {
+  const mode = MODES[modeId];
+  if (!mode) return { ok: false, reason: `Unknown mode ${modeId}.` };
+  if (mode.minPlayers > 1 || mode.cpu || mode.levels || mode.daily || mode.tutorial) {
+    return { ok: false, reason: `${mode.label} has no leaderboard.` };
+  }
+  if (!Number.isInteger(score) || score < 0) {
+    return { ok: false, reason: 'Score must be a whole number.' };
+  }
+  if (score === 0) {
+    return { ok: false, reason: 'A score of 0 is not ranked.' };
+  }
+
+  let replay;
+  try {
+    replay = parseReplay(data);
+  } catch (err) {
+    return { ok: false, reason: err.message };
+  }
+
+  // Scores only compare if everyone plays on the same court with the
+  // same physics.  Parameters added since a replay was recorded take
+  // their defaults.
+  for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
+    const recorded = key in replay.physics ? replay.physics[key] : value;
+    if (recorded !== value) {
+      return { ok: false, reason: `Non-standard physics parameter ${key}.` };
+    }
+  }
+
+  if (replay.inputs.some(input => input.type === 'physics')) {
+    return { ok: false, reason: 'Physics were changed during the session.' };
+  }
+
+  // Moving the ball is a party rule; ranked games shoot from the default
+  // spot at the default hoop.
+  if (replay.inputs.some(input => input.type === 'start')) {
+    return { ok: false, reason: 'Custom ball positions are not allowed.' };
+  }
+  if (replay.inputs.some(input => input.type === 'hoop')) {
+    return { ok: false, reason: 'Custom hoop positions are not allowed.' };
+  }
+
+  // Check the size of the replay before spending time simulating it.
+  // Every input is a launch or, at most once per shot, new hazards.
+  const maxTicks = maxSessionTicks(mode);
+  if (replay.duration > maxTicks) {
+    return {
+      ok: false,
+      reason:
+        mode.timeLimit === null
+          ? 'Session ran longer than any session can.'
+          : 'Session ran longer than the time limit.',
+    };
+  }
+  if (replay.inputs.length > 2 * Math.ceil(maxTicks / (MIN_SHOT_MS / STEP_MS))) {
+    return { ok: false, reason: 'Replay has more inputs than the session could.' };
+  }
+  if (!replay.inputs.some(input => input.type === 'launch')) {
+    return { ok: false, reason: 'The replay has no shots.' };
+  }
+  // The only hazards a ranked game puts up are the mode's tiers.
+  const tiers = mode.hazards ? HAZARD_TIERS.map(t => JSON.stringify(t.hazards)) : [];
+  const strange = replay.inputs.some(
+    input =>
+      input.type === 'hazards' &&
+      input.hazards !== null &&
+      !tiers.includes(JSON.stringify(input.hazards))
+  );
+  if (strange) {
+    return { ok: false, reason: 'Replay has hazards the mode never sets.' };
+  }
+
+  const { stats, extraShots, wrongHazards } = rescoreReplay(replay, mode);
+  if (extraShots) {
+    return { ok: false, reason: 'Shots were taken after the game ended.' };
+  }
+  if (wrongHazards) {
+    return { ok: false, reason: 'Hazards on the court did not match the score.' };
+  }
+  if (stats.score !== score) {
+    return {
+      ok: false,
+      reason: `Claimed score ${score} does not match the replay (${stats.score}).`,
+    };
+  }
+  return { ok: true, stats };
+}
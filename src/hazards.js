@@ -0,0 +1,72 @@
+/**
+ * Hazards that join a Classic game as the score grows, so the difficulty
+ * keeps ramping: first a breeze, then a bumper above the court, then a
+ * defender sliding back and forth between the ball and the hoop, and
+ * finally stronger wind and more of everything.
+ *
+ * The hazards depend only on the shooter's score, which lets the
+ * leaderboard server check that a replay had exactly the hazards its
+ * score called for (see engine/verify.js).  Positions and sizes are
+ * fractions of the court, as taken by engine.setHazards().
+ */
+import { normaliseHazards } from './engine/physics.js';
+
+const HIGH_BUMPER = { x: 0.5, y: 0.16, radius: 0.03 };
+const LOW_BUMPER = { x: 0.88, y: 0.62, radius: 0.025 };
+
+/**
+ * A defender standing between the ball and the hoop, sliding across and
+ * back once every `period` seconds.
+ */
+function defender(period) {
+  return {
+    x: 0.5,
+    y: 0.56,
+    width: 0.05,
+    height: 0.16,
+    motion: { type: 'sine', dx: 0.09, dy: 0, period },
+  };
+}
+
+// Hazards by the score at which they appear, lowest first.  Each tier
+// replaces the one before it; label is announced when it arrives.
+export const HAZARD_TIERS = [
+  { score: 10, label: 'The wind picks up', hazards: { wind: 0.008 } },
+  { score: 20, label: 'A bumper appears', hazards: { wind: 0.008, bumpers: [HIGH_BUMPER] } },
+  {
+    score: 30,
+    label: 'A defender steps in',
+    hazards: { wind: 0.008, defenders: [defender(4)], bumpers: [HIGH_BUMPER] },
+  },
+  {
+    score: 45,
+    label: 'Headwind',
+    hazards: { wind: -0.012, defenders: [defender(2.5)], bumpers: [HIGH_BUMPER, LOW_BUMPER] },
+  },
+].map(tier => ({ ...tier, hazards: normaliseHazards(tier.hazards) }));
+
+/**
+ * The tier of hazards a score has unlocked, or null below the first.
+ *
+ * @param {number} score Shooter's current score.
+ */
+export function hazardTier(score) {
+  let tier = null;
+  for (const t of HAZARD_TIERS) {
+    if (score >= t.score) tier = t;
+  }
+  return tier;
+}
+
+/**
+ * Hazards on the court for a mode at a score, in the canonical form of
+ * normaliseHazards(), or null for a clear court.  Only modes with
+ * `hazards` set have any.
+ *
+ * @param {object} mode Mode definition from modes.js.
+ * @param {number} score Shooter's current score.
+ */
+export function hazardsFor(mode, score) {
+  const tier = mode.hazards ? hazardTier(score) : null;
+  return tier ? tier.hazards : null;
+}
@@ -0,0 +1,53 @@
+import { useEffect, useRef, useState } from 'react';
+import { getStorage } from '../storage';
+import { EMPTY_ACHIEVEMENTS, endRuns, recordEvent } from '../achievements';
+
+/**
+ * The achievements record (see achievements.js), stored under the
+ * `achievements` key.
+ *
+ * @returns {Array} [achievements, handleEvent, newGame] where achievements
+ *   is null until the record has loaded, handleEvent(event) counts a game
+ *   event, persists the record and returns the achievements it unlocked,
+ *   and newGame() forgets the runs of the last game.
+ */
+export default function useAchievements() {
+  const [achievements, setAchievements] = useState(null);
+  // Latest record.  Several events can arrive before React re-renders,
+  // e.g. a rim hit and the basket in the same step.
+  const recordRef = useRef(null);
+
+  useEffect(() => {
+    getStorage()
+      .then(store => store.get('achievements', EMPTY_ACHIEVEMENTS))
+      .then(saved => save({ ...EMPTY_ACHIEVEMENTS, ...saved }, false))
+      .catch(err => {
+        console.warn('Could not load achievements:', err);
+        save(EMPTY_ACHIEVEMENTS, false);
+      });
+  }, []);
+
+  function save(next, persist = true) {
+    recordRef.current = next;
+    setAchievements(next);
+    if (!persist) return;
+    getStorage()
+      .then(store => store.set('achievements', next))
+      .catch(err => console.warn('Could not save achievements:', err));
+  }
+
+  function handleEvent(event) {
+    if (!recordRef.current) return [];
+    const { record, unlocked } = recordEvent(recordRef.current, event);
+    if (record !== recordRef.current) save(record);
+    return unlocked;
+  }
+
+  function newGame() {
+    if (!recordRef.current) return;
+    const next = endRuns(recordRef.current);
+    if (next !== recordRef.current) save(next);
+  }
+
+  return [achievements, handleEvent, newGame];
+}
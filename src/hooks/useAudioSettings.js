@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { getStorage } from '../storage';
+import { getAudio, DEFAULT_AUDIO_SETTINGS } from '../audio';
+
+/**
+ * Volume, mute and music settings, stored under the `audio` key and
+ * applied to the shared audio engine whenever they change.
+ *
+ * @returns {Array} [settings, updateSettings] where settings is
+ *   { master, music, sfx, muted, musicEnabled } and updateSettings merges
+ *   and persists changes.
+ */
+export default function useAudioSettings() {
+  const [settings, setSettings] = useState(DEFAULT_AUDIO_SETTINGS);
+
+  useEffect(() => {
+    getStorage()
+      .then(store => store.get('audio', DEFAULT_AUDIO_SETTINGS))
+      .then(saved => setSettings({ ...DEFAULT_AUDIO_SETTINGS, ...saved }))
+      .catch(err => console.warn('Could not load audio settings:', err));
+  }, []);
+
+  useEffect(() => {
+    getAudio().configure(settings);
+  }, [settings]);
+
+  function updateSettings(changes) {
+    // Changes come from the player touching a control, which is a gesture
+    // the browser lets us start audio on, so music can be heard at once.
+    getAudio().unlock();
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    getStorage()
+      .then(store => store.set('audio', next))
+      .catch(err => console.warn('Could not save audio settings:', err));
+  }
+
+  return [settings, updateSettings];
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+import { getStorage } from '../storage';
+import { DEFAULT_SENSITIVITY } from '../input/flick';
+
+const DEFAULT_CONTROLS = { scheme: 'drag', sensitivity: DEFAULT_SENSITIVITY };
+
+/**
+ * The player's choice of pointer controls.  Stored under the `controls`
+ * key, so each device remembers its own: a phone can flick while the
+ * laptop next to it drags.
+ *
+ * @returns {Array} [controls, updateControls] where controls is
+ *   { scheme, sensitivity } and updateControls merges and persists changes.
+ */
+export default function useControls() {
+  const [controls, setControls] = useState(DEFAULT_CONTROLS);
+
+  useEffect(() => {
+    getStorage()
+      .then(store => store.get('controls', DEFAULT_CONTROLS))
+      .then(saved => setControls({ ...DEFAULT_CONTROLS, ...saved }))
+      .catch(err => console.warn('Could not load controls:', err));
+  }, []);
+
+  function updateControls(changes) {
+    const next = { ...controls, ...changes };
+    setControls(next);
+    getStorage()
+      .then(store => store.set('controls', next))
+      .catch(err => console.warn('Could not save controls:', err));
+  }
+
+  return [controls, updateControls];
+}
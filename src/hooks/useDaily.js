@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { getStorage } from '../storage';
+import { EMPTY_DAILY, closeAbandoned, recordDaily, recordProgress } from '../daily';
+
+/**
+ * The daily challenge record (see daily.js), stored under the `daily`
+ * key.  A challenge left unfinished last time is closed out on load.
+ *
+ * @returns {Array} [daily, finishDaily, saveProgress] where
+ *   finishDaily(key, outcomes, score) records a finished challenge and
+ *   saveProgress(key, outcomes, score) one under way, both persisting it.
+ */
+export default function useDaily() {
+  const [daily, setDaily] = useState(EMPTY_DAILY);
+
+  useEffect(() => {
+    getStorage()
+      .then(store => store.get('daily', EMPTY_DAILY))
+      .then(saved => {
+        const loaded = { ...EMPTY_DAILY, ...saved };
+        const next = closeAbandoned(loaded);
+        if (next === loaded) setDaily(loaded);
+        else save(next);
+      })
+      .catch(err => console.warn('Could not load the daily challenge:', err));
+  }, []);
+
+  function save(next) {
+    setDaily(next);
+    getStorage()
+      .then(store => store.set('daily', next))
+      .catch(err => console.warn('Could not save the daily challenge:', err));
+  }
+
+  function finishDaily(key, outcomes, score) {
+    save(recordDaily(daily, key, outcomes, score));
+  }
+
+  function saveProgress(key, outcomes, score) {
+    save(recordProgress(daily, key, outcomes, score));
+  }
+
+  return [daily, finishDaily, saveProgress];
+}
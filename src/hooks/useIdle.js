@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+
+// Input that counts as the user being there.
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel'];
+
+/**
+ * Whether the user has left the page alone for a while, e.g. to start an
+ * attract-mode demo.  Any pointer, key or wheel use makes them active
+ * again.
+ *
+ * @param {number} delay Milliseconds without input before going idle.
+ * @param {boolean} enabled False to stay active regardless.
+ * @returns {boolean} True while idle.
+ */
+export default function useIdle(delay, enabled = true) {
+  const [idle, setIdle] = useState(false);
+
+  useEffect(() => {
+    setIdle(false);
+    if (!enabled) return undefined;
+    let id;
+    const restart = () => {
+      setIdle(false);
+      clearTimeout(id);
+      id = setTimeout(() => setIdle(true), delay);
+    };
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, restart));
+    restart();
+    return () => {
+      clearTimeout(id);
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, restart));
+    };
+  }, [delay, enabled]);
+
+  return idle;
+}
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react';
+import {
+  addEntry,
+  createEntry,
+  exportBoards,
+  loadBoards,
+  mergeBoards,
+  parseBoards,
+  saveBoards,
+} from '../leaderboard';
+import { getStorage } from '../storage';
+import { downloadJSON, fileTimestamp } from '../utils/files';
+
+/**
+ * State and actions for the local leaderboard.  Loads the saved boards
+ * (and the last name entered on this device) on mount and persists every
+ * change.
+ *
+ * @returns {object} {
+ *   boards        – leaderboard entries keyed by mode id
+ *   playerName    – name last used on this device, to prefill the form
+ *   message       – result of the last import, or an error
+ *   addScore      – (name, score, mode) => entry id
+ *   exportFile    – download the boards as JSON
+ *   importFile    – merge boards from parsed JSON
+ *   importError   – report a file that couldn't be read
+ * }
+ */
+export default function useLeaderboard() {
+  const [boards, setBoards] = useState({});
+  const [playerName, setPlayerName] = useState('');
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadBoards()
+      .then(setBoards)
+      .catch(err => console.warn('Could not load leaderboard:', err));
+    getStorage()
+      .then(store => store.get('playerName', ''))
+      .then(setPlayerName)
+      .catch(err => console.warn('Could not load player name:', err));
+  }, []);
+
+  /**
+   * Update the boards and persist them.
+   */
+  function commit(next) {
+    setBoards(next);
+    saveBoards(next).catch(err => console.warn('Could not save leaderboard:', err));
+  }
+
+  function addScore(name, score, mode) {
+    const entry = createEntry(name, score, mode);
+    commit(addEntry(boards, entry));
+    setPlayerName(entry.name);
+    getStorage()
+      .then(store => store.set('playerName', entry.name))
+      .catch(err => console.warn('Could not save player name:', err));
+    return entry.id;
+  }
+
+  function exportFile() {
+    downloadJSON(`basketball-leaderboard-${fileTimestamp()}.json`, exportBoards(boards));
+  }
+
+  function importFile(data) {
+    try {
+      commit(mergeBoards(boards, parseBoards(data)));
+      setMessage({ error: false, text: 'Leaderboard merged.' });
+    } catch (err) {
+      setMessage({ error: true, text: err.message });
+    }
+  }
+
+  function importError(err) {
+    setMessage({ error: true, text: err.message });
+  }
+
+  return { boards, playerName, message, addScore, exportFile, importFile, importError };
+}
@@ -0,0 +1,126 @@
+import { useEffect, useRef } from 'react';
+import { BUTTONS, getGamepad, isPressed } from '../input/gamepad';
+
+// Anything in a menu that can take focus.  File inputs behind an
+// ImportButton are hidden and reached through their button instead.
+const FOCUSABLE = 'button:not([disabled]), input:not([hidden]):not([disabled])';
+
+/**
+ * Keyboard and gamepad navigation for a modal menu.
+ *
+ * When the menu opens the element marked `data-autofocus` (or the first
+ * control) receives focus unless something inside already has it.  The
+ * arrow keys and the gamepad's d-pad then move focus between the menu's
+ * controls, Enter/Space or A activate the focused one, and Escape or B
+ * call `onBack`.  Left and right are left alone inside text fields so the
+ * cursor can still be moved.
+ *
+ * The menu is treated as a modal dialog: Tab and Shift+Tab cycle through
+ * its controls without escaping to the page behind, and focus goes back
+ * to wherever it was when the menu closes.  The container should carry
+ * `role="dialog"` and `aria-modal="true"` so screen readers agree.
+ *
+ * @param {object} containerRef Ref to the element containing the menu.
+ * @param {object} options
+ *   onBack (function) – optional, called on Escape or B
+ */
+export default function useMenuNavigation(containerRef, { onBack } = {}) {
+  const onBackRef = useRef(onBack);
+  onBackRef.current = onBack;
+
+  useEffect(() => {
+    const root = containerRef.current;
+    if (!root) return undefined;
+
+    const previousFocus = document.activeElement;
+    if (!root.contains(document.activeElement)) {
+      const first = root.querySelector('[data-autofocus]') || root.querySelector(FOCUSABLE);
+      if (first) first.focus();
+    }
+
+    function move(delta) {
+      const controls = Array.from(root.querySelectorAll(FOCUSABLE));
+      if (controls.length === 0) return;
+      const index = controls.indexOf(document.activeElement);
+      const next =
+        index === -1 ? controls[0] : controls[(index + delta + controls.length) % controls.length];
+      next.focus();
+    }
+
+    /**
+     * Keep Tab inside the menu, wrapping at either end.
+     */
+    function trapTab(e) {
+      const controls = Array.from(root.querySelectorAll(FOCUSABLE));
+      if (controls.length === 0) return;
+      const first = controls[0];
+      const last = controls[controls.length - 1];
+      const inside = root.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        last.focus();
+        e.preventDefault();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        first.focus();
+        e.preventDefault();
+      }
+    }
+
+    function onKeyDown(e) {
+      if (e.key === 'Tab') {
+        trapTab(e);
+        return;
+      }
+      const inTextField = e.target.tagName === 'INPUT';
+      if (e.key === 'ArrowDown' || (e.key === 'ArrowRight' && !inTextField)) {
+        move(1);
+      } else if (e.key === 'ArrowUp' || (e.key === 'ArrowLeft' && !inTextField)) {
+        move(-1);
+      } else if (e.key === 'Escape' && onBackRef.current) {
+        onBackRef.current();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    }
+
+    // Gamepads have no button events, so poll for d-pad presses.  Buttons
+    // held when the menu opens are ignored until released.
+    let held = null;
+    let frame;
+    function poll() {
+      const pad = getGamepad();
+      if (pad) {
+        const now = {
+          up: isPressed(pad, BUTTONS.UP),
+          down: isPressed(pad, BUTTONS.DOWN),
+          left: isPressed(pad, BUTTONS.LEFT),
+          right: isPressed(pad, BUTTONS.RIGHT),
+          a: isPressed(pad, BUTTONS.A),
+          b: isPressed(pad, BUTTONS.B),
+        };
+        if (held) {
+          if (now.down && !held.down) move(1);
+          if (now.right && !held.right) move(1);
+          if (now.up && !held.up) move(-1);
+          if (now.left && !held.left) move(-1);
+          if (now.a && !held.a && root.contains(document.activeElement)) {
+            document.activeElement.click();
+          }
+          if (now.b && !held.b && onBackRef.current) onBackRef.current();
+        }
+        held = now;
+      }
+      frame = requestAnimationFrame(poll);
+    }
+    frame = requestAnimationFrame(poll);
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      cancelAnimationFrame(frame);
+      document.removeEventListener('keydown', onKeyDown);
+      if (previousFocus && previousFocus.isConnected && previousFocus.focus) {
+        previousFocus.focus();
+      }
+    };
+  }, []);
+}
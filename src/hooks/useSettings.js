@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from 'react';
+import { getStorage } from '../storage';
+import { defaultSettings } from '../settings';
+
+/**
+ * Settings with some changed.  The physics are merged key by key, so a
+ * change can name just the parameters it sets.
+ */
+function merge(settings, changes) {
+  return { ...settings, ...changes, physics: { ...settings.physics, ...changes.physics } };
+}
+
+/**
+ * Handedness, reduced motion, colour theme, aim assist and the rules
+ * sandbox (see
+ * settings.js), stored under the `settings` key.  The theme is also set as
+ * the `data-theme` attribute of the page so the stylesheet can follow it.
+ *
+ * @returns {Array} [settings, updateSettings] where updateSettings merges
+ *   and persists changes.
+ */
+export default function useSettings() {
+  const [settings, setSettings] = useState(defaultSettings);
+  // Latest settings.  Several changes can arrive before React re-renders,
+  // e.g. while a slider is dragged.
+  const settingsRef = useRef(settings);
+  // Changes made before the saved settings have loaded, to apply on top
+  // of them; null once loaded.
+  const earlyChangesRef = useRef({});
+
+  useEffect(() => {
+    const defaults = defaultSettings();
+    getStorage()
+      .then(store => store.get('settings', defaults))
+      .then(saved => {
+        const early = earlyChangesRef.current;
+        earlyChangesRef.current = null;
+        const next = merge(merge(defaults, saved), early);
+        settingsRef.current = next;
+        setSettings(next);
+        if (Object.keys(early).length > 0) persist(next);
+      })
+      .catch(err => {
+        earlyChangesRef.current = null;
+        console.warn('Could not load settings:', err);
+      });
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = settings.theme;
+  }, [settings.theme]);
+
+  function persist(next) {
+    getStorage()
+      .then(store => store.set('settings', next))
+      .catch(err => console.warn('Could not save settings:', err));
+  }
+
+  function updateSettings(changes) {
+    const next = merge(settingsRef.current, changes);
+    settingsRef.current = next;
+    setSettings(next);
+    if (earlyChangesRef.current) earlyChangesRef.current = merge(earlyChangesRef.current, changes);
+    else persist(next);
+  }
+
+  return [settings, updateSettings];
+}
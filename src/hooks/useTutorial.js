@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { getStorage } from '../storage';
+import { EMPTY_TUTORIAL } from '../tutorial';
+
+/**
+ * Whether the tutorial (see tutorial.js) has been finished or skipped,
+ * stored under the `tutorial` key.
+ *
+ * @returns {Array} [completed, completeTutorial] where completed is null
+ *   until the record has loaded, and completeTutorial() marks the
+ *   tutorial done and persists it.
+ */
+export default function useTutorial() {
+  const [completed, setCompleted] = useState(null);
+
+  useEffect(() => {
+    getStorage()
+      .then(store => store.get('tutorial', EMPTY_TUTORIAL))
+      .then(saved => setCompleted(Boolean(saved.completed)))
+      .catch(err => {
+        console.warn('Could not load the tutorial record:', err);
+        // Better to skip the tutorial than to show it on every visit.
+        setCompleted(true);
+      });
+  }, []);
+
+  function completeTutorial() {
+    setCompleted(true);
+    getStorage()
+      .then(store => store.set('tutorial', { completed: true }))
+      .catch(err => console.warn('Could not save the tutorial record:', err));
+  }
+
+  return [completed, completeTutorial];
+}
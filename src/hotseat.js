@@ -0,0 +1,154 @@
+/**
+ * Hot-seat play: two to four players taking turns on one device.
+ *
+ * Every player carries their own copy of the state a single-player game
+ * has (statistics from scoring.js and remaining lives) plus a letter
+ * count for H-O-R-S-E and a flag for being out of the game.  A
+ * single-player game is simply a list of one unnamed player, so App runs
+ * both through the same code.
+ *
+ * Player: { name, stats, lives, letters, out, cpu }
+ *
+ * In modes against the CPU a computer player, flagged `cpu`, joins as the
+ * second player and Game's bot takes its shots.
+ *
+ * In most modes the turn passes after every shot; in Timed each player
+ * gets a whole round on the clock.  H-O-R-S-E has its own turn order,
+ * handled by horseShot():
+ *
+ *   - The leader places the ball anywhere below the hoop and shoots.  A
+ *     miss passes the lead to the next player; a make sets the call.
+ *   - Everyone else still in the game then shoots from the same spot and
+ *     has to match the call or take a letter.
+ *   - After the last of them the leader sets a new shot.  Spelling the
+ *     whole word puts a player out, and the last one standing wins.
+ */
+import { initialStats } from './scoring';
+
+export const MAX_PLAYERS = 4;
+export const CPU_NAME = 'CPU';
+export const HORSE_WORD = 'HORSE';
+
+/**
+ * Create the players for a session.
+ *
+ * @param {Array<string|null>} names One entry per player; null for the
+ *   single unnamed player of a solo game.
+ * @param {object} mode Mode definition from modes.js.
+ */
+export function createPlayers(names, mode) {
+  const list = mode.cpu ? [names[0] || 'You', CPU_NAME] : names;
+  return list.map((name, i) => ({
+    name,
+    stats: initialStats(),
+    lives: mode.lives,
+    letters: 0,
+    out: false,
+    cpu: Boolean(mode.cpu) && i === 1,
+  }));
+}
+
+/**
+ * Index of the next player still in the game after `from`, wrapping
+ * around.  Returns `from` itself when nobody else is left and -1 when
+ * everyone is out.
+ */
+export function nextPlayer(players, from) {
+  for (let k = 1; k <= players.length; k++) {
+    const index = (from + k) % players.length;
+    if (!players[index].out) return index;
+  }
+  return -1;
+}
+
+/**
+ * Letters a player has collected so far, e.g. 'HO'.
+ */
+export function lettersOf(player) {
+  return HORSE_WORD.slice(0, player.letters);
+}
+
+/**
+ * Initial H-O-R-S-E state: the first player leads and nothing is called.
+ *
+ *   leader – index of the player setting shots
+ *   call   – { outcome, start } of the shot to match, or null
+ *   queue  – indices of the players still to attempt the call
+ */
+export function createHorse() {
+  return { leader: 0, call: null, queue: [] };
+}
+
+/**
+ * Whether a made shot matches the call.  A swish has to be answered with
+ * a swish and a bank shot with a bank shot; any make answers a shot that
+ * went in off the rim.
+ */
+export function matchesCall(call, outcome) {
+  if (call.outcome === 'rim-in') return outcome !== 'rim-out' && outcome !== 'airball';
+  return outcome === call.outcome;
+}
+
+/**
+ * Apply one H-O-R-S-E shot by the current player.
+ *
+ * @param {Array} players Current players.
+ * @param {object} horse State from createHorse().
+ * @param {number} shooter Index of the player who shot.
+ * @param {object} shot { made, outcome, start } where start is the spot
+ *   the ball was shot from.
+ * @returns {object} { players, horse, current, start, over } – the next
+ *   shooter and the spot they shoot from (null lets the leader choose),
+ *   or over: true once a single player is left.
+ */
+export function horseShot(players, horse, shooter, shot) {
+  let next = players;
+  let { leader, call, queue } = horse;
+
+  if (!call) {
+    if (shot.made) {
+      call = { outcome: shot.outcome, start: shot.start };
+      queue = [];
+      for (let i = nextPlayer(next, leader); i !== leader; i = nextPlayer(next, i)) {
+        queue.push(i);
+      }
+    } else {
+      leader = nextPlayer(next, leader);
+    }
+  } else {
+    queue = queue.filter(i => i !== shooter);
+    if (!(shot.made && matchesCall(call, shot.outcome))) {
+      next = players.map((player, i) => {
+        if (i !== shooter) return player;
+        const letters = player.letters + 1;
+        return { ...player, letters, out: letters >= HORSE_WORD.length };
+      });
+    }
+  }
+
+  const over = next.filter(player => !player.out).length <= 1;
+  // Everyone has answered (or the leader had nobody to challenge).
+  if (call && queue.length === 0) call = null;
+  const current = call ? queue[0] : leader;
+  return {
+    players: next,
+    horse: { leader, call, queue },
+    current,
+    start: call ? call.start : shot.start,
+    over,
+  };
+}
+
+/**
+ * Final order of a hot-seat game, best first.  H-O-R-S-E ranks by fewest
+ * letters, everything else by score.
+ *
+ * @returns {Array} Players with their original index added.
+ */
+export function standings(players, isHorse) {
+  return players
+    .map((player, index) => ({ ...player, index }))
+    .sort((a, b) =>
+      isHorse ? a.letters - b.letters : b.stats.score - a.stats.score
+    );
+}
@@ -0,0 +1,135 @@
+/**
+ * Flick controls: put a finger on the ball and swipe it towards the hoop.
+ * Unlike dragging, the shot comes from how fast and in which direction
+ * the finger was moving when it let go, not how far it travelled.
+ *
+ * Pointer velocity is smoothed with an exponential moving average so a
+ * single jittery sample can't spoil a shot, and it decays while the
+ * finger rests so stopping before lifting it cancels the flick.  The
+ * velocity is turned into the same drag vector the other schemes produce
+ * (see launch.js), scaled by a sensitivity setting and capped at full
+ * power.
+ */
+import { MAX_AIM_DRAG, launchFromDrag } from './launch';
+import { toCourt } from '../render/view';
+
+// Drag pixels per pixel-per-millisecond of swipe speed at sensitivity 1.
+const FLICK_SCALE = 150;
+// Time constant of the velocity smoothing.  Samples older than a few of
+// these hardly count.
+const SMOOTHING_MS = 40;
+// Fingers are bigger than mouse pointers: accept presses a little outside
+// the ball.
+const TOUCH_SLOP = 1.5;
+
+export const MIN_SENSITIVITY = 0.5;
+export const MAX_SENSITIVITY = 2;
+export const DEFAULT_SENSITIVITY = 1;
+
+/**
+ * Attach flick controls to a canvas.  Takes the same options as
+ * createPointerInput() plus the sensitivity.
+ *
+ * @param {HTMLCanvasElement} canvas Canvas the court is drawn on.
+ * @param {object} engine Engine whose ball is shot.
+ * @param {object} options
+ *   canShoot()   – false while shooting is not allowed
+ *   onTap(x, y)  – optional, called when the court is tapped away from
+ *                  the ball
+ *   onActivity() – called whenever the pointer is used
+ *   sensitivity  – multiplier for the swipe speed, MIN_SENSITIVITY to
+ *                  MAX_SENSITIVITY
+ *   view         – view the court is drawn through (render/view.js)
+ */
+export function createFlickInput(
+  canvas,
+  engine,
+  {
+    canShoot,
+    onTap,
+    onActivity,
+    sensitivity = DEFAULT_SENSITIVITY,
+    view,
+  }
+) {
+  const { ball } = engine.state;
+  const flick = {
+    active: false,
+    x: 0,
+    y: 0,
+    time: 0,
+    // Smoothed velocity in canvas pixels per millisecond.
+    vx: 0,
+    vy: 0,
+  };
+
+  const getCanvasCoords = e => toCourt(view, canvas, e.clientX, e.clientY);
+
+  function onPointerDown(e) {
+    e.preventDefault();
+    onActivity();
+    if (!canShoot()) return;
+    const { x, y } = getCanvasCoords(e);
+    if (Math.hypot(x - ball.x, y - ball.y) <= ball.radius * TOUCH_SLOP) {
+      Object.assign(flick, { active: true, x, y, time: e.timeStamp, vx: 0, vy: 0 });
+    } else if (onTap) {
+      onTap(x, y);
+    }
+  }
+
+  /**
+   * Fold the movement since the previous sample into the smoothed
+   * velocity.
+   */
+  function onPointerMove(e) {
+    if (!flick.active) return;
+    e.preventDefault();
+    const { x, y } = getCanvasCoords(e);
+    const dt = e.timeStamp - flick.time;
+    if (dt <= 0) return;
+    const weight = 1 - Math.exp(-dt / SMOOTHING_MS);
+    flick.vx += ((x - flick.x) / dt - flick.vx) * weight;
+    flick.vy += ((y - flick.y) / dt - flick.vy) * weight;
+    Object.assign(flick, { x, y, time: e.timeStamp });
+  }
+
+  function onPointerUp(e) {
+    if (!flick.active) return;
+    e.preventDefault();
+    flick.active = false;
+    // A finger that came to rest before lifting has lost its momentum.
+    const decay = Math.exp(-Math.max(0, e.timeStamp - flick.time) / SMOOTHING_MS);
+    let dx = flick.vx * decay * FLICK_SCALE * sensitivity;
+    let dy = flick.vy * decay * FLICK_SCALE * sensitivity;
+    const length = Math.hypot(dx, dy);
+    if (length > MAX_AIM_DRAG) {
+      dx *= MAX_AIM_DRAG / length;
+      dy *= MAX_AIM_DRAG / length;
+    }
+    launchFromDrag(engine, dx, dy);
+  }
+
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', cancel);
+
+  // The browser took over the gesture (e.g. to scroll): drop the flick
+  // rather than shoot.
+  function cancel() {
+    flick.active = false;
+  }
+
+  return {
+    // A flick only has a direction once it is released, so there is never
+    // a shot to preview.
+    getDrag: () => null,
+    cancel,
+    detach() {
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointercancel', cancel);
+    },
+  };
+}
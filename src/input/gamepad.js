@@ -0,0 +1,120 @@
+/**
+ * Gamepad controls through the Gamepad API: the left stick aims, holding
+ * the right trigger (or A) charges the shot and letting go shoots.  Makes
+ * and misses are felt through rumble on pads that support it.
+ *
+ * The API has no events for buttons, so pads are polled once per frame.
+ * Button indices follow the "standard" mapping.
+ */
+import {
+  CHARGE_MS,
+  DEFAULT_AIM_ANGLE,
+  aimToDrag,
+  clampAngle,
+  launchFromDrag,
+} from './launch';
+
+export const BUTTONS = {
+  A: 0,
+  B: 1,
+  RIGHT_TRIGGER: 7,
+  UP: 12,
+  DOWN: 13,
+  LEFT: 14,
+  RIGHT: 15,
+};
+
+// Stick movement smaller than this is treated as the stick at rest.
+const STICK_DEADZONE = 0.3;
+// Trigger travel needed to count as pressed.
+const TRIGGER_THRESHOLD = 0.15;
+
+/**
+ * The first connected gamepad, or null.
+ */
+export function getGamepad() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+  return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null;
+}
+
+/**
+ * Whether a button of the standard mapping is held.
+ */
+export function isPressed(pad, index) {
+  const button = pad.buttons[index];
+  if (!button) return false;
+  return index === BUTTONS.RIGHT_TRIGGER ? button.value > TRIGGER_THRESHOLD : button.pressed;
+}
+
+/**
+ * Poll gamepad controls.
+ *
+ * @param {object} engine Engine whose ball is shot.
+ * @param {object} options
+ *   canShoot()   – false while shooting is not allowed
+ *   onActivity() – called whenever the pad is used
+ *   mirrored()   – optional, true while the court is drawn mirrored
+ */
+export function createGamepadInput(engine, { canShoot, onActivity, mirrored = () => false }) {
+  const aim = { angle: DEFAULT_AIM_ANGLE, power: 0, charging: false };
+  // Whether the charge button was held on the previous poll.  Null until
+  // the first poll so a button still held from pressing "Start" in a menu
+  // doesn't begin a shot.
+  let wasHeld = null;
+
+  /**
+   * Read the pad and aim, charge or shoot.  Called once per frame.
+   *
+   * @param {number} elapsed Milliseconds since the previous frame.
+   */
+  function update(elapsed) {
+    const pad = getGamepad();
+    if (!pad) return;
+    const [x = 0, y = 0] = pad.axes;
+    if (Math.hypot(x, y) > STICK_DEADZONE) {
+      aim.angle = clampAngle(Math.atan2(-y, mirrored() ? -x : x));
+      onActivity();
+    }
+    const held = isPressed(pad, BUTTONS.RIGHT_TRIGGER) || isPressed(pad, BUTTONS.A);
+    if (held && wasHeld === false && canShoot()) {
+      aim.charging = true;
+      aim.power = 0;
+      onActivity();
+    }
+    if (aim.charging && held) aim.power = Math.min(1, aim.power + elapsed / CHARGE_MS);
+    if (aim.charging && !held) {
+      const { dx, dy } = aimToDrag(aim.angle, aim.power);
+      launchFromDrag(engine, dx, dy);
+      aim.charging = false;
+      aim.power = 0;
+    }
+    wasHeld = held;
+  }
+
+  /**
+   * Rumble the pad if it can.
+   *
+   * @param {number} strong Strength of the low frequency motor, 0–1.
+   * @param {number} weak Strength of the high frequency motor, 0–1.
+   * @param {number} duration Milliseconds.
+   */
+  function rumble(strong, weak, duration) {
+    const pad = getGamepad();
+    const actuator = pad && pad.vibrationActuator;
+    if (!actuator || !actuator.playEffect) return;
+    actuator
+      .playEffect('dual-rumble', { duration, strongMagnitude: strong, weakMagnitude: weak })
+      .catch(() => {});
+  }
+
+  /**
+   * Drop a charge in progress without shooting.  The button has to be
+   * let go and pressed again to start a new one.
+   */
+  function cancel() {
+    aim.charging = false;
+    aim.power = 0;
+  }
+
+  return { update, rumble, cancel, getAim: () => aim };
+}
@@ -0,0 +1,128 @@
+/**
+ * Input for the live game.  Combines the pointer, keyboard and gamepad
+ * control schemes, which all work at the same time and all launch the
+ * ball through the shared math in launch.js.  The pointer either drags
+ * (pointer.js) or flicks (flick.js) depending on the player's choice.
+ * The scheme used most recently decides whether an aim indicator is
+ * drawn: pointer drags stay clean unless the player turns on the aim
+ * assist, while keyboard and gamepad players need to see where they aim.
+ */
+import { createPointerInput } from './pointer';
+import { createFlickInput, DEFAULT_SENSITIVITY } from './flick';
+import { createKeyboardInput } from './keyboard';
+import { createGamepadInput } from './gamepad';
+import { aimToDrag } from './launch';
+
+// Pointer schemes a player can choose between, with their labels.
+export const POINTER_SCHEMES = {
+  drag: 'Drag',
+  flick: 'Flick',
+};
+
+/**
+ * Attach every control scheme.
+ *
+ * @param {HTMLCanvasElement} canvas Canvas the court is drawn on.
+ * @param {object} engine Engine whose ball is shot.
+ * @param {object} options
+ *   canShoot()  – false while shooting is not allowed
+ *   onTap(x, y) – optional, see pointer.js
+ *   scheme      – pointer scheme, 'drag' (default) or 'flick'
+ *   sensitivity – flick sensitivity, see flick.js
+ *   view        – view the court is drawn through (render/view.js); the
+ *                 keyboard and gamepad follow it when it is mirrored for
+ *                 a left-handed player
+ */
+export function createInput(
+  canvas,
+  engine,
+  { canShoot, onTap, scheme = 'drag', sensitivity = DEFAULT_SENSITIVITY, view }
+) {
+  const mirrored = () => view.mirrored;
+  let lastScheme = 'pointer';
+  const using = name => () => {
+    lastScheme = name;
+  };
+  let pointer = null;
+  let pointerOptions = null;
+
+  /**
+   * Switch the pointer scheme or its sensitivity.  Does nothing if both
+   * are unchanged.
+   */
+  function configure(options) {
+    const next = { ...pointerOptions, ...options };
+    const unchanged =
+      pointer &&
+      next.scheme === pointerOptions.scheme &&
+      next.sensitivity === pointerOptions.sensitivity;
+    if (unchanged) return;
+    if (pointer) pointer.detach();
+    pointerOptions = next;
+    const create = next.scheme === 'flick' ? createFlickInput : createPointerInput;
+    pointer = create(canvas, engine, {
+      canShoot,
+      onTap,
+      onActivity: using('pointer'),
+      sensitivity: next.sensitivity,
+      view,
+    });
+  }
+
+  configure({ scheme, sensitivity });
+  const keyboard = createKeyboardInput(engine, {
+    canShoot,
+    onActivity: using('keyboard'),
+    mirrored,
+  });
+  const gamepad = createGamepadInput(engine, {
+    canShoot,
+    onActivity: using('gamepad'),
+    mirrored,
+  });
+
+  /**
+   * Aim of the keyboard or gamepad, { angle, power, charging }, or null
+   * when the pointer was used last.
+   */
+  function getAim() {
+    if (lastScheme === 'keyboard') return keyboard.getAim();
+    if (lastScheme === 'gamepad') return gamepad.getAim();
+    return null;
+  }
+
+  return {
+    /**
+     * Poll and advance the held-key schemes.  Called once per frame.
+     */
+    update(elapsed) {
+      keyboard.update(elapsed);
+      gamepad.update(elapsed);
+    },
+    getAim,
+    /**
+     * Drag vector (see launch.js) of the shot being lined up with any
+     * scheme, or null when none is.  Keyboard and gamepad shots only have
+     * one while charging.
+     */
+    getShot() {
+      const aim = getAim();
+      if (aim) return aim.charging ? aimToDrag(aim.angle, aim.power) : null;
+      return pointer.getDrag();
+    },
+    /**
+     * Abandon a drag, flick or charge in progress.
+     */
+    cancel() {
+      pointer.cancel();
+      keyboard.cancel();
+      gamepad.cancel();
+    },
+    configure,
+    rumble: gamepad.rumble,
+    detach() {
+      pointer.detach();
+      keyboard.detach();
+    },
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Keyboard controls: the left and right arrows turn the aim, holding
+ * Space charges the shot and releasing it shoots.
+ */
+import {
+  CHARGE_MS,
+  DEFAULT_AIM_ANGLE,
+  aimToDrag,
+  clampAngle,
+  launchFromDrag,
+} from './launch';
+
+// Aim rotation speed in radians per millisecond (90° a second).
+const TURN_RATE = Math.PI / 2 / 1000;
+
+/**
+ * True when a key press is meant for a text field rather than the game.
+ */
+function isTyping(e) {
+  const { target } = e;
+  return Boolean(
+    target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)
+  );
+}
+
+/**
+ * Listen for keyboard controls on the window.
+ *
+ * @param {object} engine Engine whose ball is shot.
+ * @param {object} options
+ *   canShoot()   – false while shooting is not allowed
+ *   onActivity() – called whenever a control key is used
+ *   mirrored()   – optional, true while the court is drawn mirrored, which
+ *                  swaps the arrows so the aim turns the way it looks
+ */
+export function createKeyboardInput(engine, { canShoot, onActivity, mirrored = () => false }) {
+  const aim = { angle: DEFAULT_AIM_ANGLE, power: 0, charging: false };
+  const held = { left: false, right: false };
+
+  function onKeyDown(e) {
+    if (isTyping(e)) return;
+    if (e.key === 'ArrowLeft') held.left = true;
+    else if (e.key === 'ArrowRight') held.right = true;
+    else if (e.key === ' ') {
+      if (!e.repeat && canShoot()) {
+        aim.charging = true;
+        aim.power = 0;
+      }
+    } else return;
+    // Keep Space from scrolling the page or pressing a focused button.
+    e.preventDefault();
+    onActivity();
+  }
+
+  function onKeyUp(e) {
+    if (isTyping(e)) return;
+    if (e.key === 'ArrowLeft') held.left = false;
+    else if (e.key === 'ArrowRight') held.right = false;
+    else if (e.key === ' ') {
+      if (aim.charging) {
+        const { dx, dy } = aimToDrag(aim.angle, aim.power);
+        launchFromDrag(engine, dx, dy);
+        aim.charging = false;
+        aim.power = 0;
+      }
+    } else return;
+    e.preventDefault();
+  }
+
+  /**
+   * Turn and charge according to the keys held.  Called once per frame.
+   *
+   * @param {number} elapsed Milliseconds since the previous frame.
+   */
+  function update(elapsed) {
+    const turn = ((held.left ? 1 : 0) - (held.right ? 1 : 0)) * (mirrored() ? -1 : 1);
+    if (turn !== 0) aim.angle = clampAngle(aim.angle + turn * TURN_RATE * elapsed);
+    if (aim.charging) aim.power = Math.min(1, aim.power + elapsed / CHARGE_MS);
+  }
+
+  window.addEventListener('keydown', onKeyDown);
+  window.addEventListener('keyup', onKeyUp);
+
+  return {
+    update,
+    getAim: () => aim,
+    /**
+     * Drop a charge in progress without shooting.
+     */
+    cancel() {
+      aim.charging = false;
+      aim.power = 0;
+    },
+    detach() {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+    },
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Launch math shared by every control scheme.  Pointer, keyboard and
+ * gamepad input all end up as a drag vector in court pixels, the same
+ * vector a mouse or finger drag produces, which is scaled into the launch
+ * velocity here.  That way a shot feels the same whichever way it was
+ * taken.
+ */
+
+// Launch velocity (pixels per step) per pixel of drag.
+export const SPEED_SCALE = 0.06;
+// Drags shorter than this are treated as taps, not shots.
+export const MIN_DRAG = 5;
+// Drag length of a fully charged keyboard or gamepad shot.
+export const MAX_AIM_DRAG = 340;
+// Time to charge a keyboard or gamepad shot from nothing to full power.
+export const CHARGE_MS = 1200;
+// Starting aim of keyboard and gamepad shots: up and towards the hoop.
+export const DEFAULT_AIM_ANGLE = (60 * Math.PI) / 180;
+// Aim is limited to the upper half circle, with a little margin so a shot
+// can't be aimed straight along the floor.
+export const MIN_AIM_ANGLE = (10 * Math.PI) / 180;
+export const MAX_AIM_ANGLE = (170 * Math.PI) / 180;
+
+export function clampAngle(angle) {
+  return Math.min(Math.max(angle, MIN_AIM_ANGLE), MAX_AIM_ANGLE);
+}
+
+/**
+ * Convert an aim angle (radians, counter-clockwise from pointing right)
+ * and power (0–1) into a drag vector.
+ */
+export function aimToDrag(angle, power) {
+  const length = power * MAX_AIM_DRAG;
+  return { dx: Math.cos(angle) * length, dy: -Math.sin(angle) * length };
+}
+
+/**
+ * Launch the engine's ball along a drag vector.  Returns true if a shot
+ * was taken.
+ */
+export function launchFromDrag(engine, dx, dy) {
+  if (Math.hypot(dx, dy) <= MIN_DRAG) return false;
+  return engine.launch(dx * SPEED_SCALE, dy * SPEED_SCALE);
+}
@@ -0,0 +1,106 @@
+/**
+ * Pointer controls: press on the ball, drag in the direction of the shot
+ * and release.  Pointer events cover mouse, touch and pen alike.
+ */
+import { launchFromDrag } from './launch';
+import { toCourt } from '../render/view';
+
+/**
+ * Attach pointer controls to a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas Canvas the court is drawn on.
+ * @param {object} engine Engine whose ball is shot.
+ * @param {object} options
+ *   canShoot()   – false while shooting is not allowed
+ *   onTap(x, y)  – optional, called with court coordinates when the
+ *                  court is tapped away from the resting ball
+ *   onActivity() – called whenever the pointer is used
+ *   view         – view the court is drawn through (render/view.js), to
+ *                  turn pointer positions into court coordinates
+ */
+export function createPointerInput(canvas, engine, { canShoot, onTap, onActivity, view }) {
+  const { ball } = engine.state;
+  // Drag state for the gesture.  Kept separate from the engine because it
+  // is purely an input concern.
+  const drag = {
+    isDragging: false,
+    startX: 0,
+    startY: 0,
+    currentX: 0,
+    currentY: 0,
+  };
+
+  /**
+   * Convert a pointer event's client coordinates to court coordinates.
+   */
+  const getCanvasCoords = e => toCourt(view, canvas, e.clientX, e.clientY);
+
+  /**
+   * If the press lands on the ball, start dragging it to set the shot
+   * direction and power.
+   */
+  function onPointerDown(e) {
+    e.preventDefault();
+    onActivity();
+    if (!canShoot()) return;
+    const { x, y } = getCanvasCoords(e);
+    const dist = Math.hypot(x - ball.x, y - ball.y);
+    if (dist <= ball.radius) {
+      drag.isDragging = true;
+      drag.startX = x;
+      drag.startY = y;
+      drag.currentX = x;
+      drag.currentY = y;
+    } else if (onTap) {
+      onTap(x, y);
+    }
+  }
+
+  function onPointerMove(e) {
+    if (!drag.isDragging) return;
+    e.preventDefault();
+    const { x, y } = getCanvasCoords(e);
+    drag.currentX = x;
+    drag.currentY = y;
+  }
+
+  /**
+   * Launch the ball when the pointer is released.  The velocity is
+   * proportional to the vector dragged: pulling further yields a faster
+   * shot.  Dragging upward (currentY < startY) gives a negative dy and
+   * therefore a shot that flies upwards.
+   */
+  function onPointerUp(e) {
+    if (!drag.isDragging) return;
+    e.preventDefault();
+    launchFromDrag(engine, drag.currentX - drag.startX, drag.currentY - drag.startY);
+    drag.isDragging = false;
+  }
+
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+
+  return {
+    /**
+     * Drag vector of the shot being lined up, or null when not dragging.
+     */
+    getDrag() {
+      if (!drag.isDragging) return null;
+      return { dx: drag.currentX - drag.startX, dy: drag.currentY - drag.startY };
+    },
+    /**
+     * Abandon a drag in progress, e.g. when the ball is reset.
+     */
+    cancel() {
+      drag.isDragging = false;
+    },
+    detach() {
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointercancel', onPointerUp);
+    },
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Local leaderboard: the top scores per game mode together with the name
+ * of whoever set them, for kiosks and shared devices.  Boards are stored
+ * under the `leaderboard` key as `{ [modeId]: entries }`, each list sorted
+ * best first and capped at LEADERBOARD_SIZE entries.
+ *
+ * Entry: { id, name, score, mode, date }
+ *
+ * Boards can be exported to a versioned JSON file and merged back in on
+ * another device.  Entries keep the id they were created with so merging
+ * the same file twice doesn't duplicate anything.
+ */
+import { getStorage } from './storage';
+
+export const LEADERBOARD_SIZE = 10;
+export const LEADERBOARD_FORMAT = 'basketball-leaderboard';
+export const LEADERBOARD_VERSION = 1;
+export const MAX_NAME_LENGTH = 12;
+
+/**
+ * Best first; equal scores keep whoever got there first on top.
+ */
+function compareEntries(a, b) {
+  return b.score - a.score || a.date.localeCompare(b.date);
+}
+
+/**
+ * Position (0-based) a score would take on a board, or -1 if it doesn't
+ * make the cut.  A score of zero never qualifies.
+ */
+export function rankFor(board = [], score) {
+  if (score <= 0) return -1;
+  const index = board.findIndex(entry => score > entry.score);
+  if (index !== -1) return index;
+  return board.length < LEADERBOARD_SIZE ? board.length : -1;
+}
+
+/**
+ * Create an entry for a finished game.
+ */
+export function createEntry(name, score, mode) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim().slice(0, MAX_NAME_LENGTH),
+    score,
+    mode,
+    date: new Date().toISOString(),
+  };
+}
+
+/**
+ * Add an entry to its mode's board.
+ *
+ * @returns {object} New boards object.
+ */
+export function addEntry(boards, entry) {
+  const board = [...(boards[entry.mode] || []), entry]
+    .sort(compareEntries)
+    .slice(0, LEADERBOARD_SIZE);
+  return { ...boards, [entry.mode]: board };
+}
+
+/**
+ * Merge two sets of boards, dropping duplicate entries.
+ *
+ * @returns {object} New boards object.
+ */
+export function mergeBoards(current, incoming) {
+  const merged = { ...current };
+  for (const [mode, entries] of Object.entries(incoming)) {
+    const seen = new Set();
+    merged[mode] = [...(current[mode] || []), ...entries]
+      .filter(entry => {
+        const key = entry.id || `${entry.name}|${entry.score}|${entry.date}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort(compareEntries)
+      .slice(0, LEADERBOARD_SIZE);
+  }
+  return merged;
+}
+
+/**
+ * Wrap boards in the export file format.
+ */
+export function exportBoards(boards) {
+  return {
+    format: LEADERBOARD_FORMAT,
+    version: LEADERBOARD_VERSION,
+    exportedAt: new Date().toISOString(),
+    boards,
+  };
+}
+
+/**
+ * Validate an imported leaderboard file.  Throws an Error describing the
+ * problem if it can't be used.
+ *
+ * @param {any} data Parsed JSON.
+ * @returns {object} The boards it contains.
+ */
+export function parseBoards(data) {
+  if (!data || data.format !== LEADERBOARD_FORMAT) {
+    throw new Error('This file is not a basketball leaderboard.');
+  }
+  if (data.version !== LEADERBOARD_VERSION) {
+    throw new Error(`Unsupported leaderboard version ${data.version}.`);
+  }
+  if (!data.boards || typeof data.boards !== 'object') {
+    throw new Error('Leaderboard file has no boards.');
+  }
+  const boards = {};
+  for (const [mode, entries] of Object.entries(data.boards)) {
+    if (!Array.isArray(entries)) throw new Error('Leaderboard file is malformed.');
+    boards[mode] = entries.map(entry => {
+      if (
+        typeof entry.name !== 'string' ||
+        typeof entry.score !== 'number' ||
+        typeof entry.date !== 'string'
+      ) {
+        throw new Error('Leaderboard file contains an invalid entry.');
+      }
+      return {
+        id: typeof entry.id === 'string' ? entry.id : undefined,
+        name: entry.name.slice(0, MAX_NAME_LENGTH),
+        score: entry.score,
+        mode,
+        date: entry.date,
+      };
+    });
+  }
+  return boards;
+}
+
+/**
+ * Read the saved boards.
+ */
+export async function loadBoards() {
+  const store = await getStorage();
+  return store.get('leaderboard', {});
+}
+
+/**
+ * Persist boards.
+ */
+export async function saveBoards(boards) {
+  const store = await getStorage();
+  await store.set('leaderboard', boards);
+}
@@ -0,0 +1,93 @@
+/**
+ * Level progression.  A level pack is a JSON file listing stages that are
+ * played in order; scoring enough baskets on a stage clears it and moves
+ * on to the next.
+ *
+ * Level pack layout (version 1):
+ *   {
+ *     format: 'basketball-levels',
+ *     version: 1,
+ *     levels: [
+ *       {
+ *         name:    shown when the level starts
+ *         hoop:    { x, y, motion }  home spot of the hoop as fractions of
+ *                  the court; motion is optional, see hoopOffset() in
+ *                  engine/physics.js
+ *         ball:    { x, y }  optional start spot of the ball, as fractions
+ *                  of the court; the default spot when left out
+ *         gravity: optional gravity, replacing the player's own
+ *         wind:    optional sideways push per step; positive blows
+ *                  towards the hoop
+ *         makes:   baskets needed to clear the level
+ *       },
+ *     ],
+ *   }
+ */
+import packData from './levels.json';
+
+export const LEVELS_FORMAT = 'basketball-levels';
+export const LEVELS_VERSION = 1;
+
+/**
+ * Validate a level pack.  Throws an Error describing the problem if it
+ * can't be played.
+ *
+ * @param {any} data Parsed JSON.
+ * @returns {Array<object>} Its levels.
+ */
+export function parseLevels(data) {
+  if (!data || data.format !== LEVELS_FORMAT) {
+    throw new Error('This file is not a basketball level pack.');
+  }
+  if (data.version !== LEVELS_VERSION) {
+    throw new Error(`Unsupported level pack version ${data.version}.`);
+  }
+  if (!Array.isArray(data.levels) || data.levels.length === 0) {
+    throw new Error('Level pack has no levels.');
+  }
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isSpot = spot => Boolean(spot) && isNumber(spot.x) && isNumber(spot.y);
+  const isMotion = motion =>
+    motion === undefined ||
+    (Boolean(motion) &&
+      (motion.type === 'linear' || motion.type === 'sine') &&
+      isNumber(motion.period) &&
+      motion.period > 0);
+  return data.levels.map((level, i) => {
+    const valid =
+      isSpot(level.hoop) &&
+      isMotion(level.hoop.motion) &&
+      (level.ball === undefined || isSpot(level.ball)) &&
+      (level.gravity === undefined || isNumber(level.gravity)) &&
+      (level.wind === undefined || isNumber(level.wind)) &&
+      Number.isInteger(level.makes) &&
+      level.makes > 0;
+    if (!valid) throw new Error(`Level ${i + 1} is invalid.`);
+    return {
+      name: typeof level.name === 'string' ? level.name : `Level ${i + 1}`,
+      hoop: { x: level.hoop.x, y: level.hoop.y, motion: level.hoop.motion || null },
+      ball: level.ball ? { x: level.ball.x, y: level.ball.y } : null,
+      gravity: level.gravity === undefined ? null : level.gravity,
+      wind: level.wind || 0,
+      makes: level.makes,
+    };
+  });
+}
+
+// The levels that ship with the game.
+export const LEVELS = parseLevels(packData);
+
+/**
+ * Engine parameters for playing a level: the player's own physics with
+ * the level's gravity and wind on top.
+ *
+ * @param {object} level Level from parseLevels().
+ * @param {object} physics The player's physics, e.g. from the sandbox.
+ */
+export function levelPhysics(level, physics) {
+  return {
+    ...physics,
+    ...(level.gravity === null ? {} : { gravity: level.gravity }),
+    wind: level.wind,
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Game mode definitions.  Each mode describes the rules App applies on
+ * top of the physics:
+ *
+ *   lives      – misses allowed before the game ends, or null for unlimited
+ *   timeLimit  – length of a round in seconds, or null for no clock
+ *   minPlayers – players needed on the device; modes for more than one
+ *                player are party games without high scores
+ *   maxPlayers – optional cap on the players taking turns
+ *   levels     – true to play through the stages in levels/, with the
+ *                hoop, ball, gravity and wind changing from stage to
+ *                stage; such games have no online leaderboard
+ *   daily      – true for the daily challenge (daily.js): ten shots laid
+ *                out from the date, once a day; no online leaderboard
+ *   hazards    – true to bring on wind, defenders and bumpers as the
+ *                shooter's score grows (hazards.js)
+ *   cpu        – true to take turns against a computer opponent
+ *                (engine/bot.js) as a second player
+ *   tutorial   – true for the first-time tutorial (tutorial.js); it is
+ *                started by App rather than from the start screen and
+ *                never recorded
+ *
+ * A game ends when the lives run out or the clock reaches zero.  A mode
+ * with neither (Zen) never ends on its own; the player leaves when they
+ * like.  In Levels the game also ends once the last stage is cleared, and
+ * the daily challenge ends after its ten shots.  Against the CPU the game
+ * also ends once the only player left is already ahead.
+ * Every single-player mode keeps its own high score.  With several
+ * players taking turns (see hotseat.js) each has their own lives and, in
+ * Timed, their own round on the clock.
+ */
+export const MODES = {
+  classic: {
+    id: 'classic',
+    label: 'Classic',
+    description:
+      'You have five lives – missing a shot will cost you one.  Wind, ' +
+      'defenders and bumpers join in as your score grows.  See how long you ' +
+      'can last.',
+    lives: 5,
+    timeLimit: null,
+    minPlayers: 1,
+    hazards: true,
+  },
+  timed: {
+    id: 'timed',
+    label: 'Timed',
+    description:
+      'Sink as many baskets as you can in 60 seconds.  Misses cost nothing ' +
+      'but time.',
+    lives: null,
+    timeLimit: 60,
+    minPlayers: 1,
+  },
+  'sudden-death': {
+    id: 'sudden-death',
+    label: 'Sudden Death',
+    description: 'One miss and it is over.  How long is your streak?',
+    lives: 1,
+    timeLimit: null,
+    minPlayers: 1,
+  },
+  zen: {
+    id: 'zen',
+    label: 'Zen',
+    description: 'No lives, no clock, no game over.  Just shoot around.',
+    lives: null,
+    timeLimit: null,
+    minPlayers: 1,
+  },
+  levels: {
+    id: 'levels',
+    label: 'Levels',
+    description:
+      'Work through the stages: each one moves the hoop, the ball or the ' +
+      'wind.  Make enough baskets to clear a stage.  Five lives for the ' +
+      'whole run.',
+    lives: 5,
+    timeLimit: null,
+    minPlayers: 1,
+    levels: true,
+  },
+  daily: {
+    id: 'daily',
+    label: 'Daily',
+    description:
+      'Ten shots, the same for everyone today: the hoop, the ball and the ' +
+      'wind change every shot.  One go per day – keep your streak alive.',
+    lives: null,
+    timeLimit: null,
+    minPlayers: 1,
+    maxPlayers: 1,
+    daily: true,
+  },
+  versus: {
+    id: 'versus',
+    label: 'Versus CPU',
+    description:
+      'Take turns with the computer, three lives each.  Highest score when ' +
+      'the lives run out wins.  Set how good it is in the settings.',
+    lives: 3,
+    timeLimit: null,
+    minPlayers: 1,
+    maxPlayers: 1,
+    cpu: true,
+  },
+  horse: {
+    id: 'horse',
+    label: 'H-O-R-S-E',
+    description:
+      'The leader taps the court to place the ball and calls a shot by ' +
+      'making it.  Everyone else has to make the same shot from the same ' +
+      'spot or take a letter.  Spell HORSE and you are out.',
+    lives: null,
+    timeLimit: null,
+    minPlayers: 2,
+  },
+  tutorial: {
+    id: 'tutorial',
+    label: 'Tutorial',
+    description: 'Learn to shoot, one step at a time.',
+    lives: null,
+    timeLimit: null,
+    minPlayers: 1,
+    maxPlayers: 1,
+    tutorial: true,
+  },
+};
+
+// Order in which modes are offered on the start screen.  The tutorial
+// isn't one of them.
+export const MODE_ORDER = [
+  'classic',
+  'timed',
+  'sudden-death',
+  'zen',
+  'levels',
+  'daily',
+  'versus',
+  'horse',
+];
+
+export const DEFAULT_MODE = 'classic';
+
+/**
+ * Look up a mode by id, falling back to the default mode.
+ */
+export function getMode(id) {
+  return MODES[id] || MODES[DEFAULT_MODE];
+}
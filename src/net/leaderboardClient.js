@@ -0,0 +1,135 @@
+/**
+ * Client for the self-hosted leaderboard server (server/leaderboard-server.js).
+ *
+ * Submissions are written to a queue in storage before they are sent, so
+ * a result achieved offline, or while the server is down, is not lost:
+ * the queue is flushed again when the browser comes back online and at a
+ * regular interval.  A submission the server rejects (its replay doesn't
+ * support the claimed score) is dropped rather than retried.
+ *
+ * The server address comes from the VITE_LEADERBOARD_URL environment
+ * variable and defaults to a server on localhost.
+ */
+import { getStorage } from '../storage';
+
+export const SERVER_URL = import.meta.env.VITE_LEADERBOARD_URL || 'http://localhost:8787';
+
+const QUEUE_KEY = 'submissionQueue';
+const RETRY_INTERVAL_MS = 30000;
+
+/**
+ * Result statuses reported to callers.
+ */
+export const SUBMIT_STATUS = {
+  ACCEPTED: 'accepted',
+  QUEUED: 'queued',
+  REJECTED: 'rejected',
+};
+
+// Listeners notified when a queued submission is eventually settled.
+const listeners = new Set();
+let flushing = null;
+
+/**
+ * POST one submission.  Resolves with the server's verdict, or rejects
+ * if the server couldn't be reached.
+ */
+async function send(submission) {
+  const response = await fetch(`${SERVER_URL}/api/scores`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(submission),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (response.ok) {
+    return { status: SUBMIT_STATUS.ACCEPTED, rank: body.rank };
+  }
+  if (response.status >= 400 && response.status < 500) {
+    return { status: SUBMIT_STATUS.REJECTED, reason: body.error || response.statusText };
+  }
+  // Server errors are treated like being offline: try again later.
+  throw new Error(body.error || response.statusText);
+}
+
+/**
+ * Try to send everything in the queue, oldest first.  Stops at the first
+ * network failure and leaves the rest for the next attempt.  The queue is
+ * read afresh for every submission, so entries queued meanwhile are
+ * neither lost nor left behind.
+ */
+export function flushQueue() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const store = await getStorage();
+    for (;;) {
+      const [submission] = await store.get(QUEUE_KEY, []);
+      if (!submission) break;
+      let result;
+      try {
+        result = await send(submission);
+      } catch (err) {
+        break;
+      }
+      const queue = await store.get(QUEUE_KEY, []);
+      await store.set(QUEUE_KEY, queue.filter(item => item.id !== submission.id));
+      listeners.forEach(fn => fn(submission.id, result));
+    }
+  })()
+    .catch(err => console.warn('Could not flush leaderboard queue:', err))
+    .finally(() => {
+      flushing = null;
+    });
+  return flushing;
+}
+
+/**
+ * Submit a finished session.
+ *
+ * @param {object} submission { name, mode, score, replay }
+ * @returns {Promise<object>} { status, rank?, reason? }
+ */
+export async function submitScore(submission) {
+  const queued = {
+    ...submission,
+    // Lets the server ignore a submission it has already accepted when a
+    // retry races a slow response.
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  };
+  const store = await getStorage();
+  await store.set(QUEUE_KEY, [...(await store.get(QUEUE_KEY, [])), queued]);
+
+  return new Promise(resolve => {
+    const onSettled = (id, result) => {
+      if (id !== queued.id) return;
+      listeners.delete(onSettled);
+      resolve(result);
+    };
+    listeners.add(onSettled);
+    // A flush already under way may have given up before this entry was
+    // queued, so wait for it and then flush again.
+    const current = flushing || Promise.resolve();
+    current.then(flushQueue).then(async () => {
+      // Still queued after the flush means the server was unreachable.
+      const queue = await store.get(QUEUE_KEY, []);
+      if (queue.some(item => item.id === queued.id)) {
+        listeners.delete(onSettled);
+        resolve({ status: SUBMIT_STATUS.QUEUED });
+      }
+    });
+  });
+}
+
+/**
+ * Retry queued submissions whenever the browser regains connectivity and
+ * on a timer.  Returns a function that stops retrying.
+ */
+export function startRetrying() {
+  const onOnline = () => flushQueue();
+  window.addEventListener('online', onOnline);
+  const id = setInterval(flushQueue, RETRY_INTERVAL_MS);
+  flushQueue();
+  return () => {
+    window.removeEventListener('online', onOnline);
+    clearInterval(id);
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Client side of head-to-head races.  Wraps the WebSocket connection to
+ * the relay server (server/relay-server.js) and turns its messages into
+ * events, using the same `on(type, fn)` style as the physics engine.
+ *
+ * Events are the server messages of src/net/protocol.js plus `status`,
+ * emitted with 'connecting', 'connected', 'reconnecting' or 'closed'.
+ *
+ * A dropped connection is retried with a growing delay.  Once seated the
+ * client reclaims its seat with the token it was given, and messages sent
+ * in the meantime are held back and delivered after reconnecting so no
+ * shot result is lost.
+ */
+import { RELAY_PORT } from './protocol';
+
+export const RELAY_URL =
+  import.meta.env.VITE_RELAY_URL || `ws://${window.location.hostname || 'localhost'}:${RELAY_PORT}`;
+
+const RETRY_DELAYS_MS = [500, 1000, 2000, 4000];
+
+/**
+ * Create a relay connection.
+ *
+ * @param {string} url WebSocket URL of the relay server.
+ */
+export function createMultiplayerClient(url = RELAY_URL) {
+  const listeners = {};
+  // Messages waiting for the connection to (re)open.
+  const outbox = [];
+  // { code, token } once the server has given us a seat.
+  let session = null;
+  let socket = null;
+  let attempts = 0;
+  let retryTimer = null;
+  let closed = false;
+
+  function emit(type, payload) {
+    (listeners[type] || []).forEach(fn => fn(payload));
+  }
+
+  /**
+   * Subscribe to an event.  Returns a function that unsubscribes.
+   */
+  function on(type, fn) {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => {
+      listeners[type] = listeners[type].filter(f => f !== fn);
+    };
+  }
+
+  function connect() {
+    emit('status', attempts === 0 ? 'connecting' : 'reconnecting');
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      attempts = 0;
+      emit('status', 'connected');
+      if (session) socket.send(JSON.stringify({ type: 'resume', ...session }));
+      while (outbox.length > 0) socket.send(outbox.shift());
+    };
+    socket.onmessage = e => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      if (message.type === 'joined') session = { code: message.code, token: message.token };
+      if (message.type === 'error' && message.fatal) session = null;
+      emit(message.type, message);
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      // Without a seat there is nothing to get back to.
+      if (!session && attempts >= RETRY_DELAYS_MS.length) {
+        emit('status', 'closed');
+        return;
+      }
+      const delay = RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length - 1)];
+      attempts += 1;
+      emit('status', 'reconnecting');
+      retryTimer = setTimeout(connect, delay);
+    };
+  }
+
+  /**
+   * Send a message, holding it back while disconnected.
+   */
+  function send(type, payload = {}) {
+    const data = JSON.stringify({ type, ...payload });
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(data);
+    else outbox.push(data);
+  }
+
+  /**
+   * Leave the room and close the connection for good.
+   */
+  function close() {
+    if (closed) return;
+    if (session && socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'leave' }));
+    }
+    closed = true;
+    session = null;
+    clearTimeout(retryTimer);
+    if (socket) socket.close();
+  }
+
+  connect();
+
+  return {
+    on,
+    close,
+    createRoom: name => send('create', { name }),
+    joinRoom: (code, name) => send('join', { code, name }),
+    sendLaunch: (vx, vy) => send('launch', { vx, vy }),
+    sendResult: (outcome, score) => send('result', { outcome, score }),
+    requestRematch: () => send('rematch'),
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Constants shared by the head-to-head client (multiplayer.js) and the
+ * relay server (server/relay-server.js).  Imported with an explicit
+ * extension so it also loads in Node.
+ *
+ * Messages are JSON objects with a `type`.  Client to server:
+ *
+ *   create   { name }               open a new room
+ *   join     { code, name }         join a waiting room
+ *   resume   { code, token }        reclaim a seat after a dropped connection
+ *   launch   { vx, vy }             a shot was taken
+ *   result   { outcome, score }     a shot finished; score is the new total
+ *   rematch  {}                    ask for another race once one is over
+ *   leave    {}                    give up the seat
+ *
+ * Server to client:
+ *
+ *   joined    { code, slot, token }  seat assigned (also sent on resume)
+ *   room      { phase, players, remainingMs }  state after any change
+ *   countdown { seconds }            the race starts after the countdown
+ *   start     { durationMs }         the race is on
+ *   launch, result                   relayed from the opponent
+ *   finished  { scores, winner, reason }  winner is a slot or null (draw)
+ *   error     { message, fatal }
+ *
+ * Launches are relayed rather than ball positions: each client simulates
+ * the opponent's shots itself with the deterministic engine on the same
+ * fixed court, which keeps traffic to a few bytes per shot.
+ */
+export const RELAY_PORT = 8788;
+
+// Seconds a race lasts and the countdown before it.
+export const MATCH_SECONDS = 60;
+export const COUNTDOWN_SECONDS = 3;
+
+// How long a dropped player keeps their seat before forfeiting.
+export const RECONNECT_GRACE_MS = 20000;
+
+// Room codes avoid characters that are easily confused when read aloud
+// or copied from another screen (0/O, 1/I/L).
+export const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const ROOM_CODE_LENGTH = 4;
+
+export const PHASES = {
+  WAITING: 'waiting',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  FINISHED: 'finished',
+};
+
+/**
+ * Normalise a room code typed by a player.
+ */
+export function normaliseRoomCode(code) {
+  return String(code || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, ROOM_CODE_LENGTH);
+}
@@ -0,0 +1,239 @@
+/**
+ * Canvas drawing helpers shared by the live game and the replay viewer.
+ * Each function draws straight from engine state so anything rendering a
+ * simulation looks identical to the game itself.
+ */
+import { perspectiveScale } from '../engine/physics';
+import { getTheme } from './themes';
+
+/**
+ * Fill the court so its edges show against the letterbox bars around it.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {number} width Court width.
+ * @param {number} height Court height.
+ * @param {object} palette Colours from themes.js.
+ */
+export function drawCourt(ctx, width, height, palette = getTheme()) {
+  ctx.save();
+  ctx.fillStyle = palette.court;
+  ctx.fillRect(0, 0, width, height);
+  ctx.restore();
+}
+
+/**
+ * Draw the ball as a coloured circle with basketball seams.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {{x: number, y: number}} pos Ball position to draw at.
+ * @param {number} radius Physical ball radius.
+ * @param {number} courtHeight Height of the court, used for perspective.
+ * @param {object} palette Colours from themes.js.
+ * @param {number} rotation Spin of the seams in radians.
+ */
+export function drawBall(ctx, pos, radius, courtHeight, palette = getTheme(), rotation = 0) {
+  ctx.save();
+  // Perspective scaling makes the ball appear smaller as it travels
+  // upward (toward the hoop) and larger as it returns.  The engine uses
+  // the same scale for hoop collisions.
+  const r = radius * perspectiveScale(pos.y, courtHeight);
+  ctx.translate(pos.x, pos.y);
+  ctx.rotate(rotation);
+  // Base circle
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.fillStyle = palette.ball;
+  ctx.fill();
+  // Seams: darker colour, thickness proportional to scaled radius
+  ctx.strokeStyle = palette.seams;
+  ctx.lineWidth = Math.max(2, r * 0.1);
+  // Vertical seam
+  ctx.beginPath();
+  ctx.moveTo(0, -r);
+  ctx.lineTo(0, r);
+  ctx.stroke();
+  // Horizontal seam
+  ctx.beginPath();
+  ctx.moveTo(-r, 0);
+  ctx.lineTo(r, 0);
+  ctx.stroke();
+  // Curved seams (diagonals)
+  ctx.beginPath();
+  ctx.arc(0, 0, r, Math.PI * 0.25, Math.PI * 0.75);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.arc(0, 0, r, -Math.PI * 0.25, Math.PI * 0.25);
+  ctx.stroke();
+  // Outline highlight
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw the parts of the hoop that sit behind the ball: the backboard, the
+ * net and the back half of the rim.  The rim is seen from the side and
+ * slightly above, so it appears as a flattened ellipse.  The net follows
+ * the engine's stretch and sway so it visibly gives when a basket drops
+ * through, and can ripple on top of that.  Colours are kept subtle so
+ * they don't distract.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {object} h Hoop state from the engine.
+ * @param {object} palette Colours from themes.js.
+ * @param {object} ripple Optional { amplitude, phase } wave running down
+ *   the net, see effects.js.
+ */
+export function drawHoop(ctx, h, palette = getTheme(), ripple = null) {
+  ctx.save();
+  // Backboard
+  const { board } = h;
+  ctx.fillStyle = palette.board;
+  ctx.fillRect(board.x, board.top, h.backboardWidth, board.bottom - board.top);
+  // Bracket joining the rim to the board
+  ctx.strokeStyle = palette.bracket;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(h.x + h.radius, h.y);
+  ctx.lineTo(board.x, h.y);
+  ctx.stroke();
+
+  // Net: strands run from evenly spaced points on the rim to the
+  // narrower, possibly stretched and swayed, bottom ring.
+  const { net } = h;
+  const bottomY = h.y + net.height * (1 + 0.35 * net.stretch);
+  const bottomX = h.x + net.sway;
+  const segments = 6;
+  // Point on strand t (0 front, 1 back) at depth (0 rim, 1 bottom).  A
+  // ripple moves points sideways, more the further they are from the rim.
+  const strand = (t, depth) => {
+    const topX = h.x - h.radius + t * h.radius * 2;
+    const botX = bottomX - net.bottomHalfWidth + t * net.bottomHalfWidth * 2;
+    const wave = ripple
+      ? ripple.amplitude * depth * Math.sin(depth * Math.PI * 3 - ripple.phase + t * Math.PI)
+      : 0;
+    return {
+      x: topX + (botX - topX) * depth + wave,
+      y: h.y + (bottomY - h.y) * depth,
+    };
+  };
+  ctx.strokeStyle = palette.net;
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= segments; i++) {
+    const a = strand(i / segments, 0);
+    const b = strand(i / segments, 1);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  }
+  // Diagonal cross strands give the diamond pattern of a real net.
+  for (const depth of [0.33, 0.66]) {
+    for (let i = 0; i < segments; i++) {
+      const a = strand(i / segments, depth);
+      const b = strand((i + 1) / segments, depth + 0.33);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+  }
+
+  // Back half of the rim
+  ctx.strokeStyle = palette.rim;
+  ctx.lineWidth = h.thickness;
+  ctx.beginPath();
+  ctx.ellipse(h.x, h.y, h.radius, h.radius * 0.22, 0, Math.PI, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw the hazards on the court: defenders as upright blocks with their
+ * arms up and bumpers as ringed posts.  Both are drawn exactly the size
+ * the engine collides with.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {object} hz Hazards state from the engine.
+ * @param {object} palette Colours from themes.js.
+ */
+export function drawHazards(ctx, hz, palette = getTheme()) {
+  ctx.save();
+  ctx.fillStyle = palette.hazard;
+  ctx.strokeStyle = palette.net;
+  ctx.lineWidth = 2;
+  for (const d of hz.defenders) {
+    const left = d.x - d.width / 2;
+    const top = d.y - d.height / 2;
+    ctx.fillRect(left, top, d.width, d.height);
+    ctx.strokeRect(left, top, d.width, d.height);
+    // Raised hands along the top edge.
+    ctx.beginPath();
+    ctx.moveTo(left + d.width * 0.2, top);
+    ctx.lineTo(left + d.width * 0.2, top + d.height * 0.3);
+    ctx.moveTo(left + d.width * 0.8, top);
+    ctx.lineTo(left + d.width * 0.8, top + d.height * 0.3);
+    ctx.stroke();
+  }
+  for (const b of hz.bumpers) {
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.radius * 0.5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw the wind indicator: an arrow at the top of the court pointing the
+ * way the wind blows, longer the stronger it is.  Nothing is drawn when
+ * there is no wind.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {number} wind Sideways push per step; positive blows towards
+ *   the hoop.
+ * @param {number} width Court width.
+ * @param {object} palette Colours from themes.js.
+ */
+export function drawWind(ctx, wind, width, palette = getTheme()) {
+  if (wind === 0) return;
+  const length = Math.min(Math.abs(wind) * 4000, 120) * Math.sign(wind);
+  const x = width / 2 - length / 2;
+  const y = 24;
+  ctx.save();
+  ctx.strokeStyle = palette.net;
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + length, y);
+  ctx.moveTo(x + length - Math.sign(wind) * 10, y - 7);
+  ctx.lineTo(x + length, y);
+  ctx.lineTo(x + length - Math.sign(wind) * 10, y + 7);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw the front half of the rim.  Called after the ball so a ball
+ * dropping through the hoop passes behind it.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {object} h Hoop state from the engine.
+ * @param {object} palette Colours from themes.js.
+ */
+export function drawRimFront(ctx, h, palette = getTheme()) {
+  ctx.save();
+  ctx.strokeStyle = palette.rim;
+  ctx.lineWidth = h.thickness;
+  ctx.beginPath();
+  ctx.ellipse(h.x, h.y, h.radius, h.radius * 0.22, 0, 0, Math.PI);
+  ctx.stroke();
+  ctx.restore();
+}
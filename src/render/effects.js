@@ -0,0 +1,251 @@
+/**
+ * Visual effects drawn on top of the simulation: ball spin, a motion
+ * trail and ground shadow, particle bursts, a rippling net, floating
+ * score increments, streaks drifting with the wind and a little camera
+ * shake.
+ *
+ * None of this feeds back into the engine; effects only decorate what it
+ * already does, so replays and verification are unaffected.  Everything
+ * is advanced by real time rather than physics steps and fades out on its
+ * own.  Game leaves the effects out entirely when reduced motion is on.
+ */
+import { COURT_HEIGHT, COURT_WIDTH, STEP_MS } from '../engine/physics';
+
+// Ball positions kept for the trail.
+const TRAIL_LENGTH = 10;
+// Particles in a swish burst.
+const BURST_SIZE = 18;
+// How long a floating score increment stays up, in milliseconds.
+const FLOAT_MS = 900;
+// Largest camera shake offset, in world units.
+const SHAKE_DISTANCE = 6;
+// Largest sideways net ripple, in world units.
+const RIPPLE_AMPLITUDE = 5;
+// Downward pull on particles, in world units per step squared.
+const PARTICLE_GRAVITY = 0.15;
+// Streaks blowing across the court in the wind, and how much faster than
+// the wind's push per step they travel.
+const WIND_STREAKS = 24;
+const WIND_SPEED = 300;
+
+/**
+ * Create an effects layer for one game canvas.
+ */
+export function createEffects() {
+  let rotation = 0;
+  let trail = [];
+  let particles = [];
+  let floats = [];
+  let shake = 0;
+  const ripple = { amplitude: 0, phase: 0 };
+  let wind = 0;
+  const streaks = Array.from({ length: WIND_STREAKS }, () => ({
+    x: Math.random() * COURT_WIDTH,
+    y: Math.random() * COURT_HEIGHT,
+    length: 10 + Math.random() * 20,
+    speed: 0.6 + Math.random() * 0.8,
+  }));
+
+  /**
+   * Advance every effect.
+   *
+   * @param {number} elapsed Milliseconds since the previous frame.
+   * @param {{x: number, y: number, vx: number, radius: number}} ball Ball as
+   *   drawn this frame.
+   * @param {boolean} inFlight True while a shot is in the air.
+   * @param {number} windNow Sideways push of the wind per step.
+   */
+  function update(elapsed, ball, inFlight, windNow = 0) {
+    wind = windNow;
+    const steps = elapsed / STEP_MS;
+    if (steps === 0) return;
+    // Streaks wrap around so the same ones keep blowing across.
+    for (const s of streaks) {
+      s.x += wind * WIND_SPEED * s.speed * steps;
+      if (s.x > COURT_WIDTH + s.length) s.x -= COURT_WIDTH + s.length * 2;
+      if (s.x < -s.length) s.x += COURT_WIDTH + s.length * 2;
+    }
+    // Roll in the direction of travel: one radian per radius covered.
+    rotation += (ball.vx / ball.radius) * steps;
+    if (inFlight) {
+      trail.push({ x: ball.x, y: ball.y });
+      if (trail.length > TRAIL_LENGTH) trail.shift();
+    } else if (trail.length > 0) {
+      trail.shift();
+    }
+    for (const p of particles) {
+      p.x += p.vx * steps;
+      p.y += p.vy * steps;
+      p.vy += PARTICLE_GRAVITY * steps;
+      p.life -= elapsed / p.duration;
+    }
+    particles = particles.filter(p => p.life > 0);
+    for (const f of floats) f.age += elapsed;
+    floats = floats.filter(f => f.age < FLOAT_MS);
+    shake *= Math.pow(0.85, steps);
+    if (shake < 0.01) shake = 0;
+    ripple.amplitude *= Math.pow(0.93, steps);
+    if (ripple.amplitude < 0.05) ripple.amplitude = 0;
+    ripple.phase += 0.35 * steps;
+  }
+
+  /**
+   * Throw a burst of particles out of a point, e.g. the hoop on a swish.
+   */
+  function burst(x, y, colours) {
+    for (let i = 0; i < BURST_SIZE; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = 1.5 + Math.random() * 3;
+      particles.push({
+        x,
+        y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed - 2,
+        size: 2 + Math.random() * 2,
+        colour: colours[i % colours.length],
+        life: 1,
+        duration: 500 + Math.random() * 400,
+      });
+    }
+  }
+
+  /**
+   * Set the net swinging.  Strength runs from 0 to 1; a weaker hit never
+   * damps a ripple that is already running.
+   */
+  function rippleNet(strength) {
+    ripple.amplitude = Math.max(ripple.amplitude, RIPPLE_AMPLITUDE * Math.min(strength, 1));
+    ripple.phase = 0;
+  }
+
+  /**
+   * Show a line of text rising from a point, e.g. "+2" at the hoop.
+   */
+  function floatText(x, y, text) {
+    floats.push({ x, y, text, age: 0 });
+  }
+
+  function shakeScreen() {
+    shake = 1;
+  }
+
+  /**
+   * Forget everything, e.g. when reduced motion is switched on.
+   */
+  function clear() {
+    rotation = 0;
+    trail = [];
+    particles = [];
+    floats = [];
+    shake = 0;
+    ripple.amplitude = 0;
+  }
+
+  /**
+   * Offset the context by the current camera shake.  Call before drawing
+   * the court.
+   */
+  function applyShake(ctx) {
+    if (shake === 0) return;
+    const d = SHAKE_DISTANCE * shake;
+    ctx.translate((Math.random() * 2 - 1) * d, (Math.random() * 2 - 1) * d);
+  }
+
+  /**
+   * Draw the ground shadow and motion trail.  Call before the ball.
+   *
+   * @param {CanvasRenderingContext2D} ctx Target context.
+   * @param {{x: number, y: number}} pos Ball position.
+   * @param {number} radius Ball radius.
+   * @param {number} floorY Height of the floor the shadow falls on.
+   * @param {object} palette Colours from themes.js.
+   */
+  function drawBehind(ctx, pos, radius, floorY, palette) {
+    ctx.save();
+    // The shadow shrinks and fades as the ball climbs away from the floor.
+    const lift = Math.min(Math.max((floorY - pos.y) / floorY, 0), 1);
+    ctx.globalAlpha = 0.35 * (1 - lift * 0.7);
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.ellipse(pos.x, floorY - 2, radius * (1 - lift * 0.5), radius * 0.25, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = palette.ball;
+    trail.forEach((point, i) => {
+      const t = (i + 1) / (trail.length + 1);
+      ctx.globalAlpha = 0.25 * t;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius * (0.4 + 0.5 * t), 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Draw the wind streaks, fainter in a light breeze.  Call after the
+   * court.
+   */
+  function drawWind(ctx, palette) {
+    if (wind === 0) return;
+    ctx.save();
+    ctx.strokeStyle = palette.net;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = Math.min(Math.abs(wind) * 20, 0.4);
+    ctx.beginPath();
+    for (const s of streaks) {
+      ctx.moveTo(s.x, s.y);
+      ctx.lineTo(s.x - Math.sign(wind) * s.length, s.y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Draw particles and floating text.  Call after everything else.  Text
+   * is flipped back when the court is mirrored so it stays readable.
+   *
+   * @param {CanvasRenderingContext2D} ctx Target context.
+   * @param {boolean} mirrored True when the court is drawn mirrored.
+   * @param {object} palette Colours from themes.js.
+   */
+  function drawFront(ctx, mirrored, palette) {
+    ctx.save();
+    for (const p of particles) {
+      ctx.globalAlpha = Math.max(p.life, 0);
+      ctx.fillStyle = p.colour;
+      ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+    }
+    ctx.font = 'bold 28px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = palette.rim;
+    for (const f of floats) {
+      const t = f.age / FLOAT_MS;
+      ctx.globalAlpha = 1 - t * t;
+      ctx.save();
+      ctx.translate(f.x, f.y - 50 * t);
+      if (mirrored) ctx.scale(-1, 1);
+      ctx.fillText(f.text, 0, 0);
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  return {
+    update,
+    burst,
+    rippleNet,
+    floatText,
+    shakeScreen,
+    clear,
+    applyShake,
+    drawBehind,
+    drawWind,
+    drawFront,
+    get rotation() {
+      return rotation;
+    },
+    get ripple() {
+      return ripple.amplitude > 0 ? ripple : null;
+    },
+  };
+}
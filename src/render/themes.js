@@ -0,0 +1,62 @@
+/**
+ * Colour themes for the court.  Each palette holds the colours the canvas
+ * helpers in court.js draw with; the page around the canvas picks up the
+ * matching background from the `data-theme` attribute in index.css.
+ */
+export const THEMES = {
+  dark: {
+    label: 'Dark',
+    court: 'rgba(255,255,255,0.04)',
+    ball: '#e76f51',
+    seams: '#2d2926',
+    rim: '#f4a261',
+    board: 'rgba(255,255,255,0.85)',
+    bracket: '#9a9a9a',
+    net: 'rgba(255,255,255,0.6)',
+    hazard: '#8d99ae',
+  },
+  hardwood: {
+    label: 'Hardwood',
+    court: 'rgba(255,220,170,0.08)',
+    ball: '#d9622b',
+    seams: '#1f1a17',
+    rim: '#e63946',
+    board: 'rgba(255,250,240,0.9)',
+    bracket: '#6b6b6b',
+    net: 'rgba(255,250,240,0.7)',
+    hazard: '#457b9d',
+  },
+  midnight: {
+    label: 'Midnight',
+    court: 'rgba(120,150,255,0.06)',
+    ball: '#f77f00',
+    seams: '#1b1b2f',
+    rim: '#4cc9f0',
+    board: 'rgba(200,220,255,0.7)',
+    bracket: '#7880a0',
+    net: 'rgba(200,220,255,0.55)',
+    hazard: '#b5179e',
+  },
+  // For low vision: solid colours with the strongest contrast against a
+  // near black court.
+  contrast: {
+    label: 'High contrast',
+    court: 'rgba(255,255,255,0.12)',
+    ball: '#ffb000',
+    seams: '#000000',
+    rim: '#ff3b30',
+    board: '#ffffff',
+    bracket: '#ffffff',
+    net: '#ffffff',
+    hazard: '#00e5ff',
+  },
+};
+
+export const DEFAULT_THEME = 'dark';
+
+/**
+ * Look up a theme by id, falling back to the default theme.
+ */
+export function getTheme(id) {
+  return THEMES[id] || THEMES[DEFAULT_THEME];
+}
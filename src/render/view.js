@@ -0,0 +1,85 @@
+/**
+ * Letterboxed, HiDPI-aware view of the court.
+ *
+ * The engine simulates a court of fixed size in world units.  A view maps
+ * it onto a canvas of any size: scaled uniformly to fit, centred, with
+ * bars along the sides that don't match its shape.  The canvas backing
+ * store is sized in device pixels so lines stay crisp on high density
+ * screens, while everything else works in CSS pixels.
+ *
+ * View: { width, height, scale, offsetX, offsetY, pixelRatio, mirrored }
+ *   width, height    – court size in world units
+ *   scale            – CSS pixels per world unit
+ *   offsetX, offsetY – position of the court on the canvas in CSS pixels
+ *   pixelRatio       – device pixels per CSS pixel
+ *   mirrored         – true to draw the court flipped left to right
+ */
+
+/**
+ * Create a view of a court.  Call fitView() before drawing with it.
+ *
+ * @param {{ width: number, height: number }} court Court size.
+ */
+export function createView({ width, height }) {
+  return { width, height, scale: 1, offsetX: 0, offsetY: 0, pixelRatio: 1, mirrored: false };
+}
+
+/**
+ * Size a canvas to its displayed size and fit the court into it.  Called
+ * on mount and whenever the window resizes.
+ *
+ * @param {object} view View to update.
+ * @param {HTMLCanvasElement} canvas Canvas the court is drawn on.
+ */
+export function fitView(view, canvas) {
+  const cssWidth = canvas.clientWidth;
+  const cssHeight = canvas.clientHeight;
+  const pixelRatio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(cssWidth * pixelRatio);
+  canvas.height = Math.round(cssHeight * pixelRatio);
+  view.pixelRatio = pixelRatio;
+  view.scale = Math.min(cssWidth / view.width, cssHeight / view.height);
+  view.offsetX = (cssWidth - view.width * view.scale) / 2;
+  view.offsetY = (cssHeight - view.height * view.scale) / 2;
+}
+
+/**
+ * Clear the canvas and set the context up to draw in world units.
+ *
+ * @param {CanvasRenderingContext2D} ctx Target context.
+ * @param {object} view View to draw through.
+ */
+export function beginFrame(ctx, view) {
+  const { pixelRatio, scale } = view;
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.setTransform(
+    scale * pixelRatio,
+    0,
+    0,
+    scale * pixelRatio,
+    view.offsetX * pixelRatio,
+    view.offsetY * pixelRatio
+  );
+  if (view.mirrored) {
+    ctx.translate(view.width, 0);
+    ctx.scale(-1, 1);
+  }
+}
+
+/**
+ * Court position of a point given in client (CSS) coordinates, e.g. from
+ * a pointer event.
+ *
+ * @param {object} view View the court is drawn through.
+ * @param {HTMLCanvasElement} canvas Canvas the court is drawn on.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{ x: number, y: number }}
+ */
+export function toCourt(view, canvas, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  const x = (clientX - rect.left - view.offsetX) / view.scale;
+  const y = (clientY - rect.top - view.offsetY) / view.scale;
+  return { x: view.mirrored ? view.width - x : x, y };
+}
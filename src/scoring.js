@@ -0,0 +1,99 @@
+/**
+ * Shot scoring rules.
+ *
+ * A make is worth one point plus bonuses for a clean swish and for long
+ * range, and the total is multiplied by the current streak multiplier.
+ * The multiplier grows by one for every three consecutive makes (makes
+ * one to three score ×1, four to six ×2 and so on, up to ×4) and resets
+ * on a miss.  These functions are pure so the same rules can be applied
+ * anywhere a session needs to be scored.
+ */
+
+export const BASE_POINTS = 1;
+export const SWISH_BONUS = 1;
+export const LONG_SHOT_BONUS = 1;
+// Shots released further than this from the rim, in court heights, count
+// as long range.
+export const LONG_SHOT_DISTANCE = 0.85;
+export const STREAK_STEP = 3;
+export const MAX_MULTIPLIER = 4;
+
+/**
+ * Multiplier for a make that extends the streak to `streak` makes.
+ */
+export function streakMultiplier(streak) {
+  if (streak <= 0) return 1;
+  return Math.min(1 + Math.floor((streak - 1) / STREAK_STEP), MAX_MULTIPLIER);
+}
+
+/**
+ * Session statistics before any shot has been taken.
+ */
+export function initialStats() {
+  return {
+    score: 0,
+    makes: 0,
+    misses: 0,
+    streak: 0,
+    longestStreak: 0,
+    swishes: 0,
+    // Points earned above the base value of each make.
+    bonusPoints: 0,
+  };
+}
+
+/**
+ * Points for a single make.
+ *
+ * @param {object} shot { outcome, distance } from the engine's score event.
+ * @param {number} streak Consecutive makes including this one.
+ * @returns {{ points: number, bonus: number, multiplier: number }}
+ */
+export function scoreMake({ outcome, distance = 0 }, streak) {
+  let value = BASE_POINTS;
+  if (outcome === 'swish') value += SWISH_BONUS;
+  if (distance > LONG_SHOT_DISTANCE) value += LONG_SHOT_BONUS;
+  const multiplier = streakMultiplier(streak);
+  const points = value * multiplier;
+  return { points, bonus: points - BASE_POINTS, multiplier };
+}
+
+/**
+ * Fold a make into the session statistics.
+ *
+ * @param {object} stats Current statistics.
+ * @param {object} shot { outcome, distance } from the engine's score event.
+ * @returns {{ stats: object, points: number }} New statistics and the
+ *   points this make was worth.
+ */
+export function applyMake(stats, shot) {
+  const streak = stats.streak + 1;
+  const { points, bonus } = scoreMake(shot, streak);
+  return {
+    points,
+    stats: {
+      ...stats,
+      score: stats.score + points,
+      makes: stats.makes + 1,
+      streak,
+      longestStreak: Math.max(stats.longestStreak, streak),
+      swishes: stats.swishes + (shot.outcome === 'swish' ? 1 : 0),
+      bonusPoints: stats.bonusPoints + bonus,
+    },
+  };
+}
+
+/**
+ * Fold a miss into the session statistics.  Breaks the streak.
+ */
+export function applyMiss(stats) {
+  return { ...stats, misses: stats.misses + 1, streak: 0 };
+}
+
+/**
+ * Shooting percentage as a whole number, or 0 before any attempt.
+ */
+export function shootingPercentage({ makes, misses }) {
+  const attempts = makes + misses;
+  return attempts === 0 ? 0 : Math.round((makes / attempts) * 100);
+}
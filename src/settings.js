@@ -0,0 +1,93 @@
+/**
+ * Player settings that aren't controls or sound (see useControls and
+ * useAudioSettings for those):
+ *
+ *   handedness    – 'right' shoots from the left of the court towards a
+ *                   hoop on the right; 'left' mirrors the court
+ *   reducedMotion – true to leave out flashes and other movement that
+ *                   isn't needed to play
+ *   theme         – colour theme id from render/themes.js
+ *   aimAssist     – shot preview while aiming, a key of AIM_ASSIST
+ *   audioAim      – true to hear a tone whose pitch follows how well the
+ *                   shot being lined up aligns with the hoop
+ *   cpuSkill      – how well the CPU opponent shoots, a key of BOT_SKILLS
+ *                   in engine/bot.js
+ *   physics       – rules sandbox: values for the engine parameters in
+ *                   SANDBOX_PHYSICS
+ *
+ * A game played with anything but the standard physics is a sandbox
+ * game: it doesn't count towards high scores, stats or leaderboards.  A
+ * game played with the aim assist or audio aiming on is an assisted game:
+ * it keeps its own high scores and stays off the leaderboards, and so
+ * does a game in which a hint was shown.
+ */
+import { DEFAULT_CONFIG } from './engine/physics';
+import { DEFAULT_THEME } from './render/themes';
+import { DEFAULT_BOT_SKILL } from './engine/bot';
+
+// Engine parameters the rules sandbox can change, with their slider
+// ranges.
+export const SANDBOX_PHYSICS = [
+  { key: 'gravity', label: 'Gravity', min: 0.1, max: 0.8, step: 0.01 },
+  { key: 'bounce', label: 'Wall bounce', min: 0.1, max: 1, step: 0.05 },
+  { key: 'rimBounce', label: 'Rim bounce', min: 0.1, max: 1, step: 0.05 },
+  { key: 'backboardBounce', label: 'Board bounce', min: 0.1, max: 1, step: 0.05 },
+  { key: 'ballRadius', label: 'Ball size', min: 16, max: 40, step: 1 },
+];
+
+// Aim assist levels with their labels.  'direction' draws a dashed line
+// along the shot; 'arc' predicts its whole path.
+export const AIM_ASSIST = {
+  off: 'Off',
+  direction: 'Direction only',
+  arc: 'Full arc',
+};
+
+/**
+ * True when settings help the player aim, making a game assisted.
+ */
+export function isAssisted(settings) {
+  return settings.aimAssist !== 'off' || settings.audioAim;
+}
+
+/**
+ * Key under which assisted games of a mode keep their high score, next to
+ * the mode's own in the `highScores` record.
+ */
+export function assistedKey(modeId) {
+  return `${modeId}:assisted`;
+}
+
+/**
+ * The standard values of the sandbox parameters.
+ */
+export function standardPhysics() {
+  return Object.fromEntries(SANDBOX_PHYSICS.map(({ key }) => [key, DEFAULT_CONFIG[key]]));
+}
+
+/**
+ * True when sandbox values match the standard physics.
+ */
+export function isStandardPhysics(physics) {
+  return SANDBOX_PHYSICS.every(({ key }) => physics[key] === DEFAULT_CONFIG[key]);
+}
+
+/**
+ * Settings for a device that hasn't saved any.  Reduced motion follows
+ * the operating system's preference until the player picks otherwise.
+ */
+export function defaultSettings() {
+  const prefersReducedMotion =
+    typeof window !== 'undefined' &&
+    Boolean(window.matchMedia) &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return {
+    handedness: 'right',
+    reducedMotion: prefersReducedMotion,
+    theme: DEFAULT_THEME,
+    aimAssist: 'off',
+    audioAim: false,
+    cpuSkill: DEFAULT_BOT_SKILL,
+    physics: standardPhysics(),
+  };
+}
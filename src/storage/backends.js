@@ -0,0 +1,111 @@
+/**
+ * Storage backends.  Both expose the same small async interface so the
+ * rest of the app doesn't care where data lives:
+ *
+ *   get(key)            – value stored under key, or undefined
+ *   set(key, value)     – store a JSON-serialisable value
+ *   remove(key)         – delete a key
+ *   addSession(session) – append a finished session record
+ *   getSessions()       – every session record, oldest first
+ *
+ * IndexedDB is preferred because it is asynchronous and not limited to a
+ * few megabytes.  localStorage is the fallback for browsers (or private
+ * windows) where IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'basketball';
+// IndexedDB's own version number only tracks the object store layout.
+// Data migrations are versioned separately, see migrations.js.
+const DB_VERSION = 1;
+const KV_STORE = 'kv';
+const SESSION_STORE = 'sessions';
+
+// Single localStorage key holding the whole fallback database.
+const LOCAL_KEY = 'basketball-db';
+
+/**
+ * Wrap an IDBRequest in a promise.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the IndexedDB database, creating the object stores on first use.
+ *
+ * @returns {Promise<object>} Backend using IndexedDB.
+ */
+export async function openIndexedDBBackend() {
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not available');
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(KV_STORE)) {
+      db.createObjectStore(KV_STORE);
+    }
+    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+      db.createObjectStore(SESSION_STORE, { autoIncrement: true });
+    }
+  };
+  const db = await promisify(request);
+
+  function store(name, mode) {
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  return {
+    name: 'indexeddb',
+    get: key => promisify(store(KV_STORE, 'readonly').get(key)),
+    set: (key, value) => promisify(store(KV_STORE, 'readwrite').put(value, key)),
+    remove: key => promisify(store(KV_STORE, 'readwrite').delete(key)),
+    addSession: session => promisify(store(SESSION_STORE, 'readwrite').add(session)),
+    getSessions: () => promisify(store(SESSION_STORE, 'readonly').getAll()),
+  };
+}
+
+/**
+ * Backend that keeps everything in one JSON document in localStorage.
+ *
+ * @returns {object} Backend using localStorage.
+ */
+export function createLocalStorageBackend() {
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LOCAL_KEY));
+      if (saved && saved.kv && Array.isArray(saved.sessions)) return saved;
+    } catch (err) {
+      console.warn('Ignoring unreadable saved data:', err);
+    }
+    return { kv: {}, sessions: [] };
+  }
+
+  function save(data) {
+    localStorage.setItem(LOCAL_KEY, JSON.stringify(data));
+  }
+
+  return {
+    name: 'localstorage',
+    get: async key => load().kv[key],
+    set: async (key, value) => {
+      const data = load();
+      data.kv[key] = value;
+      save(data);
+    },
+    remove: async key => {
+      const data = load();
+      delete data.kv[key];
+      save(data);
+    },
+    addSession: async session => {
+      const data = load();
+      data.sessions.push(session);
+      save(data);
+    },
+    getSessions: async () => load().sessions,
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Persistent storage for the game.  Picks the best available backend,
+ * brings its data up to the current schema version and exposes a small
+ * async API to the rest of the app.  Everything the game remembers
+ * between visits goes through here.
+ *
+ * Usage:
+ *   const store = await getStorage();
+ *   const highScores = await store.get('highScores', {});
+ *   await store.addSession({ ... });
+ */
+import { openIndexedDBBackend, createLocalStorageBackend } from './backends';
+import { migrate } from './migrations';
+
+let storagePromise = null;
+
+/**
+ * Open the backend, falling back to localStorage if IndexedDB can't be
+ * used, and run any pending migrations.
+ */
+async function openStorage() {
+  let backend;
+  try {
+    backend = await openIndexedDBBackend();
+  } catch (err) {
+    console.warn('IndexedDB unavailable, using localStorage:', err);
+    backend = createLocalStorageBackend();
+  }
+  await migrate(backend);
+
+  return {
+    backend: backend.name,
+    /**
+     * Read a value, returning `fallback` when nothing is stored.
+     */
+    async get(key, fallback) {
+      const value = await backend.get(key);
+      return value === undefined ? fallback : value;
+    },
+    set: (key, value) => backend.set(key, value),
+    remove: key => backend.remove(key),
+    /**
+     * Record a finished session.
+     *
+     * @param {object} session { date, mode, score, makes, attempts, ... }
+     */
+    addSession: session => backend.addSession(session),
+    getSessions: () => backend.getSessions(),
+  };
+}
+
+/**
+ * The shared storage instance.  Opened on first use.
+ *
+ * @returns {Promise<object>}
+ */
+export function getStorage() {
+  if (!storagePromise) storagePromise = openStorage();
+  return storagePromise;
+}
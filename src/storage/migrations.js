@@ -0,0 +1,52 @@
+/**
+ * Data migrations.  The schema version of the saved data is stored under
+ * the `schemaVersion` key.  On startup every migration between the saved
+ * version and SCHEMA_VERSION runs in order; migration N upgrades data
+ * from version N - 1 to version N.  Add new migrations to the end of the
+ * list and never edit one that has shipped.
+ */
+
+/**
+ * localStorage key that held a mode's high score before this module
+ * existed.  Classic used the original single-mode key.
+ */
+function legacyHighScoreKey(modeId) {
+  return modeId === 'classic' ? 'basketball-highscore' : `basketball-highscore-${modeId}`;
+}
+
+// Modes that existed when high scores still lived in localStorage.  Kept
+// here rather than read from modes.js so the migration stays the same as
+// modes are added.
+const LEGACY_MODES = ['classic', 'timed', 'sudden-death', 'zen'];
+
+export const MIGRATIONS = [
+  // 1: import the high scores that used to live in individual
+  // localStorage keys (`basketball-highscore` for Classic and
+  // `basketball-highscore-<mode>` for the other modes).
+  async backend => {
+    const highScores = (await backend.get('highScores')) || {};
+    for (const id of LEGACY_MODES) {
+      const key = legacyHighScoreKey(id);
+      const saved = parseInt(localStorage.getItem(key), 10);
+      if (saved > (highScores[id] || 0)) highScores[id] = saved;
+      localStorage.removeItem(key);
+    }
+    await backend.set('highScores', highScores);
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Bring a backend's data up to SCHEMA_VERSION.
+ *
+ * @param {object} backend Backend from backends.js.
+ */
+export async function migrate(backend) {
+  let version = (await backend.get('schemaVersion')) || 0;
+  while (version < SCHEMA_VERSION) {
+    await MIGRATIONS[version](backend);
+    version++;
+    await backend.set('schemaVersion', version);
+  }
+}
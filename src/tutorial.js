@@ -0,0 +1,70 @@
+/**
+ * First-time tutorial.  A short round on the standard court that walks a
+ * new player through a shot one step at a time while a ghost hand on the
+ * canvas shows the drag.  Nothing is at stake: the round has no lives,
+ * no clock and no records.
+ *
+ * Steps move on when the player does what they ask:
+ *   drag    – start lining up a shot
+ *   release – let go of it
+ *   power   – land a shot near the rim, or make one
+ *   score   – make a basket
+ *
+ * Whether the tutorial has been finished or skipped is remembered under
+ * the `tutorial` key as { completed }, so returning players go straight
+ * to the start screen.
+ */
+
+export const TUTORIAL_STEPS = [
+  {
+    id: 'drag',
+    title: 'Drag',
+    text:
+      'Press on the ball and pull it towards the hoop, like the hand does.  ' +
+      'On a keyboard, aim with the arrow keys and hold Space.',
+  },
+  {
+    id: 'release',
+    title: 'Release',
+    text: 'Let go to shoot.',
+  },
+  {
+    id: 'power',
+    title: 'Adjust power',
+    text: 'The further you pull, the harder the shot.  Get the ball close to the rim.',
+  },
+  {
+    id: 'score',
+    title: 'Make a basket',
+    text: 'Now sink one!  Copy the hand if you get stuck.',
+  },
+];
+
+// How well a shot has to line up with the hoop (see engine/predict.js)
+// to count as close in the power step.
+const CLOSE_ALIGNMENT = 0.8;
+
+export const EMPTY_TUTORIAL = { completed: false };
+
+/**
+ * The step after something happened in the tutorial.
+ *
+ * @param {number} step Index into TUTORIAL_STEPS.
+ * @param {object} event What the player did:
+ *   { type: 'aim' }                      started lining up a shot
+ *   { type: 'launch' }                   let go of it
+ *   { type: 'shot', made, alignment }    the shot came down; alignment is
+ *                                        how well it was lined up, 0–1
+ * @returns {number} Index of the next step, TUTORIAL_STEPS.length once
+ *   the tutorial is finished.
+ */
+export function advanceTutorial(step, event) {
+  const { id } = TUTORIAL_STEPS[step] || {};
+  if (id === 'drag' && event.type === 'aim') return step + 1;
+  if (id === 'release' && event.type === 'launch') return step + 1;
+  if (event.type !== 'shot') return step;
+  // A basket finishes the tutorial from any step once the ball is away.
+  if (event.made && step > 0) return TUTORIAL_STEPS.length;
+  if (id === 'power' && event.alignment >= CLOSE_ALIGNMENT) return step + 1;
+  return step;
+}
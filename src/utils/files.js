@@ -0,0 +1,50 @@
+/**
+ * Helpers for moving JSON data in and out of the browser as files.
+ */
+
+/**
+ * Offer a JSON document to the user as a file download.
+ *
+ * @param {string} filename Suggested file name.
+ * @param {any} data Value to serialise.
+ */
+export function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: 'application/json',
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has a chance to start.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read and parse a JSON file chosen by the user.
+ *
+ * @param {File} file File from an <input type="file">.
+ * @returns {Promise<any>} The parsed contents.
+ */
+export async function readJSONFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+}
+
+/**
+ * File-name friendly timestamp, e.g. 2024-05-01-1830.
+ */
+export function fileTimestamp(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}`
+  );
+}